@@ -1,7 +1,5 @@
 #!/usr/bin/env node
 
-import { spawnSync } from "node:child_process";
-import { platform } from "node:os";
 import puppeteer from "puppeteer-core";
 
 import {
@@ -13,6 +11,8 @@ import {
     resolveBrowserConnection,
     normalizeNumber,
 } from "./config.js";
+import { readSessionRecord, removeSessionRecord, terminateSession, waitForSessionExit } from "./registry.js";
+import { stopDaemon } from "./session.js";
 
 const args = parseArgs(process.argv.slice(2), {
     boolean: ["force", "json", "quiet"],
@@ -36,16 +36,27 @@ const timeout = normalizeNumber(args.timeout, 5000);
 
 const connectionOptions = resolveBrowserConnection({ port, host: args.host, ws: args.ws });
 
+// Only a browser start.js launched on this machine has a process tree we may terminate.
+const remote = args.ws || !["localhost", "127.0.0.1", "::1"].includes(args.host ?? "localhost");
+const session = remote ? null : await readSessionRecord(port);
+
 const result = {
     ok: true,
     port,
     graceful: false,
     forced: false,
     closedTabs: 0,
+    daemonStopped: false,
+    pid: session?.pid ?? null,
 };
 
 logger.info("🔄 Shutting down browser...");
 
+result.daemonStopped = await stopDaemon(port);
+if (result.daemonStopped) {
+    logger.info("🛑 Stopped session daemon");
+}
+
 let browser;
 if (!args.force) {
     try {
@@ -65,12 +76,23 @@ if (!args.force) {
     }
 }
 
-if (!result.graceful) {
-    const forced = await forceCloseProcesses({ logger, port });
-    result.forced = forced;
-    if (!forced) {
-        logger.warn("⚠️  No Chrome processes were terminated");
+if (session) {
+    // A graceful close leaves Chrome a moment to exit; anything still running is terminated.
+    const exited = result.graceful && (await waitForSessionExit(session, timeout));
+    if (!exited) {
+        const termination = await terminateSession(session, { timeout });
+        result.forced = termination.terminated;
+        if (termination.terminated) {
+            logger.info(`🔨 Terminated Chrome (pid ${session.pid}, ${termination.processes} processes, ${termination.signal})`);
+        } else if (!result.graceful) {
+            logger.warn(`⚠️  Chrome pid ${session.pid} from start.js is no longer running`);
+        }
     }
+    await removeSessionRecord(port);
+} else if (!result.graceful) {
+    logger.warn(
+        `⚠️  No browser started by start.js is recorded for port ${port}; leaving other Chrome processes alone.`,
+    );
 }
 
 await delay(300);
@@ -81,46 +103,3 @@ if (jsonOutput) {
     process.stdout.write(`${JSON.stringify(result)}\n`);
     logger.info("🎉 Browser shutdown complete");
 }
-
-async function forceCloseProcesses({ logger: log, port: debuggingPort }) {
-    const commands = buildTerminationCommands();
-    let anyKilled = false;
-
-    for (const command of commands) {
-        const { file, args } = command;
-        const execution = spawnSync(file, args, { stdio: "ignore" });
-        if (execution.status === 0) {
-            anyKilled = true;
-            log.info(`🔨 Executed ${file} ${args.join(" ")}`);
-        }
-    }
-
-    // Attempt to free the port via lsof if available (Unix only)
-    if (platform() !== "win32") {
-        const killByPort = spawnSync("bash", ["-c", `lsof -ti:${debuggingPort} 2>/dev/null | xargs -r kill -9`], {
-            stdio: "ignore",
-        });
-        if (killByPort.status === 0) {
-            anyKilled = true;
-            log.info(`🔨 Cleared processes on port ${debuggingPort}`);
-        }
-    }
-
-    return anyKilled;
-}
-
-function buildTerminationCommands() {
-    if (platform() === "win32") {
-        return [
-            { file: "taskkill", args: ["/F", "/IM", "chrome.exe", "/T"] },
-            { file: "taskkill", args: ["/F", "/IM", "msedge.exe", "/T"] },
-        ];
-    }
-
-    return [
-        { file: "pkill", args: ["-f", "Google Chrome"] },
-        { file: "pkill", args: ["-f", "chrome"] },
-        { file: "pkill", args: ["-f", "chromium"] },
-        { file: "pkill", args: ["-f", "msedge"] },
-    ];
-}
\ No newline at end of file
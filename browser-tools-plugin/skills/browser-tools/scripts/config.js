@@ -1,10 +1,24 @@
-import { existsSync } from "node:fs";
+import { existsSync, realpathSync } from "node:fs";
 import { access, constants } from "node:fs/promises";
 import { homedir } from "node:os";
 import { resolve as resolvePath, join } from "node:path";
+import { pathToFileURL } from "node:url";
 
 export const DEFAULT_PORT = 9222;
 
+export const STATE_DIR = join(homedir(), ".cache", "browser-tools");
+
+/**
+ * Error whose message is shown to the user verbatim instead of being prefixed
+ * with the failing operation (e.g. "No active page found.").
+ */
+export class CommandError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "CommandError";
+    }
+}
+
 const identity = (value) => value;
 
 export function parseArgs(argv, options = {}) {
@@ -12,12 +26,15 @@ export function parseArgs(argv, options = {}) {
         boolean = [],
         string = [],
         number = [],
+        array = [],
         alias = {},
         defaults = {},
     } = options;
 
     const boolSet = new Set(boolean.map(normalizeKey));
-    const stringSet = new Set(string.map(normalizeKey));
+    // Repeatable string flags (`--element a --element b`) collect into a list.
+    const arraySet = new Set(array.map(normalizeKey));
+    const stringSet = new Set([...string, ...array].map(normalizeKey));
     const numberSet = new Set(number.map(normalizeKey));
 
     const aliases = Object.fromEntries(
@@ -29,6 +46,10 @@ export function parseArgs(argv, options = {}) {
     const assignValue = (key, value = true) => {
         const normalized = normalizeKey(key);
         const target = aliases[normalized] ?? normalized;
+        if (arraySet.has(target) && typeof value === "string") {
+            result[target] = [...(result[target] ?? []), value];
+            return;
+        }
         result[target] = value;
     };
 
@@ -89,19 +110,20 @@ export function parseArgs(argv, options = {}) {
     return result;
 }
 
-export function createLogger({ quiet = false, json = false } = {}) {
-    const format = (args) =>
-        args
-            .map((part) => {
-                if (part instanceof Error) {
-                    return part.stack ?? part.message;
-                }
-                return typeof part === "object" ? JSON.stringify(part) : String(part);
-            })
-            .join(" ");
+export function formatLogParts(parts) {
+    return parts
+        .map((part) => {
+            if (part instanceof Error) {
+                return part.stack ?? part.message;
+            }
+            return typeof part === "object" ? JSON.stringify(part) : String(part);
+        })
+        .join(" ");
+}
 
+export function createLogger({ quiet = false, json = false } = {}) {
     const write = (stream, args) => {
-        stream.write(format(args));
+        stream.write(formatLogParts(args));
         stream.write("\n");
     };
 
@@ -131,6 +153,21 @@ export function fail(message, { code = 1, json = false } = {}) {
     process.exit(code);
 }
 
+export function describeError(error, prefix) {
+    if (error instanceof CommandError) return error.message;
+    return `${prefix}: ${error.message}`;
+}
+
+export function isMainModule(moduleUrl) {
+    const entry = process.argv[1];
+    if (!entry) return false;
+    try {
+        return moduleUrl === pathToFileURL(realpathSync(entry)).href;
+    } catch {
+        return false;
+    }
+}
+
 export function resolveBrowserConnection(flags = {}) {
     if (flags.ws || process.env.BROWSER_WS_URL) {
         const endpoint = flags.ws ?? process.env.BROWSER_WS_URL;
@@ -175,6 +212,19 @@ export async function getActivePage(browser, { index = -1 } = {}) {
     return index === -1 ? pages.at(-1) : pages[index] ?? null;
 }
 
+/**
+ * Compiles a URL pattern into a case-insensitive RegExp. Plain values match as
+ * substrings; `*` acts as a wildcard and anchors the pattern to the whole URL.
+ */
+export function compileUrlPattern(value) {
+    const text = String(value);
+    const source = text
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*");
+    return new RegExp(text.includes("*") ? `^${source}$` : source, "i");
+}
+
 export function expandPath(value) {
     if (!value) return value;
     if (value.startsWith("~")) {
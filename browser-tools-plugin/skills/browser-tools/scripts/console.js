@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+
+import {
+    CommandError,
+    DEFAULT_PORT,
+    createLogger,
+    delay,
+    describeError,
+    fail,
+    isMainModule,
+    parseArgs,
+    printJSON,
+    normalizeNumber,
+} from "./config.js";
+import { getTabId, resolvePage, runCommand } from "./session.js";
+
+const LEVELS = ["debug", "info", "warn", "error"];
+const MAX_ENTRIES = 1000;
+
+const CONSOLE_LEVELS = {
+    debug: "debug",
+    verbose: "debug",
+    trace: "debug",
+    warning: "warn",
+    error: "error",
+    assert: "error",
+};
+
+const LOG_LEVELS = {
+    verbose: "debug",
+    info: "info",
+    warning: "warn",
+    error: "error",
+};
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["follow", "clear", "json", "quiet", "daemon"],
+        string: ["level", "since", "tab", "ws", "host"],
+        number: ["port", "timeout", "duration"],
+        alias: {
+            f: "follow",
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 15000,
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    try {
+        parseLevels(args.level);
+        parseSince(args.since);
+    } catch (error) {
+        fail(error.message, { json: jsonOutput });
+    }
+
+    const timeout = normalizeNumber(args.timeout, 15000) + normalizeNumber(args.duration, 0) * 1000;
+
+    // Streaming needs stdout of this process, so --follow always connects directly.
+    const commandArgs = args.follow ? { ...args, daemon: false } : args;
+
+    let result;
+    try {
+        result = await runCommand("console", run, commandArgs, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Console capture failed"), { json: jsonOutput });
+    }
+
+    if (args.follow) {
+        logger.info(`👂 Streamed ${result.count} entries`);
+    } else if (jsonOutput || args.clear) {
+        printJSON(result);
+    } else {
+        process.stdout.write(result.entries.map(formatEntry).join(""));
+    }
+}
+
+export async function run({ browser, logger, state, daemon }, args) {
+    const page = await resolvePage(browser, args);
+    if (!page) {
+        throw new CommandError("No active page found. Navigate first.");
+    }
+
+    const tabId = await getTabId(page);
+    const levels = parseLevels(args.level);
+
+    if (args.follow) {
+        const since = parseSince(args.since) ?? Date.now();
+        let count = 0;
+        const emit = (entry) => {
+            if (entry.timestamp < since || !levels.includes(entry.level)) return;
+            count += 1;
+            process.stdout.write(`${JSON.stringify(toOutput(entry))}\n`);
+        };
+
+        const collector = await attachConsoleCollector(page, { onEntry: emit });
+        logger.info(`👂 Following console output for tab ${tabId} (Ctrl+C to stop)`);
+        try {
+            await waitForStop(page, normalizeNumber(args.duration, 0));
+        } finally {
+            await collector.stop();
+        }
+        return { ok: true, tab: tabId, count };
+    }
+
+    const collector = daemon ? await ensureConsoleCollector(state, page, tabId) : await attachConsoleCollector(page);
+
+    try {
+        if (!daemon) {
+            // Let replayed history arrive before reading the buffer.
+            await delay(150);
+        }
+
+        if (args.clear) {
+            const cleared = collector.entries.length;
+            await collector.clear();
+            logger.info(`🧹 Cleared ${cleared} console entries`);
+            return { ok: true, tab: tabId, cleared };
+        }
+
+        const since = parseSince(args.since);
+        const entries = collector.entries.filter(
+            (entry) => (since === null || entry.timestamp >= since) && levels.includes(entry.level),
+        );
+        logger.info(`📜 ${entries.length} of ${collector.entries.length} console entries`);
+        return { ok: true, tab: tabId, total: collector.entries.length, count: entries.length, entries: entries.map(toOutput) };
+    } finally {
+        if (!daemon) await collector.stop();
+    }
+}
+
+/**
+ * Returns the tab's long-lived collector inside the session daemon, attaching
+ * one on first use so history keeps accumulating between commands.
+ */
+export async function ensureConsoleCollector(state, page, tabId) {
+    const stateKey = `console:${tabId}`;
+    let collector = state.get(stateKey);
+    if (!collector) {
+        collector = await attachConsoleCollector(page);
+        state.set(stateKey, collector);
+        page.once("close", () => state.delete(stateKey));
+    }
+    return collector;
+}
+
+/**
+ * Subscribes to console API calls, uncaught exceptions, browser log entries
+ * (failed resource loads, interventions) and JavaScript dialogs on a dedicated
+ * CDP session. Enabling Runtime and Log replays what the page logged before
+ * we attached, so a fresh collector still sees recent history.
+ */
+export async function attachConsoleCollector(page, { onEntry } = {}) {
+    const client = await page.createCDPSession();
+    const entries = [];
+
+    const push = (entry) => {
+        entries.push(entry);
+        if (entries.length > MAX_ENTRIES) entries.shift();
+        onEntry?.(entry);
+    };
+
+    client.on("Runtime.consoleAPICalled", (event) => {
+        const frame = event.stackTrace?.callFrames?.[0];
+        push({
+            timestamp: event.timestamp,
+            kind: "console",
+            level: CONSOLE_LEVELS[event.type] ?? "info",
+            type: event.type,
+            text: event.args.map(formatRemoteObject).join(" "),
+            source: frame?.url ? formatSource(frame.url, frame.lineNumber, frame.columnNumber) : null,
+            stack: event.type === "trace" || event.type === "assert" ? formatStack(event.stackTrace) : null,
+        });
+    });
+
+    client.on("Runtime.exceptionThrown", (event) => {
+        const details = event.exceptionDetails;
+        const description = details.exception?.description ?? "";
+        const [headline] = description.split("\n");
+        push({
+            timestamp: event.timestamp,
+            kind: "exception",
+            level: "error",
+            text: headline ? `${details.text} ${headline}`.trim() : details.text,
+            source: details.url ? formatSource(details.url, details.lineNumber, details.columnNumber) : null,
+            stack: formatStack(details.stackTrace) ?? (description.includes("\n") ? description : null),
+        });
+    });
+
+    client.on("Log.entryAdded", ({ entry }) => {
+        push({
+            timestamp: entry.timestamp,
+            kind: entry.source === "network" ? "network" : "log",
+            level: LOG_LEVELS[entry.level] ?? "info",
+            text: entry.text,
+            source: entry.url ? formatSource(entry.url, entry.lineNumber, null) : null,
+            stack: formatStack(entry.stackTrace),
+        });
+    });
+
+    client.on("Page.javascriptDialogOpening", (event) => {
+        push({
+            timestamp: Date.now(),
+            kind: "dialog",
+            level: "info",
+            type: event.type,
+            text: event.message,
+            source: event.url ? formatSource(event.url, null, null) : null,
+            stack: null,
+        });
+    });
+
+    await Promise.all([client.send("Runtime.enable"), client.send("Log.enable"), client.send("Page.enable")]);
+
+    return {
+        entries,
+        /** Entries at `error` level recorded at or after the given epoch ms. */
+        errorsSince(timestamp) {
+            return entries.filter((entry) => entry.level === "error" && entry.timestamp >= timestamp).map(toOutput);
+        },
+        async clear() {
+            entries.length = 0;
+            await client.send("Runtime.discardConsoleEntries").catch(() => {});
+            await client.send("Log.clear").catch(() => {});
+        },
+        async stop() {
+            await client.detach().catch(() => {});
+        },
+    };
+}
+
+function waitForStop(page, durationSeconds) {
+    return new Promise((resolve) => {
+        const finish = () => {
+            process.off("SIGINT", finish);
+            process.off("SIGTERM", finish);
+            resolve();
+        };
+        process.once("SIGINT", finish);
+        process.once("SIGTERM", finish);
+        page.once("close", finish);
+        if (durationSeconds > 0) setTimeout(finish, durationSeconds * 1000);
+    });
+}
+
+function parseLevels(value) {
+    if (!value) return LEVELS;
+    const levels = String(value)
+        .split(",")
+        .map((level) => level.trim().toLowerCase())
+        .filter(Boolean)
+        .map((level) => (level === "warning" ? "warn" : level === "log" ? "info" : level));
+    const unknown = levels.filter((level) => !LEVELS.includes(level));
+    if (unknown.length > 0) {
+        throw new CommandError(`Unknown --level "${unknown.join(",")}". Use ${LEVELS.join(", ")}.`);
+    }
+    return levels;
+}
+
+/**
+ * Accepts a relative window (`30s`, `5m`, `1h`, `500ms`), an ISO timestamp, or
+ * epoch milliseconds and returns epoch milliseconds (or null when unset).
+ */
+function parseSince(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const raw = String(value).trim();
+
+    const relative = /^(\d+(?:\.\d+)?)(ms|s|m|h)$/i.exec(raw);
+    if (relative) {
+        const factor = { ms: 1, s: 1000, m: 60000, h: 3600000 }[relative[2].toLowerCase()];
+        return Date.now() - Number(relative[1]) * factor;
+    }
+
+    if (/^\d{10,}$/.test(raw)) return Number(raw);
+
+    const parsed = Date.parse(raw);
+    if (Number.isNaN(parsed)) {
+        throw new CommandError(`Invalid --since "${raw}". Use 30s, 5m, 1h, an ISO timestamp, or epoch milliseconds.`);
+    }
+    return parsed;
+}
+
+function toOutput(entry) {
+    const { timestamp, ...rest } = entry;
+    const output = { time: new Date(timestamp).toISOString(), ...rest };
+    if (!output.source) delete output.source;
+    if (!output.stack) delete output.stack;
+    return output;
+}
+
+function formatEntry(entry) {
+    const time = entry.time.slice(11, 23);
+    const location = entry.source ? `  (${entry.source})` : "";
+    const stack = entry.stack ? `\n${entry.stack.replace(/^/gm, "    ")}` : "";
+    return `${time} [${entry.level}] ${entry.kind === "console" ? "" : `${entry.kind}: `}${entry.text}${location}${stack}\n`;
+}
+
+function formatSource(url, line, column) {
+    let source = url;
+    if (Number.isFinite(line)) source += `:${line + 1}`;
+    if (Number.isFinite(line) && Number.isFinite(column)) source += `:${column + 1}`;
+    return source;
+}
+
+function formatStack(stackTrace) {
+    const frames = stackTrace?.callFrames ?? [];
+    if (frames.length === 0) return null;
+    return frames
+        .map((frame) => `at ${frame.functionName || "<anonymous>"} (${formatSource(frame.url, frame.lineNumber, frame.columnNumber)})`)
+        .join("\n");
+}
+
+/**
+ * Renders a CDP RemoteObject roughly the way DevTools prints it, using the
+ * object preview for shallow structure.
+ */
+function formatRemoteObject(object) {
+    if (object.type === "string") return object.value;
+    if (object.type === "undefined") return "undefined";
+    if (object.unserializableValue) return object.unserializableValue;
+    if ("value" in object && object.type !== "object") return String(object.value);
+    if (object.subtype === "null") return "null";
+
+    const preview = object.preview;
+    if (!preview || (object.type !== "object" && object.type !== "function") || object.subtype === "error") {
+        return object.description ?? object.type;
+    }
+
+    const properties = preview.properties.map((property) => {
+        const value = property.type === "string" ? JSON.stringify(property.value) : property.value;
+        return preview.subtype === "array" ? value : `${property.name}: ${value}`;
+    });
+    if (preview.overflow) properties.push("…");
+    return preview.subtype === "array" ? `[${properties.join(", ")}]` : `{${properties.join(", ")}}`;
+}
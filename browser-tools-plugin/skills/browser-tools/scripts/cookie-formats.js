@@ -0,0 +1,232 @@
+import { CommandError } from "./config.js";
+
+// Canonical format names and the spellings accepted by --format.
+const FORMAT_ALIASES = {
+    json: "json",
+    netscape: "netscape",
+    "cookies.txt": "netscape",
+    txt: "netscape",
+    "storage-state": "storage-state",
+    storagestate: "storage-state",
+    playwright: "storage-state",
+};
+
+export const COOKIE_FORMATS = ["json", "netscape", "storage-state"];
+
+const NETSCAPE_HEADER = [
+    "# Netscape HTTP Cookie File",
+    "# https://curl.se/docs/http-cookies.html",
+    "# Generated by browser-tools cookies.js. Edit at your own risk.",
+    "",
+];
+
+const NETSCAPE_REDACTED = "# Redacted: cookie values are masked and cannot be imported.";
+
+// curl marks HttpOnly cookies by prefixing the domain field.
+const HTTP_ONLY_PREFIX = "#HttpOnly_";
+
+export function resolveCookieFormat(value) {
+    const format = FORMAT_ALIASES[String(value).trim().toLowerCase()];
+    if (!format) {
+        throw new CommandError(`Unknown cookie format "${value}". Use ${COOKIE_FORMATS.join(", ")}.`);
+    }
+    return format;
+}
+
+/**
+ * Guesses the format of a cookie file: JSON with an `origins` array is a
+ * Playwright storage state, other JSON is the cookies.js shape (or a bare
+ * cookie array), and anything else is read as Netscape cookies.txt.
+ */
+export function detectCookieFormat(content) {
+    const text = content.replace(/^\uFEFF/, "").trimStart();
+    if (!text.startsWith("{") && !text.startsWith("[")) return "netscape";
+    try {
+        const payload = JSON.parse(text);
+        return Array.isArray(payload?.origins) ? "storage-state" : "json";
+    } catch {
+        return "json";
+    }
+}
+
+/**
+ * Parses a cookie file into `{ cookies, origins }`. Cookies use the CDP shape:
+ * domain cookies keep their leading dot, host-only cookies have none, and
+ * session cookies have `expires: -1`.
+ */
+export function parseCookieFile(content, format, source = "cookie file") {
+    const text = content.replace(/^\uFEFF/, "");
+    const redactedError = new CommandError(`${source} is a redacted export; its values are masked and cannot be imported.`);
+    if (format === "netscape") {
+        if (text.split(/\r?\n/).includes(NETSCAPE_REDACTED)) throw redactedError;
+        return { cookies: parseNetscape(text, source), origins: [] };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(text);
+    } catch (error) {
+        throw new CommandError(`Invalid JSON in ${source}: ${error.message}`);
+    }
+
+    if (payload?.redacted === true) throw redactedError;
+    const cookies = Array.isArray(payload) ? payload : payload?.cookies;
+    if (!Array.isArray(cookies)) {
+        throw new CommandError(`${source} is missing a 'cookies' array`);
+    }
+
+    return {
+        cookies: cookies.map((cookie, index) => normalizeEntry(cookie, `${source} cookie #${index + 1}`)),
+        origins: format === "storage-state" ? parseOrigins(payload.origins ?? [], source) : [],
+    };
+}
+
+/**
+ * Serializes cookies (CDP shape) and, for storage state, per-origin
+ * localStorage into the text of a cookie file. `redacted` marks the file so
+ * it is refused on import.
+ */
+export function serializeCookies(format, { cookies, origins = [], meta = {}, redacted = false }) {
+    if (format === "netscape") {
+        const lines = cookies.map((cookie) => {
+            const domain = `${cookie.httpOnly ? HTTP_ONLY_PREFIX : ""}${cookie.domain}`;
+            return [
+                domain,
+                cookie.domain.startsWith(".") ? "TRUE" : "FALSE",
+                cookie.path || "/",
+                cookie.secure ? "TRUE" : "FALSE",
+                isSession(cookie) ? 0 : Math.trunc(cookie.expires),
+                cookie.name,
+                cookie.value,
+            ].join("\t");
+        });
+        const header = redacted ? [...NETSCAPE_HEADER.slice(0, -1), NETSCAPE_REDACTED, ""] : NETSCAPE_HEADER;
+        return `${[...header, ...lines].join("\n")}\n`;
+    }
+
+    if (format === "storage-state") {
+        const state = {
+            cookies: cookies.map((cookie) => ({
+                name: cookie.name,
+                value: cookie.value,
+                domain: cookie.domain,
+                path: cookie.path || "/",
+                expires: isSession(cookie) ? -1 : cookie.expires,
+                httpOnly: Boolean(cookie.httpOnly),
+                secure: Boolean(cookie.secure),
+                // Playwright requires sameSite; Chrome treats a missing attribute as Lax.
+                sameSite: normalizeSameSite(cookie.sameSite) ?? "Lax",
+            })),
+            origins,
+            ...(redacted ? { redacted: true } : {}),
+        };
+        return `${JSON.stringify(state, null, 2)}\n`;
+    }
+
+    const payload = { ok: true, ...meta, ...(redacted ? { redacted: true } : {}), total: cookies.length, cookies };
+    return `${JSON.stringify(payload, null, 2)}\n`;
+}
+
+/**
+ * Splits cookies into those still valid and those whose expiry is in the
+ * past. Session cookies never expire here.
+ */
+export function partitionExpired(cookies, now = Date.now()) {
+    const valid = [];
+    const expired = [];
+    for (const cookie of cookies) {
+        if (!isSession(cookie) && cookie.expires * 1000 <= now) expired.push(cookie);
+        else valid.push(cookie);
+    }
+    return { valid, expired };
+}
+
+export function normalizeSameSite(value) {
+    if (!value) return undefined;
+    const normalized = String(value).toLowerCase();
+    if (normalized === "lax") return "Lax";
+    if (normalized === "strict") return "Strict";
+    if (normalized === "none" || normalized === "no_restriction") return "None";
+    return undefined;
+}
+
+function parseNetscape(text, source) {
+    const cookies = [];
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        let line = rawLine;
+        let httpOnly = false;
+        if (line.startsWith(HTTP_ONLY_PREFIX)) {
+            line = line.slice(HTTP_ONLY_PREFIX.length);
+            httpOnly = true;
+        } else if (!line.trim() || line.trimStart().startsWith("#")) {
+            return;
+        }
+
+        const fields = line.split("\t");
+        if (fields.length < 7) {
+            throw new CommandError(
+                `${source} line ${index + 1} is not a Netscape cookie (expected 7 tab-separated fields, got ${fields.length}).`,
+            );
+        }
+        const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields;
+        const seconds = Number(expires);
+        if (!Number.isFinite(seconds)) {
+            throw new CommandError(`${source} line ${index + 1} has an invalid expiry "${expires}".`);
+        }
+
+        const host = domain.replace(/^\./, "");
+        cookies.push({
+            name,
+            // Values may contain tabs; everything after the name belongs to it.
+            value: value.join("\t"),
+            domain: includeSubdomains.toUpperCase() === "TRUE" ? `.${host}` : host,
+            path: path || "/",
+            expires: seconds > 0 ? seconds : -1,
+            httpOnly,
+            secure: secure.toUpperCase() === "TRUE",
+        });
+    });
+    return cookies;
+}
+
+function normalizeEntry(cookie, label) {
+    if (!cookie || typeof cookie.name !== "string" || !cookie.domain) {
+        throw new CommandError(`${label} needs at least a name and a domain.`);
+    }
+    // Browser-extension exports use `expirationDate` and `hostOnly`.
+    const expires = Number(cookie.expires ?? cookie.expirationDate ?? -1);
+    const host = String(cookie.domain);
+    return {
+        name: cookie.name,
+        value: String(cookie.value ?? ""),
+        domain: cookie.hostOnly === false && !host.startsWith(".") ? `.${host}` : host,
+        path: cookie.path || "/",
+        expires: Number.isFinite(expires) && expires > 0 ? expires : -1,
+        httpOnly: Boolean(cookie.httpOnly),
+        secure: Boolean(cookie.secure),
+        sameSite: normalizeSameSite(cookie.sameSite),
+    };
+}
+
+function parseOrigins(origins, source) {
+    if (!Array.isArray(origins)) {
+        throw new CommandError(`${source}: 'origins' must be an array`);
+    }
+    return origins.map((entry, index) => {
+        let origin;
+        try {
+            origin = new URL(entry.origin).origin;
+        } catch {
+            throw new CommandError(`${source} origin #${index + 1} has an invalid URL "${entry?.origin}".`);
+        }
+        const localStorage = (entry.localStorage ?? []).map((item) => ({
+            name: String(item.name),
+            value: String(item.value ?? ""),
+        }));
+        return { origin, localStorage };
+    });
+}
+
+function isSession(cookie) {
+    return cookie.session === true || !(cookie.expires > 0);
+}
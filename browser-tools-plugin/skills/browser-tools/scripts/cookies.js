@@ -1,76 +1,115 @@
 #!/usr/bin/env node
 
-import { readFile, writeFile } from "node:fs/promises";
-import puppeteer from "puppeteer-core";
+import { readFile } from "node:fs/promises";
+import { basename, extname } from "node:path";
 
 import {
+    CommandError,
     DEFAULT_PORT,
     createLogger,
+    describeError,
+    expandPath,
     fail,
-    getActivePage,
+    isMainModule,
     parseArgs,
     printJSON,
-    resolveBrowserConnection,
     normalizeNumber,
 } from "./config.js";
-
-const args = parseArgs(process.argv.slice(2), {
-    boolean: ["clear", "json", "quiet"],
-    string: ["export", "import", "domain", "ws", "host"],
-    number: ["port", "timeout"],
-    alias: {
-        j: "json",
-        q: "quiet",
-    },
-    defaults: {
-        port: DEFAULT_PORT,
-        timeout: 15000,
-    },
-});
-
-const mode = resolveMode(args);
-if (!mode) {
-    fail("Specify one command: --export [file] | --import <file> | --clear", { json: Boolean(args.json) });
+import {
+    detectCookieFormat,
+    normalizeSameSite,
+    parseCookieFile,
+    partitionExpired,
+    resolveCookieFormat,
+    serializeCookies,
+} from "./cookie-formats.js";
+import { isSealedExport, openExport, readSecret, redactValue, sealExport, writeExportFile } from "./export-crypto.js";
+import { resolvePage, runCommand } from "./session.js";
+import { withOriginFrame } from "./web-storage.js";
+
+if (isMainModule(import.meta.url)) {
+    await main();
 }
 
-const jsonOutput = Boolean(args.json);
-const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["clear", "redact", "encrypt", "json", "quiet", "daemon"],
+        string: ["export", "import", "domain", "format", "keyfile", "passphrase-file", "passphrase-env", "tab", "ws", "host"],
+        number: ["port", "timeout"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 15000,
+        },
+    });
 
-const timeout = normalizeNumber(args.timeout, 15000);
-const port = normalizeNumber(args.port, DEFAULT_PORT);
+    const mode = resolveMode(args);
+    if (!mode) {
+        fail("Specify one command: --export [file] | --import <file> | --clear", { json: Boolean(args.json) });
+    }
 
-const connectionOptions = resolveBrowserConnection({ port, host: args.host, ws: args.ws });
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
 
-let browser;
-try {
-    browser = await puppeteer.connect({
-        ...connectionOptions,
-        timeout,
-    });
-} catch (error) {
-    fail(`Failed to connect to browser: ${error.message}`, { json: jsonOutput });
+    const timeout = normalizeNumber(args.timeout, 15000);
+
+    if (mode === "import" && !args.import.trim()) {
+        fail("--import requires a file path", { json: jsonOutput });
+    }
+
+    if (args.export?.trim()) args.export = expandPath(args.export.trim());
+    if (args.import?.trim()) args.import = expandPath(args.import.trim());
+
+    try {
+        args.secret = await readSecret(args, { fromEnvironment: mode === "import" });
+    } catch (error) {
+        fail(describeError(error, "Reading the export secret failed"), { json: jsonOutput });
+    }
+
+    let result;
+    try {
+        result = await runCommand("cookies", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Cookie operation failed"), { json: jsonOutput });
+    }
+
+    if (jsonOutput) {
+        printJSON(result);
+    } else if (mode !== "export") {
+        process.stdout.write(`${JSON.stringify(result)}\n`);
+    } else if (result.content !== undefined) {
+        process.stdout.write(result.content);
+    } else if (!result.path) {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    }
 }
 
-try {
-    const page = await getActivePage(browser, { index: 0 });
+export async function run({ browser, logger }, args) {
+    const mode = resolveMode(args);
+    const timeout = normalizeNumber(args.timeout, 15000);
+
+    const page = await resolvePage(browser, args, { index: 0 });
     if (!page) {
-        fail("No active page found. Start a session first.", { json: jsonOutput });
+        throw new CommandError("No active page found. Start a session first.");
     }
 
     const client = await page.createCDPSession();
-    await client.send("Network.enable");
+    try {
+        await client.send("Network.enable");
 
-    if (mode === "export") {
-        await handleExport({ page, client, args, logger, jsonOutput });
-    } else if (mode === "import") {
-        await handleImport({ page, client, args, logger, jsonOutput, timeout });
-    } else {
-        await handleClear({ client, args, logger, jsonOutput });
+        if (mode === "export") {
+            return await handleExport({ page, client, args, logger });
+        }
+        if (mode === "import") {
+            return await handleImport({ page, client, args, logger, timeout });
+        }
+        return await handleClear({ client, args, logger });
+    } finally {
+        await client.detach().catch(() => {});
     }
-} catch (error) {
-    fail(`Cookie operation failed: ${error.message}`, { json: jsonOutput });
-} finally {
-    if (browser) await browser.disconnect();
 }
 
 function resolveMode(parsed) {
@@ -80,9 +119,14 @@ function resolveMode(parsed) {
     return null;
 }
 
-async function handleExport({ page, client, args: parsed, logger: log, jsonOutput }) {
+async function handleExport({ page, client, args: parsed, logger: log }) {
     const domainFilter = parsed.domain ?? null;
     const outputPath = parsed.export?.trim() ? parsed.export : null;
+    const format = parsed.format
+        ? resolveCookieFormat(parsed.format)
+        : outputPath && extname(outputPath).toLowerCase() === ".txt"
+            ? "netscape"
+            : "json";
 
     const { cookies } = await client.send("Network.getAllCookies");
 
@@ -94,61 +138,101 @@ async function handleExport({ page, client, args: parsed, logger: log, jsonOutpu
         return a.name.localeCompare(b.name);
     });
 
-    const payload = {
-        ok: true,
-        exportedAt: new Date().toISOString(),
-        pageUrl: page.url(),
-        domain: domainFilter,
-        total: filtered.length,
-        cookies: filtered.map((cookie) => ({
-            name: cookie.name,
-            value: cookie.value,
-            domain: cookie.domain,
-            path: cookie.path,
-            expires: cookie.expires,
-            httpOnly: cookie.httpOnly,
-            secure: cookie.secure,
-            sameSite: cookie.sameSite,
-            priority: cookie.priority,
-        })),
-    };
-
-    if (outputPath) {
-        await writeFile(outputPath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
-        log.info(`🍪 Exported ${filtered.length} cookies to ${outputPath}`);
-        if (jsonOutput) {
-            printJSON({ ok: true, path: outputPath, total: filtered.length });
+    const redact = Boolean(parsed.redact);
+    const exported = redact ? filtered.map((cookie) => ({ ...cookie, value: redactValue(cookie.value) })) : filtered;
+    const origins = format === "storage-state" ? await collectLocalStorage(page.browser(), domainFilter) : [];
+    if (redact) {
+        for (const origin of origins) {
+            origin.localStorage = origin.localStorage.map(({ name, value }) => ({ name, value: redactValue(value) }));
         }
-    } else if (jsonOutput) {
-        printJSON(payload);
-    } else {
-        process.stdout.write(`${JSON.stringify(payload, null, 2)}\n`);
     }
-}
 
-async function handleImport({ page, client, args: parsed, logger: log, jsonOutput, timeout }) {
-    const sourcePath = parsed.import?.trim();
-    if (!sourcePath) {
-        fail("--import requires a file path", { json: jsonOutput });
+    const meta = { exportedAt: new Date().toISOString(), pageUrl: page.url(), domain: domainFilter };
+    const payload =
+        format === "json"
+            ? {
+                ok: true,
+                ...meta,
+                ...(redact ? { redacted: true } : {}),
+                total: exported.length,
+                cookies: exported.map((cookie) => ({
+                    name: cookie.name,
+                    value: cookie.value,
+                    domain: cookie.domain,
+                    path: cookie.path,
+                    expires: cookie.expires,
+                    httpOnly: cookie.httpOnly,
+                    secure: cookie.secure,
+                    sameSite: cookie.sameSite,
+                    priority: cookie.priority,
+                })),
+            }
+            : null;
+    let content = payload
+        ? `${JSON.stringify(payload, null, 2)}\n`
+        : serializeCookies(format, { cookies: exported, origins, redacted: redact });
+
+    const secret = await resolveSecret(parsed);
+    if (secret) {
+        content = sealExport(content, secret, {
+            format,
+            meta: { ...meta, total: exported.length, origins: origins.length, redacted: redact },
+        });
     }
 
-    const content = await readFile(sourcePath, "utf8");
-    let payload;
-    try {
-        payload = JSON.parse(content);
-    } catch (error) {
-        fail(`Invalid JSON in ${sourcePath}: ${error.message}`, { json: jsonOutput });
+    const summary = {
+        format,
+        total: exported.length,
+        ...(format === "storage-state" ? { origins: origins.length } : {}),
+        encrypted: Boolean(secret),
+        redacted: redact,
+    };
+    if (outputPath) {
+        await writeExportFile(outputPath, content);
+        const extra = origins.length ? ` and localStorage for ${origins.length} origins` : "";
+        log.info(`🍪 Exported ${exported.length} cookies${extra} to ${outputPath}${secret ? " (encrypted)" : redact ? " (redacted)" : ""}`);
+        return { ok: true, path: outputPath, ...summary };
     }
+    if (payload && !secret) return payload;
+    return { ok: true, ...summary, content };
+}
 
-    if (!payload.cookies || !Array.isArray(payload.cookies)) {
-        fail("Cookie file missing 'cookies' array", { json: jsonOutput });
+async function handleImport({ page, client, args: parsed, logger: log, timeout }) {
+    const sourcePath = parsed.import;
+
+    let content = await readFile(sourcePath, "utf8");
+    let sealedFormat = null;
+    if (isSealedExport(content)) {
+        // Verified before anything is parsed, so a modified file never reaches the browser.
+        ({ content, format: sealedFormat } = openExport(content, await resolveSecret(parsed, { fromEnvironment: true }), basename(sourcePath)));
+        log.info(`🔓 Verified and decrypted ${basename(sourcePath)}`);
     }
+    const format = parsed.format ? resolveCookieFormat(parsed.format) : sealedFormat ?? detectCookieFormat(content);
+    const { cookies, origins } = parseCookieFile(content, format, basename(sourcePath));
 
-    const cookiesToSet = payload.cookies.map((cookie) => normalizeCookie(cookie));
+    // Chrome would accept and immediately discard these, so report them instead.
+    const { valid, expired } = partitionExpired(cookies);
+    const dropped = expired.map((cookie) => ({
+        name: cookie.name,
+        domain: cookie.domain,
+        path: cookie.path,
+        expiredAt: new Date(cookie.expires * 1000).toISOString(),
+    }));
+    for (const cookie of dropped) {
+        log.warn(`⏭️  Dropped expired cookie ${cookie.name} (${cookie.domain}, expired ${cookie.expiredAt})`);
+    }
 
-    await client.send("Network.setCookies", { cookies: cookiesToSet });
+    const rejected = await setCookies(client, valid);
+    for (const cookie of rejected) {
+        log.warn(`⚠️  Chrome rejected cookie ${cookie.name} (${cookie.domain}): ${cookie.reason}`);
+    }
+    const imported = valid.length - rejected.length;
+    log.info(`✅ Imported ${imported} cookies from ${format} file`);
 
-    log.info(`✅ Imported ${cookiesToSet.length} cookies`);
+    const restored = await restoreLocalStorage(page.browser(), origins, timeout);
+    if (restored > 0) {
+        log.info(`✅ Restored localStorage for ${restored} origins`);
+    }
 
     try {
         await page.reload({ waitUntil: "networkidle0", timeout });
@@ -157,27 +241,41 @@ async function handleImport({ page, client, args: parsed, logger: log, jsonOutpu
         log.warn(`⚠️  Page reload failed: ${error.message}`);
     }
 
-    const result = { ok: true, imported: cookiesToSet.length };
-    if (jsonOutput) {
-        printJSON(result);
-    } else {
-        process.stdout.write(`${JSON.stringify(result)}\n`);
+    return { ok: true, format, encrypted: Boolean(sealedFormat), imported, dropped, rejected, origins: restored };
+}
+
+/**
+ * Sets cookies in one call, retrying one at a time when Chrome rejects the
+ * batch so a single invalid cookie (e.g. a domain cookie on an IP address)
+ * does not block the rest. Resolves to the rejected cookies.
+ */
+async function setCookies(client, cookies) {
+    if (cookies.length === 0) return [];
+    try {
+        await client.send("Network.setCookies", { cookies: cookies.map((cookie) => toCookieParam(cookie)) });
+        return [];
+    } catch {
+        // Fall through to per-cookie calls to find the offending entries.
     }
+
+    const rejected = [];
+    for (const cookie of cookies) {
+        const reason = await client
+            .send("Network.setCookie", toCookieParam(cookie))
+            .then(({ success }) => (success === false ? "invalid cookie" : null))
+            .catch((error) => error.message.replace(/^Protocol error \([^)]*\):\s*/, ""));
+        if (reason) rejected.push({ name: cookie.name, domain: cookie.domain, path: cookie.path, reason });
+    }
+    return rejected;
 }
 
-async function handleClear({ client, args: parsed, logger: log, jsonOutput }) {
+async function handleClear({ client, args: parsed, logger: log }) {
     const domainFilter = parsed.domain ?? null;
 
     if (!domainFilter) {
         await client.send("Network.clearBrowserCookies");
-        const result = { ok: true, cleared: "all" };
-        if (jsonOutput) {
-            printJSON(result);
-        } else {
-            process.stdout.write(`${JSON.stringify(result)}\n`);
-        }
         log.info("🧹 Cleared all cookies");
-        return;
+        return { ok: true, cleared: "all" };
     }
 
     const { cookies } = await client.send("Network.getAllCookies");
@@ -191,25 +289,34 @@ async function handleClear({ client, args: parsed, logger: log, jsonOutput }) {
         });
     }
 
-    const result = { ok: true, cleared: filtered.length, domain: domainFilter };
-    if (jsonOutput) {
-        printJSON(result);
-    } else {
-        process.stdout.write(`${JSON.stringify(result)}\n`);
-    }
     log.info(`🧹 Cleared ${filtered.length} cookies for ${domainFilter}`);
+    return { ok: true, cleared: filtered.length, domain: domainFilter };
+}
+
+// The CLI reads the secret in its own process; run.js steps read it where they run.
+async function resolveSecret(parsed, options) {
+    return parsed.secret ?? (await readSecret(parsed, options));
 }
 
-function normalizeCookie(cookie) {
+/**
+ * Converts a parsed cookie to `Network.setCookies` parameters. Host-only
+ * cookies are set through a URL; passing their domain would widen them to
+ * every subdomain.
+ */
+function toCookieParam(cookie) {
     const sameSite = normalizeSameSite(cookie.sameSite);
     const param = {
         name: cookie.name,
         value: cookie.value,
-        domain: cookie.domain,
         path: cookie.path ?? "/",
     };
 
-    if (cookie.expires && Number.isFinite(cookie.expires)) {
+    if (cookie.domain.startsWith(".")) {
+        param.domain = cookie.domain;
+    } else {
+        param.url = `${cookie.secure ? "https" : "http"}://${cookie.domain}${param.path}`;
+    }
+    if (cookie.expires && Number.isFinite(cookie.expires) && cookie.expires > 0) {
         param.expires = cookie.expires;
     }
     if (cookie.httpOnly !== undefined) param.httpOnly = Boolean(cookie.httpOnly);
@@ -219,11 +326,48 @@ function normalizeCookie(cookie) {
     return param;
 }
 
-function normalizeSameSite(value) {
-    if (!value) return undefined;
-    const normalized = String(value).toLowerCase();
-    if (normalized === "lax") return "Lax";
-    if (normalized === "strict") return "Strict";
-    if (normalized === "none") return "None";
-    return undefined;
-}
\ No newline at end of file
+/**
+ * Reads localStorage from every http(s) frame open in the browser. Storage of
+ * origins without an open frame is not reachable over DevTools.
+ */
+async function collectLocalStorage(browser, domainFilter) {
+    const origins = new Map();
+    for (const page of await browser.pages()) {
+        for (const frame of page.frames()) {
+            let origin;
+            try {
+                origin = new URL(frame.url()).origin;
+            } catch {
+                continue;
+            }
+            if (!/^https?:/.test(origin) || origins.has(origin)) continue;
+            if (domainFilter && !new URL(origin).hostname.includes(domainFilter)) continue;
+            const entries = await frame.evaluate(() => Object.entries(window.localStorage)).catch(() => null);
+            if (entries?.length) {
+                origins.set(origin, entries.map(([name, value]) => ({ name, value })));
+            }
+        }
+    }
+    return [...origins].map(([origin, localStorage]) => ({ origin, localStorage }));
+}
+
+/**
+ * Writes storage-state localStorage into each origin, through an open tab of
+ * that origin or a scratch tab that never contacts the site. Resolves to the
+ * number of origins written.
+ */
+async function restoreLocalStorage(browser, origins, timeout) {
+    const pending = origins.filter((entry) => entry.localStorage.length > 0);
+    for (const { origin, localStorage } of pending) {
+        await withOriginFrame(
+            browser,
+            origin,
+            (frame) =>
+                frame.evaluate((items) => {
+                    for (const { name, value } of items) window.localStorage.setItem(name, value);
+                }, localStorage),
+            { timeout },
+        );
+    }
+    return pending.length;
+}
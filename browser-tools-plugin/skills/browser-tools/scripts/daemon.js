@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+import http from "node:http";
+import { randomUUID } from "node:crypto";
+import { mkdir, rm, writeFile } from "node:fs/promises";
+import puppeteer from "puppeteer-core";
+
+import {
+    CommandError,
+    STATE_DIR,
+    createLogger,
+    fail,
+    parseArgs,
+    printJSON,
+    resolveBrowserConnection,
+    normalizeNumber,
+} from "./config.js";
+import {
+    DAEMON_COMMANDS,
+    createRecordingLogger,
+    daemonStatePath,
+    getDaemonStatus,
+    resolvePort,
+    spawnDaemon,
+    stopDaemon,
+} from "./session.js";
+
+const args = parseArgs(process.argv.slice(2), {
+    boolean: ["status", "stop", "detach", "json", "quiet"],
+    string: ["host"],
+    number: ["port", "timeout"],
+    alias: {
+        j: "json",
+        q: "quiet",
+    },
+    defaults: {
+        timeout: 15000,
+    },
+});
+
+const jsonOutput = Boolean(args.json);
+const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+const port = resolvePort(args);
+const host = args.host ?? "127.0.0.1";
+const timeout = normalizeNumber(args.timeout, 15000);
+
+if (args.status) {
+    const status = await getDaemonStatus(port);
+    const result = status
+        ? { ok: true, running: true, port, pid: status.pid, daemonPort: status.daemonPort, startedAt: status.startedAt }
+        : { ok: true, running: false, port };
+    printJSON(result);
+    process.exit(0);
+}
+
+if (args.stop) {
+    const stopped = await stopDaemon(port);
+    logger.info(stopped ? "🛑 Daemon stopped" : "ℹ️  No daemon running");
+    printJSON({ ok: true, port, stopped });
+    process.exit(0);
+}
+
+if (await getDaemonStatus(port)) {
+    fail(`A daemon is already running for port ${port}. Stop it with daemon.js --stop.`, { json: jsonOutput });
+}
+
+if (args.detach) {
+    const state = await spawnDaemon({ port, host, timeout });
+    if (!state) {
+        fail("Daemon did not become ready in time.", { json: jsonOutput });
+    }
+    logger.info(`✅ Daemon listening on 127.0.0.1:${state.daemonPort} (pid ${state.pid})`);
+    printJSON({ ok: true, port, pid: state.pid, daemonPort: state.daemonPort });
+    process.exit(0);
+}
+
+let browser;
+try {
+    browser = await puppeteer.connect({
+        ...resolveBrowserConnection({ port, host }),
+        timeout,
+    });
+} catch (error) {
+    fail(`Failed to connect to browser: ${error.message}`, { json: jsonOutput });
+}
+
+// Shared across requests so commands can keep per-page state (listeners,
+// handles, injected helpers) between invocations.
+const sharedState = new Map();
+const handlers = new Map();
+const token = randomUUID();
+const startedAt = new Date().toISOString();
+const statePath = daemonStatePath(port);
+let shuttingDown = false;
+
+const server = http.createServer((request, response) => {
+    handleRequest(request, response).catch((error) => {
+        respond(response, 500, { ok: false, error: error.message });
+    });
+});
+
+await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+const daemonPort = server.address().port;
+
+await mkdir(STATE_DIR, { recursive: true });
+await writeFile(
+    statePath,
+    `${JSON.stringify({ pid: process.pid, port, daemonPort, token, startedAt }, null, 2)}\n`,
+    { encoding: "utf8", mode: 0o600 },
+);
+
+logger.info(`✅ Daemon for Chrome on port ${port} listening on 127.0.0.1:${daemonPort}`);
+
+browser.on("disconnected", () => {
+    logger.info("🔌 Browser disconnected; shutting down daemon");
+    shutdown(0);
+});
+
+process.on("SIGINT", () => shutdown(0));
+process.on("SIGTERM", () => shutdown(0));
+
+async function handleRequest(request, response) {
+    if (request.headers.authorization !== `Bearer ${token}`) {
+        respond(response, 401, { ok: false, error: "Unauthorized" });
+        return;
+    }
+
+    if (request.method === "GET" && request.url === "/health") {
+        respond(response, 200, {
+            ok: true,
+            pid: process.pid,
+            uptime: Math.round(process.uptime()),
+            commands: DAEMON_COMMANDS,
+        });
+        return;
+    }
+
+    if (request.method !== "POST") {
+        respond(response, 405, { ok: false, error: "Method not allowed" });
+        return;
+    }
+
+    const body = await readBody(request);
+
+    if (request.url === "/shutdown") {
+        response.once("finish", () => shutdown(0));
+        respond(response, 200, { ok: true });
+        return;
+    }
+
+    if (request.url !== "/command") {
+        respond(response, 404, { ok: false, error: `Unknown route: ${request.url}` });
+        return;
+    }
+
+    const { command, args: commandArgs = {}, timeout: limit } = body ?? {};
+    if (!DAEMON_COMMANDS.includes(command)) {
+        respond(response, 400, { ok: false, expected: true, error: `Unknown command: ${command}` });
+        return;
+    }
+
+    const recorder = createRecordingLogger();
+    try {
+        const handler = await loadHandler(command);
+        const result = await withDeadline(
+            handler({ browser, logger: recorder, state: sharedState, daemon: true }, commandArgs),
+            normalizeNumber(limit, 30000),
+            command,
+        );
+        respond(response, 200, { ok: true, result, logs: recorder.entries });
+    } catch (error) {
+        respond(response, 200, {
+            ok: false,
+            expected: error instanceof CommandError,
+            error: error.message,
+            logs: recorder.entries,
+        });
+    }
+}
+
+async function loadHandler(command) {
+    if (!handlers.has(command)) {
+        const module = await import(new URL(`./${command}.js`, import.meta.url));
+        handlers.set(command, module.run);
+    }
+    return handlers.get(command);
+}
+
+// The handler keeps running after the deadline; only its response is abandoned.
+function withDeadline(promise, ms, command) {
+    let timer;
+    const deadline = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new CommandError(`${command} did not finish within ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+async function readBody(request) {
+    const chunks = [];
+    for await (const chunk of request) {
+        chunks.push(chunk);
+    }
+    if (chunks.length === 0) return null;
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+}
+
+function respond(response, status, payload) {
+    response.writeHead(status, { "content-type": "application/json" });
+    response.end(JSON.stringify(payload));
+}
+
+async function shutdown(code) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    server.close();
+    await rm(statePath, { force: true });
+    if (browser.connected) await browser.disconnect();
+    process.exit(code);
+}
@@ -1,375 +1,773 @@
 #!/usr/bin/env node
 
-import puppeteer from "puppeteer-core";
-
 import {
+    CommandError,
     DEFAULT_PORT,
     createLogger,
+    describeError,
     fail,
-    getActivePage,
+    isMainModule,
     parseArgs,
     printJSON,
-    resolveBrowserConnection,
     normalizeNumber,
 } from "./config.js";
+import {
+    collectElementInfo,
+    cssSelectorSource,
+    describeMissingTarget,
+    locateAll,
+    locateElement,
+    textLocator,
+} from "./locator.js";
+import { resolvePage, runCommand } from "./session.js";
+
+// Flags that act on the element, which --all cannot combine with.
+const ACTION_FLAGS = ["click", "scroll", "check", "uncheck", "clear", "submit", "type", "fill", "select", "press"];
+
+// How long the interactive picker waits unless --timeout says otherwise.
+const PICKER_TIMEOUT = 60000;
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
 
-const args = parseArgs(process.argv.slice(2), {
-    boolean: ["click", "scroll", "json", "quiet"],
-    string: ["text", "ws", "host"],
-    number: ["port", "timeout"],
-    alias: {
-        j: "json",
-        q: "quiet",
-    },
-    defaults: {
-        port: DEFAULT_PORT,
-        timeout: 15000,
-    },
-});
-
-const jsonOutput = Boolean(args.json);
-const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
-
-const selector = args._[0] ?? null;
-const textSearch = args.text ?? null;
-const timeout = normalizeNumber(args.timeout, 15000);
-const port = normalizeNumber(args.port, DEFAULT_PORT);
-
-const connectionOptions = resolveBrowserConnection({ port, host: args.host, ws: args.ws });
-
-let browser;
-try {
-    browser = await puppeteer.connect({
-        ...connectionOptions,
-        timeout,
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["all", "click", "scroll", "check", "uncheck", "clear", "submit", "json", "quiet", "daemon"],
+        string: ["text", "type", "fill", "select", "press", "tab", "ws", "host"],
+        number: ["port", "timeout", "delay", "limit"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            limit: 50,
+        },
     });
-} catch (error) {
-    fail(`Failed to connect to browser: ${error.message}`, { json: jsonOutput });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    if (args.check && args.uncheck) {
+        fail("Use either --check or --uncheck, not both.", { json: jsonOutput });
+    }
+    if (typeof args.type === "string" && typeof args.fill === "string") {
+        fail("Use either --type or --fill, not both.", { json: jsonOutput });
+    }
+    if (args.select === "" || args.press === "") {
+        fail(`--${args.select === "" ? "select" : "press"} requires a value`, { json: jsonOutput });
+    }
+    if (args.all && !args._[0] && !args.text) {
+        fail("--all needs a target or --text to list matches for.", { json: jsonOutput });
+    }
+    if (args.all && ACTION_FLAGS.some((flag) => args[flag] !== undefined && args[flag] !== false)) {
+        fail("--all only lists matches; add >> nth=<index> to the target to act on one of them.", { json: jsonOutput });
+    }
+
+    // Without a target the picker waits on the user, so the command needs the picker's budget.
+    const picking = !args._[0] && !args.text;
+    const timeout = normalizeNumber(args.timeout, picking ? PICKER_TIMEOUT : 15000);
+
+    let output;
+    try {
+        output = await runCommand("element", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Element lookup failed"), { json: jsonOutput });
+    }
+
+    if (jsonOutput) {
+        printJSON(output);
+    } else if (output.elements) {
+        logger.info(`✅ ${output.count} ${args.all ? "matching" : "picked"} element(s)`);
+        process.stdout.write(output.elements.map(formatHumanOutput).join("\n"));
+    } else {
+        logger.info(`✅ Element ${output.selector}`);
+        process.stdout.write(formatHumanOutput(output));
+    }
 }
 
-try {
-    const page = await getActivePage(browser, { index: -1 });
+export async function run({ browser, logger }, args) {
+    const selector = args._[0] ?? null;
+    const textSearch = args.text ?? null;
+
+    const page = await resolvePage(browser, args);
     if (!page) {
-        fail("No active page found. Navigate first.", { json: jsonOutput });
+        throw new CommandError("No active page found. Navigate first.");
     }
 
-    const elementResult = await resolveElement(page, { selector, textSearch, timeout });
+    if (args.all) {
+        return await listMatches(page, selector ?? textLocator(textSearch), normalizeNumber(args.limit, 50));
+    }
+
+    let elementResult;
+    if (selector || textSearch) {
+        elementResult = await resolveElement(page, { selector, textSearch });
+    } else {
+        const picks = await pickElements(page, normalizeNumber(args.timeout, PICKER_TIMEOUT));
+        if (picks.length > 1) return await listPicks(picks, args);
+        elementResult = picks[0] ?? null;
+    }
     if (!elementResult || !elementResult.handle) {
         const message = selector
-            ? `Selector not found: ${selector}`
+            ? describeMissingTarget(selector)
             : textSearch
-              ? `No element found containing text: ${textSearch}`
+              ? describeMissingTarget(textLocator(textSearch))
               : "No element selected.";
-        fail(message, { json: jsonOutput });
+        throw new CommandError(message);
     }
 
     const { handle, info } = elementResult;
 
-    if (args.scroll) {
-        await handle.evaluate((el) => {
-            el.scrollIntoView({ behavior: "smooth", block: "center", inline: "center" });
-        });
-        logger.info("↕️  Element scrolled into view");
+    try {
+        if (args.scroll) {
+            await handle.evaluate((el) => {
+                el.scrollIntoView({ behavior: "smooth", block: "center", inline: "center" });
+            });
+            logger.info("↕️  Element scrolled into view");
+        }
+
+        const formActions = await applyFormActions(page, handle, args, logger);
+
+        if (args.click) {
+            try {
+                await handle.click({ delay: 20 });
+                logger.info("🖱️  Element clicked");
+            } catch (error) {
+                throw new CommandError(`Click failed: ${error.message}`);
+            }
+        }
+
+        const keyActions = await applyKeyActions(handle, args, logger);
+        const actions = [...formActions, ...keyActions];
+
+        const output = {
+            ok: true,
+            selector: info.selector,
+            selectors: info.selectors,
+            tag: info.tag,
+            id: info.id,
+            classes: info.classes,
+            text: info.text,
+            attributes: info.attributes,
+            rect: info.rect,
+            visible: info.visible,
+            children: info.children,
+            ...(info.note ? { note: info.note } : {}),
+        };
+
+        if (actions.length > 0) {
+            output.actions = actions;
+            output.state = await readFieldState(handle);
+        }
+
+        return output;
+    } finally {
+        await handle.dispose();
+    }
+}
+
+/**
+ * Reports every element a target matches. Each selector is the target plus
+ * `>> nth=<index>`, so it resolves back to exactly that element.
+ */
+async function listMatches(page, target, limit) {
+    const handles = await locateAll(page, target);
+    try {
+        if (handles.length === 0) {
+            throw new CommandError(describeMissingTarget(target));
+        }
+        const source = typeof target === "string" ? target : target.source;
+        const elements = [];
+        for (const [index, handle] of handles.slice(0, Math.max(1, limit)).entries()) {
+            elements.push({ index, ...(await collectElementInfo(handle, `${source} >> nth=${index}`)) });
+        }
+        return { ok: true, count: handles.length, truncated: handles.length > elements.length, elements };
+    } finally {
+        await Promise.all(handles.map((handle) => handle.dispose()));
+    }
+}
+
+/**
+ * Reports a multi-element pick in selection order. Actions need a single
+ * element, so they are refused here rather than applied to the first pick.
+ */
+async function listPicks(picks, parsed) {
+    try {
+        if (ACTION_FLAGS.some((flag) => parsed[flag] !== undefined && parsed[flag] !== false)) {
+            throw new CommandError(`${picks.length} elements were picked; actions need exactly one.`);
+        }
+        return { ok: true, count: picks.length, elements: picks.map(({ info }, index) => ({ index, ...info })) };
+    } finally {
+        await Promise.all(picks.map(({ handle }) => handle.dispose()));
     }
+}
 
-    if (args.click) {
+/**
+ * Runs the value-changing actions in a fixed order (clear → fill/type →
+ * select → check/uncheck) using real keyboard and mouse input so framework
+ * listeners (React, Vue) observe the same events as a user would produce.
+ */
+async function applyFormActions(page, handle, parsed, log) {
+    const actions = [];
+    const delay = normalizeNumber(parsed.delay, 0);
+
+    if (parsed.clear || typeof parsed.fill === "string") {
+        await clearField(page, handle);
+        actions.push("clear");
+        if (parsed.clear) log.info("🧽 Field cleared");
+    }
+
+    if (typeof parsed.fill === "string" && parsed.fill !== "") {
+        await handle.type(parsed.fill, { delay });
+        actions.push("fill");
+        log.info("⌨️  Field filled");
+    }
+
+    if (typeof parsed.type === "string" && parsed.type !== "") {
+        await handle.type(parsed.type, { delay });
+        actions.push("type");
+        log.info("⌨️  Text typed");
+    }
+
+    if (typeof parsed.select === "string") {
+        const selected = await selectOption(handle, parsed.select);
+        actions.push("select");
+        log.info(`📋 Selected ${selected.join(", ")}`);
+    }
+
+    if (parsed.check || parsed.uncheck) {
+        await setChecked(handle, Boolean(parsed.check));
+        actions.push(parsed.check ? "check" : "uncheck");
+        log.info(parsed.check ? "☑️  Element checked" : "⬜ Element unchecked");
+    }
+
+    return actions;
+}
+
+async function applyKeyActions(handle, parsed, log) {
+    const actions = [];
+
+    if (typeof parsed.press === "string") {
         try {
-            await handle.click({ delay: 20 });
-            logger.info("🖱️  Element clicked");
+            await handle.press(parsed.press);
         } catch (error) {
-            fail(`Click failed: ${error.message}`, { json: jsonOutput });
+            throw new CommandError(`Key press failed: ${error.message}`);
         }
+        actions.push("press");
+        log.info(`⌨️  Pressed ${parsed.press}`);
     }
 
-    const output = {
-        ok: true,
-        selector: info.selector,
-        tag: info.tag,
-        id: info.id,
-        classes: info.classes,
-        text: info.text,
-        attributes: info.attributes,
-        rect: info.rect,
-        visible: info.visible,
-        children: info.children,
-    };
+    if (parsed.submit) {
+        const submitted = await handle.evaluate((el) => {
+            const form = el instanceof HTMLFormElement ? el : el.form ?? el.closest("form");
+            if (!form) return false;
+            const submitter = el.type === "submit" && el.form === form ? el : undefined;
+            if (typeof form.requestSubmit === "function") {
+                form.requestSubmit(submitter);
+            } else {
+                form.submit();
+            }
+            return true;
+        });
+        if (!submitted) {
+            throw new CommandError("Submit failed: element is not inside a form");
+        }
+        actions.push("submit");
+        log.info("📨 Form submitted");
+    }
 
-    if (jsonOutput) {
-        printJSON(output);
-    } else {
-        logger.info(`✅ Element ${info.selector}`);
-        process.stdout.write(formatHumanOutput(output));
+    return actions;
+}
+
+async function clearField(page, handle) {
+    const typeable = await handle.evaluate((el) => {
+        if (el instanceof HTMLTextAreaElement || el.isContentEditable) return true;
+        const textTypes = ["text", "search", "url", "tel", "password", "email", "number"];
+        return el instanceof HTMLInputElement && textTypes.includes(el.type);
+    });
+
+    if (typeable) {
+        await handle.focus();
+        await handle.evaluate((el) => {
+            if (typeof el.select === "function") {
+                el.select();
+                return;
+            }
+            const range = document.createRange();
+            range.selectNodeContents(el);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        });
+        await page.keyboard.press("Backspace");
+        return;
+    }
+
+    // Date, color, and range inputs have no text selection to delete; use the
+    // native value setter so framework-controlled inputs still see the change.
+    await handle.evaluate((el) => {
+        if (!("value" in el) || el instanceof HTMLSelectElement) return;
+        const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), "value")?.set;
+        if (setter) setter.call(el, "");
+        else el.value = "";
+        el.dispatchEvent(new Event("input", { bubbles: true }));
+        el.dispatchEvent(new Event("change", { bubbles: true }));
+    });
+}
+
+async function selectOption(handle, wanted) {
+    const values = await handle.evaluate((el, target) => {
+        if (!(el instanceof HTMLSelectElement)) return null;
+        const options = Array.from(el.options);
+        const match =
+            options.find((option) => option.value === target) ??
+            options.find((option) => option.label.trim() === target) ??
+            options.find((option) => option.text.trim().toLowerCase() === target.toLowerCase());
+        return match ? [match.value] : [];
+    }, wanted);
+
+    if (values === null) {
+        throw new CommandError("Select failed: element is not a <select>");
+    }
+    if (values.length === 0) {
+        throw new CommandError(`Select failed: no option with value or label "${wanted}"`);
     }
 
-    await handle.dispose();
-} catch (error) {
-    fail(`Element lookup failed: ${error.message}`, { json: jsonOutput });
-} finally {
-    if (browser) await browser.disconnect();
+    return await handle.select(...values);
 }
 
-async function resolveElement(page, { selector: rawSelector, textSearch: rawText, timeout: timeoutMs }) {
+async function setChecked(handle, desired) {
+    const readChecked = () =>
+        handle.evaluate((el) => {
+            if (el instanceof HTMLInputElement && ["checkbox", "radio"].includes(el.type)) return el.checked;
+            const aria = el.getAttribute("aria-checked");
+            return aria === null ? null : aria === "true";
+        });
+
+    const current = await readChecked();
+    if (current === null) {
+        throw new CommandError("Check failed: element is not a checkbox, radio, or [aria-checked] control");
+    }
+    if (current === desired) return;
+
+    await handle.click({ delay: 20 });
+
+    if ((await readChecked()) !== desired) {
+        throw new CommandError(`${desired ? "Check" : "Uncheck"} failed: state did not change after clicking`);
+    }
+}
+
+async function readFieldState(handle) {
+    try {
+        return await handle.evaluate((el) => {
+            const state = {};
+            if (el instanceof HTMLSelectElement) {
+                state.value = el.value;
+                state.selected = Array.from(el.selectedOptions, (option) => ({
+                    value: option.value,
+                    label: option.label,
+                }));
+            } else if ("value" in el && !(el instanceof HTMLButtonElement)) {
+                state.value = el.type === "password" ? "•".repeat(el.value.length) : el.value;
+            } else if (el.isContentEditable) {
+                state.value = el.innerText;
+            }
+            if (el instanceof HTMLInputElement && ["checkbox", "radio"].includes(el.type)) {
+                state.checked = el.checked;
+            } else if (el.hasAttribute("aria-checked")) {
+                state.checked = el.getAttribute("aria-checked") === "true";
+            }
+            state.focused = document.activeElement === el;
+            return state;
+        });
+    } catch {
+        // Submitting or pressing Enter may navigate away and detach the element.
+        return null;
+    }
+}
+
+async function resolveElement(page, { selector: rawSelector, textSearch: rawText }) {
     if (rawSelector) {
-        const handle = await page.$(rawSelector);
+        const handle = await locateElement(page, rawSelector);
         if (!handle) return null;
-        const info = await collectElementInfo(page, handle, rawSelector);
+        // Refs are snapshot-scoped, so report a real selector for them instead.
+        const info = await collectElementInfo(handle, rawSelector.startsWith("ref:") ? undefined : rawSelector);
         return { handle, info };
     }
 
     if (rawText) {
-        const handle = await findByText(page, rawText);
+        const handle = await locateElement(page, textLocator(rawText));
         if (!handle) return null;
-        const info = await collectElementInfo(page, handle);
+        const info = await collectElementInfo(handle);
         return { handle, info };
     }
 
-    return await pickElement(page, timeoutMs);
+    return null;
 }
 
-async function collectElementInfo(page, handle, selectorOverride) {
-    return await page.evaluate((el, selectorHint) => {
-        const escapeIdent = (value) => {
-            if (window.CSS && typeof window.CSS.escape === "function") {
-                return window.CSS.escape(value);
-            }
-            return value.replace(/[^a-zA-Z0-9_\-]/g, (char) => `\\${char}`);
-        };
-
-        const toSelector = (element) => {
-            const parts = [];
-            let current = element;
-            while (current && current.nodeType === 1) {
-                let part = current.nodeName.toLowerCase();
-                if (current.id) {
-                    part = `#${escapeIdent(current.id)}`;
-                    parts.unshift(part);
-                    break;
-                }
-
-                if (current.classList.length > 0) {
-                    part += `.${Array.from(current.classList, (cls) => escapeIdent(cls)).join('.')}`;
-                }
-
-                const parent = current.parentElement;
-                if (parent) {
-                    const siblings = Array.from(parent.children).filter((child) => child.nodeName === current.nodeName);
-                    if (siblings.length > 1) {
-                        const index = siblings.indexOf(current) + 1;
-                        part += `:nth-of-type(${index})`;
-                    }
-                }
-
-                parts.unshift(part);
-                current = parent;
-            }
-            return parts.join(' > ');
-        };
+/**
+ * Lets the user point at elements. The picker runs in every frame at once so
+ * elements inside iframes can be picked, and shows an overlay labelled with
+ * each hovered element's tag, size, and selector. A click picks one element
+ * and finishes; Shift-click toggles elements into a selection (each with an
+ * optional note typed into the overlay) and Enter finishes it; Esc cancels.
+ * Resolves to `[{ handle, info }]` in selection order, empty when cancelled.
+ */
+async function pickElements(page, timeoutMs) {
+    const mainFrame = page.mainFrame();
+    const frames = page.frames();
+    const settled = frames.map((frame) => {
+        const options = { timeout: timeoutMs, top: frame === mainFrame };
+        const outcome = frame
+            .evaluate(`(${pickInFrame})(${JSON.stringify(options)}, ${cssSelectorSource()})`)
+            .then((result) => ({ frame, result }));
+        // A child frame that navigates away just drops out of the race.
+        return frame === mainFrame ? outcome : outcome.catch(() => new Promise(() => {}));
+    });
 
-        const rect = el.getBoundingClientRect();
-        const attributes = Object.fromEntries(
-            el.getAttributeNames().map((name) => [name, el.getAttribute(name)]),
+    let outcome;
+    try {
+        outcome = await Promise.race(settled);
+    } finally {
+        await Promise.all(
+            frames.map((frame) =>
+                frame
+                    .evaluate(() => {
+                        window.__BT_PICKER_CANCEL?.();
+                        delete window.__BT_PICKER_CANCEL;
+                    })
+                    .catch(() => {}),
+            ),
         );
+    }
 
-        const textContent = el.innerText ?? el.textContent ?? "";
-
-        return {
-            selector: selectorHint ?? toSelector(el),
-            tag: el.tagName.toLowerCase(),
-            id: el.id || null,
-            classes: el.classList.length ? Array.from(el.classList) : [],
-            text: textContent.trim().slice(0, 160),
-            attributes,
-            rect: {
-                x: Math.round(rect.x),
-                y: Math.round(rect.y),
-                width: Math.round(rect.width),
-                height: Math.round(rect.height),
-            },
-            visible: Boolean(el.offsetParent),
-            children: el.children.length,
-        };
-    }, handle, selectorOverride ?? null);
+    const found = [];
+    for (const frame of frames) {
+        found.push(...(await takePicks(frame, frame === outcome.frame)));
+    }
+    // Enter with nothing selected picks the highlighted element.
+    const selected = found.some((pick) => !pick.fallback) ? found.filter((pick) => !pick.fallback) : found;
+    const picks = outcome.result === "done" ? selected : [];
+    await Promise.all(found.filter((pick) => !picks.includes(pick)).map(({ handle }) => handle.dispose()));
+
+    picks.sort((a, b) => a.at - b.at);
+    const results = [];
+    for (const { handle, note } of picks) {
+        const info = await collectElementInfo(handle);
+        results.push({ handle, info: note ? { ...info, note } : info });
+    }
+    return results;
 }
 
-async function findByText(page, text) {
-    const escaped = text.replace(/"/g, '\\"');
-    const handles = await page.$x(`//*[contains(normalize-space(text()), "${escaped}")]`);
-    if (!handles || handles.length === 0) return null;
-    const [first, ...rest] = handles;
-    await Promise.all(rest.map((handle) => handle.dispose()));
-    return first;
+/**
+ * Reads and clears the picks a frame's picker left behind; frames that
+ * navigated have none. With `withHovered`, the highlighted element comes
+ * along marked `fallback`.
+ */
+async function takePicks(frame, withHovered) {
+    let list;
+    try {
+        list = await frame.evaluateHandle((includeHovered) => {
+            const state = window.__BT_PICKER_STATE;
+            delete window.__BT_PICKER_STATE;
+            if (!state) return [];
+            const picked = state.picked.filter((entry) => entry.element.isConnected);
+            const hovered = includeHovered && state.hovered?.isConnected ? [{ element: state.hovered, note: "", at: 0, fallback: true }] : [];
+            return [...picked, ...hovered];
+        }, withHovered);
+    } catch {
+        return [];
+    }
+
+    const picks = [];
+    try {
+        for (const entry of (await list.getProperties()).values()) {
+            const element = await entry.evaluateHandle((item) => item.element);
+            const { note, at, fallback } = await entry.evaluate((item) => ({
+                note: item.note.trim(),
+                at: item.at,
+                fallback: Boolean(item.fallback),
+            }));
+            await entry.dispose();
+            picks.push({ handle: element.asElement(), note, at, fallback });
+        }
+    } finally {
+        await list.dispose();
+    }
+    return picks;
 }
 
-async function pickElement(page, timeoutMs) {
-    const result = await page.evaluate(async (timeout) => {
-        const originalCursor = document.body?.style?.cursor ?? "";
-        const state = {
-            highlight: null,
-            previousOutline: null,
-            resolved: false,
-        };
-        let timerId = null;
+// Runs in the page, injected as a string so `bestSelector` (see cssSelectorSource) can come with it.
+async function pickInFrame({ timeout, top }, bestSelector) {
+    const state = { picked: [], hovered: null };
+    window.__BT_PICKER_STATE = state;
+
+    // ArrowDown retraces the ArrowUp steps before descending to first children.
+    let trail = [];
+    let editing = null;
+    let resolved = false;
+    let timerId = null;
+    const selectors = new WeakMap();
+    const originalCursor = document.documentElement.style.cursor;
+
+    // A closed shadow root keeps page styles out and the overlay invisible to locators.
+    const host = document.createElement("browser-tools-picker");
+    host.style.cssText = "all: initial; position: fixed; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647;";
+    const overlay = host.attachShadow({ mode: "closed" });
+    overlay.innerHTML = `
+        <style>
+            div, form { position: fixed; box-sizing: border-box; z-index: 2147483647; font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace; }
+            .box { pointer-events: none; border: 2px solid #ff4444; background: rgba(255, 68, 68, 0.12); }
+            .box.picked { border-color: #2f80ed; background: rgba(47, 128, 237, 0.15); }
+            .badge { position: absolute; top: -18px; left: -2px; padding: 0 5px; color: #fff; background: #2f80ed; border-radius: 3px 3px 0 0; }
+            .label { pointer-events: none; max-width: min(560px, 90vw); padding: 2px 6px; color: #fff; background: #222; border-radius: 3px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+            .hint { pointer-events: none; bottom: 8px; left: 50%; transform: translateX(-50%); width: max-content; max-width: 96vw; padding: 4px 10px; color: #fff; text-align: center; background: rgba(34, 34, 34, 0.9); border-radius: 4px; }
+            form { margin: 0; }
+            input { width: 280px; padding: 3px 6px; font: inherit; border: 2px solid #2f80ed; border-radius: 3px; outline: none; }
+        </style>
+        <div class="box" hidden></div>
+        <div class="label" hidden></div>
+        <form hidden><input type="text" autocomplete="off"></form>
+        ${top ? `<div class="hint">Click: pick · Shift-click: add/remove · ↑/↓: parent/child · Enter: done · Esc: cancel</div>` : ""}
+    `;
+    const hoverBox = overlay.querySelector(".box");
+    const label = overlay.querySelector(".label");
+    const noteForm = overlay.querySelector("form");
+    const noteInput = overlay.querySelector("input");
+    document.documentElement.append(host);
+    document.documentElement.style.cursor = "crosshair";
+
+    const describe = (element) => {
+        if (!selectors.has(element)) {
+            let selector = "";
+            try {
+                selector = bestSelector(element);
+            } catch {}
+            selectors.set(element, selector);
+        }
+        const rect = element.getBoundingClientRect();
+        return `${element.localName} ${Math.round(rect.width)}×${Math.round(rect.height)} ${selectors.get(element)}`;
+    };
 
-        const escapeIdent = (value) => {
-            if (window.CSS && typeof window.CSS.escape === "function") {
-                return window.CSS.escape(value);
-            }
-            return value.replace(/[^a-zA-Z0-9_\-]/g, (char) => `\\${char}`);
-        };
+    const place = (box, element) => {
+        const rect = element.getBoundingClientRect();
+        Object.assign(box.style, {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`,
+        });
+        return rect;
+    };
 
-        const cleanup = () => {
-            if (state.highlight) {
-                state.highlight.style.outline = state.previousOutline ?? "";
-            }
-            document.body.style.cursor = originalCursor;
-            document.removeEventListener("mouseover", onHover, true);
-            document.removeEventListener("click", onClick, true);
-            if (timerId) {
-                clearTimeout(timerId);
-                timerId = null;
-            }
-        };
+    // Above the element when there is room, otherwise below it.
+    const placeNear = (panel, rect) => {
+        const height = panel.offsetHeight;
+        const y = rect.top - height - 4 >= 0 ? rect.top - height - 4 : Math.min(rect.bottom + 4, window.innerHeight - height);
+        panel.style.left = `${Math.max(0, Math.min(rect.left, window.innerWidth - panel.offsetWidth))}px`;
+        panel.style.top = `${Math.max(0, y)}px`;
+    };
 
-        const highlight = (element) => {
-            if (state.highlight === element) return;
-            if (state.highlight) {
-                state.highlight.style.outline = state.previousOutline ?? "";
-            }
-            state.highlight = element;
-            state.previousOutline = element.style.outline;
-            element.style.outline = "3px solid #ff4444";
-        };
+    const redraw = () => {
+        for (const entry of state.picked) place(entry.box, entry.element);
+        if (state.hovered?.isConnected) {
+            const rect = place(hoverBox, state.hovered);
+            hoverBox.hidden = false;
+            label.textContent = describe(state.hovered);
+            // The note field takes the label's place while it is open.
+            label.hidden = editing?.element === state.hovered;
+            placeNear(label, rect);
+        } else {
+            hoverBox.hidden = true;
+            label.hidden = true;
+        }
+        if (editing) placeNear(noteForm, editing.element.getBoundingClientRect());
+    };
 
-        const buildInfo = (element) => {
-            const rect = element.getBoundingClientRect();
-            return {
-                tag: element.tagName.toLowerCase(),
-                text: (element.innerText ?? element.textContent ?? "").trim().slice(0, 160),
-                rect: {
-                    x: Math.round(rect.x),
-                    y: Math.round(rect.y),
-                    width: Math.round(rect.width),
-                    height: Math.round(rect.height),
-                },
-            };
-        };
+    const hover = (element) => {
+        state.hovered = element;
+        redraw();
+    };
 
-        const toSelector = (element) => {
-            const parts = [];
-            let current = element;
-            while (current && current.nodeType === 1) {
-                let part = current.nodeName.toLowerCase();
-                if (current.id) {
-                    part = `#${escapeIdent(current.id)}`;
-                    parts.unshift(part);
-                    break;
-                }
-                if (current.classList.length > 0) {
-                    part += `.${Array.from(current.classList, (cls) => escapeIdent(cls)).join('.')}`;
-                }
-                const parent = current.parentElement;
-                if (parent) {
-                    const siblings = Array.from(parent.children).filter((child) => child.nodeName === current.nodeName);
-                    if (siblings.length > 1) {
-                        const index = siblings.indexOf(current) + 1;
-                        part += `:nth-of-type(${index})`;
-                    }
-                }
-                parts.unshift(part);
-                current = parent;
-            }
-            return parts.join(' > ');
-        };
+    const renumber = () => {
+        state.picked.forEach((entry, index) => {
+            entry.box.firstChild.textContent = String(index + 1);
+        });
+    };
 
-        const resolveSelection = (element) => {
-            if (!element) return null;
-            const info = buildInfo(element);
-            const selector = toSelector(element);
-            window.__BT_PICKED_ELEMENT = element;
-            return { ...info, selector };
-        };
+    const closeNote = (save) => {
+        if (!editing) return;
+        if (save) editing.note = noteInput.value;
+        editing = null;
+        noteForm.hidden = true;
+        noteInput.blur();
+        redraw();
+    };
 
-        const onHover = (event) => {
-            if (state.resolved) return;
-            const target = event.target;
-            if (!(target instanceof HTMLElement)) return;
-            highlight(target);
-        };
+    const openNote = (entry) => {
+        editing = entry;
+        noteInput.value = entry.note;
+        noteInput.placeholder = `Note for #${state.picked.indexOf(entry) + 1} (optional), Enter to save`;
+        noteForm.hidden = false;
+        redraw();
+        noteInput.focus();
+    };
 
-        const onClick = (event) => {
-            event.preventDefault();
-            event.stopPropagation();
-            if (state.resolved) return;
-            state.resolved = true;
-            cleanup();
-            resolve(resolveSelection(event.target));
-        };
+    const add = (element) => {
+        if (state.picked.some((entry) => entry.element === element)) return null;
+        const box = document.createElement("div");
+        box.className = "box picked";
+        box.append(Object.assign(document.createElement("span"), { className: "badge" }));
+        overlay.append(box);
+        const entry = { element, note: "", at: performance.timeOrigin + performance.now(), box };
+        state.picked.push(entry);
+        renumber();
+        redraw();
+        return entry;
+    };
 
-        document.body.style.cursor = "crosshair";
-        document.addEventListener("mouseover", onHover, true);
-        document.addEventListener("click", onClick, true);
-
-        return await new Promise((resolve) => {
-            timerId = timeout
-                ? setTimeout(() => {
-                      if (state.resolved) return;
-                      state.resolved = true;
-                      cleanup();
-                      resolve(null);
-                  }, timeout)
-                : null;
-
-            window.addEventListener(
-                "blur",
-                () => {
-                    if (state.resolved) return;
-                    state.resolved = true;
-                    cleanup();
-                    resolve(null);
-                },
-                { once: true },
-            );
-
-            window.__BT_PICKER_CANCEL = () => {
-                if (state.resolved) return;
-                state.resolved = true;
-                cleanup();
-                resolve(null);
-            };
-        });
-    }, timeoutMs || 60000);
+    const toggle = (element) => {
+        const index = state.picked.findIndex((entry) => entry.element === element);
+        if (index === -1) {
+            openNote(add(element));
+            return;
+        }
+        const [entry] = state.picked.splice(index, 1);
+        if (editing === entry) closeNote(false);
+        entry.box.remove();
+        renumber();
+    };
 
-    if (!result) return null;
+    const fromOverlay = (event) => event.composedPath().includes(host);
 
-    const handle = await page.evaluateHandle(() => {
-        const element = window.__BT_PICKED_ELEMENT ?? null;
-        delete window.__BT_PICKED_ELEMENT;
-        delete window.__BT_PICKER_CANCEL;
-        return element;
-    });
+    // Events from shadow trees are retargeted to their host; the composed path keeps the real target.
+    const eventTarget = (event) => {
+        const [target] = event.composedPath();
+        return target?.nodeType === 1 ? target : null;
+    };
 
-    const element = handle.asElement();
-    if (!element) {
-        await handle.dispose();
-        return null;
-    }
+    // Mouse moves only take over from the arrow keys once the pointer reaches another element.
+    let pointed = null;
+    const onHover = (event) => {
+        const target = eventTarget(event);
+        // Frames run their own picker, so leave iframe elements to it.
+        if (resolved || fromOverlay(event) || !target || target instanceof HTMLIFrameElement || target === pointed) return;
+        pointed = target;
+        trail = [];
+        hover(target);
+    };
+
+    const onLeave = (event) => {
+        if (event.relatedTarget) return;
+        pointed = null;
+        hover(null);
+    };
+
+    // Keep the page from reacting to presses that only pick.
+    const swallow = (event) => {
+        if (fromOverlay(event)) return;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    };
+
+    let finish = () => {};
+    const onClick = (event) => {
+        if (fromOverlay(event)) return;
+        swallow(event);
+        const target = eventTarget(event);
+        if (resolved || !target || target instanceof HTMLIFrameElement) return;
+        closeNote(true);
+        if (event.shiftKey) {
+            toggle(target);
+            return;
+        }
+        add(target);
+        finish("done");
+    };
 
-    const info = await collectElementInfo(page, element, result.selector);
-    return { handle: element, info };
+    const onKey = (event) => {
+        if (resolved) return;
+        if (editing && fromOverlay(event)) {
+            // Typing a note: Enter saves it, Esc drops it; nothing reaches the page.
+            event.stopImmediatePropagation();
+            if (event.key === "Enter" || event.key === "Escape") {
+                event.preventDefault();
+                closeNote(event.key === "Enter");
+            }
+            return;
+        }
+
+        if (event.key === "Escape") {
+            finish("cancel");
+        } else if (event.key === "Enter" && event.shiftKey) {
+            if (state.hovered) toggle(state.hovered);
+        } else if (event.key === "Enter") {
+            finish("done");
+        } else if (event.key === "ArrowUp" && state.hovered) {
+            const parent = state.hovered.parentElement ?? state.hovered.getRootNode().host;
+            if (!parent) return;
+            trail.push(state.hovered);
+            hover(parent);
+        } else if (event.key === "ArrowDown" && state.hovered) {
+            const child = trail.pop() ?? state.hovered.shadowRoot?.firstElementChild ?? state.hovered.firstElementChild;
+            if (!child) return;
+            hover(child);
+        } else {
+            return;
+        }
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    };
+
+    const listeners = [
+        ["mouseover", onHover],
+        ["mousemove", onHover],
+        ["mouseout", onLeave],
+        ["pointerdown", swallow],
+        ["mousedown", swallow],
+        ["pointerup", swallow],
+        ["mouseup", swallow],
+        ["click", onClick],
+        ["keydown", onKey],
+        ["scroll", redraw],
+        ["resize", redraw],
+    ];
+    for (const [type, listener] of listeners) window.addEventListener(type, listener, true);
+
+    return await new Promise((settle) => {
+        finish = (result) => {
+            if (resolved) return;
+            resolved = true;
+            for (const [type, listener] of listeners) window.removeEventListener(type, listener, true);
+            if (timerId) clearTimeout(timerId);
+            host.remove();
+            document.documentElement.style.cursor = originalCursor;
+            settle(result);
+        };
+
+        timerId = top && timeout ? setTimeout(() => finish("timeout"), timeout) : null;
+        window.__BT_PICKER_CANCEL = () => finish("cancel");
+    });
 }
 
 function formatHumanOutput(info) {
     const lines = [];
     lines.push(`selector: ${info.selector}`);
+    for (const alternative of info.selectors?.slice(1) ?? []) lines.push(`  or: ${alternative.selector}`);
     if (info.tag) lines.push(`tag: ${info.tag}`);
     if (info.id) lines.push(`id: ${info.id}`);
     if (info.classes?.length) lines.push(`classes: ${info.classes.join(" ")}`);
     if (info.text) lines.push(`text: ${info.text}`);
+    if (info.note) lines.push(`note: ${info.note}`);
     lines.push(`visible: ${info.visible}`);
     lines.push(`children: ${info.children}`);
+    if (info.actions) lines.push(`actions: ${info.actions.join(", ")}`);
+    if (info.state?.value !== undefined) lines.push(`value: ${info.state.value}`);
+    if (info.state?.checked !== undefined) lines.push(`checked: ${info.state.checked}`);
     if (info.rect) {
         lines.push(`position: (${info.rect.x}, ${info.rect.y})`);
         lines.push(`size: ${info.rect.width}x${info.rect.height}`);
     }
     return `${lines.join("\n")}\n`;
-}
\ No newline at end of file
+}
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+
+import {
+    CommandError,
+    DEFAULT_PORT,
+    createLogger,
+    describeError,
+    fail,
+    isMainModule,
+    parseArgs,
+    printJSON,
+    normalizeNumber,
+} from "./config.js";
+import {
+    COLOR_SCHEMES,
+    REDUCED_MOTION,
+    applyEmulation,
+    compactSettings,
+    listDevices,
+    readEmulationProfiles,
+    resolveDevice,
+    saveEmulationProfile,
+} from "./emulation.js";
+import { getTabId, listTabs, resolvePage, resolvePort, runCommand } from "./session.js";
+
+// Flags that change the profile; `--no-<flag>` removes the setting again.
+const SETTING_FLAGS = [
+    "device",
+    "landscape",
+    "viewport",
+    "dpr",
+    "mobile",
+    "touch",
+    "user-agent",
+    "locale",
+    "timezone",
+    "geolocation",
+    "color-scheme",
+    "reduced-motion",
+    "cpu",
+];
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["reset", "list-devices", "landscape", "mobile", "touch", "reload", "json", "quiet", "daemon"],
+        string: [
+            "device",
+            "viewport",
+            "user-agent",
+            "locale",
+            "timezone",
+            "geolocation",
+            "color-scheme",
+            "reduced-motion",
+            "tab",
+            "ws",
+            "host",
+        ],
+        number: ["dpr", "cpu", "port", "timeout"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 15000,
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    const timeout = normalizeNumber(args.timeout, 15000);
+
+    let result;
+    try {
+        result = await runCommand("emulate", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Emulation failed"), { json: jsonOutput });
+    }
+
+    if (jsonOutput) {
+        printJSON(result);
+        return;
+    }
+
+    if (result.devices) {
+        process.stdout.write(`${result.devices.join("\n")}\n`);
+        return;
+    }
+
+    process.stdout.write(`${JSON.stringify(result)}\n`);
+    if (result.reset) {
+        logger.info("♻️  Emulation reset");
+    } else if (result.emulation) {
+        logger.info(`📱 Emulating ${describeSettings(result.emulation)}`);
+    } else {
+        logger.info("No emulation active for this tab");
+    }
+}
+
+/**
+ * Without setting flags, reports the tab's profile. Otherwise merges the flags
+ * into the saved profile, applies it, and saves it so later commands on the
+ * same tab run with it until `--reset`.
+ */
+export async function run({ browser, logger }, args) {
+    if (args["list-devices"]) {
+        return { ok: true, devices: await listDevices() };
+    }
+
+    const page = await resolvePage(browser, args);
+    if (!page) {
+        throw new CommandError("No active page found. Navigate first.");
+    }
+
+    const port = resolvePort(args);
+    const tab = await getTabId(page);
+    const profiles = await readEmulationProfiles(port);
+    const current = profiles[tab] ?? null;
+
+    if (args.reset) {
+        await applyEmulation(page, tab, null);
+        await saveEmulationProfile(port, tab, null, { liveTabIds: await liveTabIds(browser) });
+        if (args.reload) await page.reload({ waitUntil: "domcontentloaded" });
+        return { ok: true, tab, reset: true, emulation: null };
+    }
+
+    if (!SETTING_FLAGS.some((flag) => args[flag] !== undefined)) {
+        return { ok: true, tab, emulation: current };
+    }
+
+    const emulation = await emulatePage(page, tab, args, { port, current });
+    logger.info(`📱 Emulating ${emulation ? describeSettings(emulation) : "nothing"}`);
+
+    if (args.reload) await page.reload({ waitUntil: "domcontentloaded" });
+    return { ok: true, tab, emulation, reloaded: Boolean(args.reload) };
+}
+
+/**
+ * Merges emulation flags into the tab's current profile, applies the result
+ * and saves it. Shared with `navigate.js --device` and `start.js --device`.
+ */
+export async function emulatePage(page, tab, args, { port, current } = {}) {
+    const settings = await buildSettings(page, current ?? (await readEmulationProfiles(port))[tab] ?? {}, args);
+    await applyEmulation(page, tab, settings);
+    await saveEmulationProfile(port, tab, settings, { liveTabIds: await liveTabIds(page.browser()) });
+    return settings;
+}
+
+async function buildSettings(page, current, args) {
+    const next = { ...current };
+    if (next.viewport) next.viewport = { ...next.viewport };
+
+    if (args.device === false) {
+        delete next.device;
+        delete next.viewport;
+        delete next.userAgent;
+    } else if (typeof args.device === "string" || (args.landscape !== undefined && next.device)) {
+        const name = typeof args.device === "string" ? args.device : next.device.replace(/ landscape$/, "");
+        if (!name.trim()) throw new CommandError("--device needs a preset name. Run emulate.js --list-devices.");
+        Object.assign(next, await resolveDevice(name, { landscape: Boolean(args.landscape) }));
+    } else if (args.landscape !== undefined && next.viewport) {
+        const { width, height } = next.viewport;
+        if (Boolean(args.landscape) !== width > height) {
+            Object.assign(next.viewport, { width: height, height: width });
+        }
+        next.viewport.isLandscape = Boolean(args.landscape);
+    }
+
+    if (args.viewport === false) {
+        delete next.viewport;
+    } else if (args.viewport !== undefined || args.dpr !== undefined || args.mobile !== undefined || args.touch !== undefined) {
+        next.viewport ??= await currentViewport(page);
+        if (args.viewport !== undefined) {
+            Object.assign(next.viewport, parseSize(args.viewport));
+        }
+        if (args.dpr !== undefined && args.dpr !== false) {
+            const dpr = normalizeNumber(args.dpr, NaN);
+            if (!(dpr > 0 && dpr <= 10)) throw new CommandError("--dpr must be between 0 and 10.");
+            next.viewport.deviceScaleFactor = dpr;
+        }
+        if (args.mobile !== undefined) next.viewport.isMobile = Boolean(args.mobile);
+        if (args.touch !== undefined) next.viewport.hasTouch = Boolean(args.touch);
+    }
+
+    setText(next, "userAgent", args["user-agent"]);
+    setText(next, "locale", args.locale);
+    setText(next, "timezone", args.timezone);
+
+    if (args.geolocation === false) {
+        delete next.geolocation;
+    } else if (args.geolocation !== undefined) {
+        next.geolocation = parseGeolocation(args.geolocation);
+    }
+
+    setChoice(next, "colorScheme", args["color-scheme"], COLOR_SCHEMES, "--color-scheme");
+    setChoice(next, "reducedMotion", args["reduced-motion"], REDUCED_MOTION, "--reduced-motion");
+
+    if (args.cpu === false) {
+        delete next.cpuThrottling;
+    } else if (args.cpu !== undefined) {
+        const rate = normalizeNumber(args.cpu, NaN);
+        if (!(rate >= 1)) throw new CommandError("--cpu is a slowdown factor of 1 or more (e.g. 4).");
+        if (rate === 1) delete next.cpuThrottling;
+        else next.cpuThrottling = rate;
+    }
+
+    return compactSettings(next);
+}
+
+async function currentViewport(page) {
+    const size = await page.evaluate(() => ({
+        width: window.innerWidth,
+        height: window.innerHeight,
+        deviceScaleFactor: window.devicePixelRatio,
+    }));
+    return { ...size, isMobile: false, hasTouch: false, isLandscape: false };
+}
+
+function setText(settings, key, value) {
+    if (value === undefined) return;
+    if (value === false || value === "") delete settings[key];
+    else settings[key] = String(value);
+}
+
+function setChoice(settings, key, value, choices, flag) {
+    if (value === undefined) return;
+    if (value === false) {
+        delete settings[key];
+        return;
+    }
+    const normalized = String(value).toLowerCase();
+    if (!choices.includes(normalized)) {
+        throw new CommandError(`Invalid ${flag} "${value}". Use ${choices.join(", ")}.`);
+    }
+    settings[key] = normalized;
+}
+
+function parseSize(value) {
+    const match = String(value).trim().match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+    if (!match) {
+        throw new CommandError(`Invalid --viewport "${value}". Use WIDTHxHEIGHT (e.g. 390x844).`);
+    }
+    return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+function parseGeolocation(value) {
+    const [latitude, longitude, accuracy = 100] = String(value)
+        .split(",")
+        .map((part) => Number(part.trim()));
+    if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180) || !(accuracy >= 0)) {
+        throw new CommandError(`Invalid --geolocation "${value}". Use latitude,longitude[,accuracy] (e.g. 52.52,13.40).`);
+    }
+    return { latitude, longitude, accuracy };
+}
+
+async function liveTabIds(browser) {
+    return (await listTabs(browser)).map((tab) => tab.id);
+}
+
+function describeSettings(settings) {
+    const parts = [];
+    if (settings.device) parts.push(settings.device);
+    if (settings.viewport) {
+        const { width, height, deviceScaleFactor } = settings.viewport;
+        parts.push(`${width}×${height}@${deviceScaleFactor}x`);
+    }
+    for (const key of ["locale", "timezone", "colorScheme", "reducedMotion"]) {
+        if (settings[key]) parts.push(settings[key]);
+    }
+    if (settings.geolocation) parts.push(`${settings.geolocation.latitude},${settings.geolocation.longitude}`);
+    if (settings.cpuThrottling) parts.push(`${settings.cpuThrottling}× CPU slowdown`);
+    if (settings.userAgent && !settings.device) parts.push("custom user agent");
+    return parts.join(", ");
+}
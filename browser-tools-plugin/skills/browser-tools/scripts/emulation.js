@@ -0,0 +1,236 @@
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+import { CommandError, STATE_DIR } from "./config.js";
+
+// Field order used when reporting a profile.
+const SETTING_KEYS = ["device", "viewport", "userAgent", "locale", "timezone", "geolocation", "colorScheme", "reducedMotion", "cpuThrottling"];
+
+export const COLOR_SCHEMES = ["light", "dark", "no-preference"];
+export const REDUCED_MOTION = ["reduce", "no-preference"];
+
+// Overrides belong to the DevTools session that set them, so each emulated page keeps one open.
+const sessions = new WeakMap();
+
+export function emulationStatePath(port) {
+    return join(STATE_DIR, `emulation-${port}.json`);
+}
+
+/**
+ * Returns the saved emulation profiles for a browser port, keyed by tab id.
+ */
+export async function readEmulationProfiles(port) {
+    try {
+        return JSON.parse(await readFile(emulationStatePath(port), "utf8"));
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Saves (or, with `null`, removes) the profile for one tab. Profiles of tabs
+ * that no longer exist are dropped when `liveTabIds` is given.
+ */
+export async function saveEmulationProfile(port, tabId, settings, { liveTabIds } = {}) {
+    const profiles = await readEmulationProfiles(port);
+    if (settings) profiles[tabId] = settings;
+    else delete profiles[tabId];
+
+    if (liveTabIds) {
+        for (const id of Object.keys(profiles)) {
+            if (!liveTabIds.includes(id)) delete profiles[id];
+        }
+    }
+
+    if (Object.keys(profiles).length === 0) {
+        await rm(emulationStatePath(port), { force: true });
+        return;
+    }
+    await mkdir(STATE_DIR, { recursive: true });
+    await writeFile(emulationStatePath(port), `${JSON.stringify(profiles, null, 2)}\n`, "utf8");
+}
+
+/**
+ * Re-applies the saved profile for the page's tab. Direct connections start
+ * without overrides, so every command calls this through `resolvePage`; in
+ * the daemon the session stays open and unchanged profiles are skipped.
+ * `force` re-sends the overrides after another session changed them (e.g.
+ * a screenshot viewport matrix).
+ */
+export async function restoreEmulation(page, port, { tabId, force = false } = {}) {
+    const profiles = await readEmulationProfiles(port);
+    const active = sessions.get(page);
+    if (!active && Object.keys(profiles).length === 0) return null;
+
+    const id = tabId ?? active?.tabId ?? (await readTargetId(page));
+    const settings = profiles[id] ?? null;
+    if (!force && (active?.key ?? null) === (settings ? JSON.stringify(settings) : null)) {
+        return settings;
+    }
+
+    await applyEmulation(page, id, settings);
+    return settings;
+}
+
+/**
+ * Replaces every override on the page with `settings` (or clears them when
+ * null). Detaching the previous session resets all of its overrides at once.
+ */
+export async function applyEmulation(page, tabId, settings) {
+    const previous = sessions.get(page);
+    sessions.delete(page);
+    if (previous) await previous.client.detach().catch(() => {});
+    if (previous?.viewport && !settings?.viewport) await resetWindowLayout(page);
+    if (!settings) return;
+
+    const client = await page.createCDPSession();
+    try {
+        await sendOverrides(page, client, settings);
+    } catch (error) {
+        await client.detach().catch(() => {});
+        throw error;
+    }
+    sessions.set(page, { client, tabId, key: JSON.stringify(settings), viewport: Boolean(settings.viewport) });
+}
+
+/**
+ * Re-applies the window's own bounds. Headless Chrome keeps laying out at the
+ * emulated size after a device metrics override is cleared until it resizes.
+ */
+export async function resetWindowLayout(page) {
+    const client = await page.createCDPSession();
+    try {
+        const { windowId, bounds } = await client.send("Browser.getWindowForTarget");
+        if (bounds.windowState === "normal") {
+            await client.send("Browser.setWindowBounds", { windowId, bounds: { width: bounds.width, height: bounds.height } });
+        }
+    } catch {
+        // Not every target has a window (e.g. some remote browsers); the layout then updates on the next resize.
+    } finally {
+        await client.detach().catch(() => {});
+    }
+}
+
+/**
+ * Looks up a puppeteer device preset by name, ignoring case, spacing and
+ * punctuation ("iphone-15-pro" finds "iPhone 15 Pro").
+ */
+export async function resolveDevice(name, { landscape = false } = {}) {
+    const { KnownDevices } = await import("puppeteer-core");
+    const wanted = `${normalizeDeviceName(name)}${landscape ? "landscape" : ""}`;
+    const match = Object.keys(KnownDevices).find((key) => normalizeDeviceName(key) === wanted);
+    if (!match) {
+        // Suggest presets containing the name, or failing that its leading word ("pixel7" -> "pixel").
+        const needle = normalizeDeviceName(name);
+        const presets = Object.keys(KnownDevices).filter((key) => !/ landscape$/.test(key));
+        let similar = presets.filter((key) => normalizeDeviceName(key).includes(needle));
+        const family = needle.replace(/\d.*$/, "");
+        if (similar.length === 0 && family) {
+            similar = presets.filter((key) => normalizeDeviceName(key).startsWith(family));
+        }
+        similar = similar.slice(-5);
+        throw new CommandError(
+            `Unknown device "${name}"${landscape ? " (landscape)" : ""}.${similar.length ? ` Did you mean: ${similar.join(", ")}?` : ""} Run emulate.js --list-devices for all presets.`,
+        );
+    }
+    const { viewport, userAgent } = KnownDevices[match];
+    return {
+        device: match,
+        viewport: {
+            width: viewport.width,
+            height: viewport.height,
+            deviceScaleFactor: viewport.deviceScaleFactor,
+            isMobile: Boolean(viewport.isMobile),
+            hasTouch: Boolean(viewport.hasTouch),
+            isLandscape: Boolean(viewport.isLandscape),
+        },
+        userAgent,
+    };
+}
+
+export async function listDevices() {
+    const { KnownDevices } = await import("puppeteer-core");
+    return Object.keys(KnownDevices).filter((key) => !/ landscape$/.test(key));
+}
+
+// Drops unset fields and orders the rest consistently.
+export function compactSettings(settings) {
+    const compact = {};
+    for (const key of SETTING_KEYS) {
+        if (settings[key] !== undefined && settings[key] !== null) compact[key] = settings[key];
+    }
+    return Object.keys(compact).length > 0 ? compact : null;
+}
+
+async function sendOverrides(page, client, settings) {
+    const { viewport, userAgent, locale, timezone, geolocation, colorScheme, reducedMotion, cpuThrottling } = settings;
+
+    if (viewport) {
+        await client.send("Emulation.setDeviceMetricsOverride", {
+            width: viewport.width,
+            height: viewport.height,
+            deviceScaleFactor: viewport.deviceScaleFactor ?? 1,
+            mobile: Boolean(viewport.isMobile),
+            screenOrientation: viewport.isLandscape
+                ? { angle: 90, type: "landscapePrimary" }
+                : { angle: 0, type: "portraitPrimary" },
+        });
+        await client.send("Emulation.setTouchEmulationEnabled", {
+            enabled: Boolean(viewport.hasTouch),
+            ...(viewport.hasTouch ? { maxTouchPoints: 5 } : {}),
+        });
+    }
+
+    if (userAgent || locale) {
+        await client.send("Emulation.setUserAgentOverride", {
+            userAgent: userAgent ?? (await page.browser().userAgent()),
+            ...(locale ? { acceptLanguage: locale } : {}),
+        });
+    }
+
+    if (locale) {
+        await send(client, "Emulation.setLocaleOverride", { locale }, `Invalid --locale "${locale}"`);
+    }
+    if (timezone) {
+        await send(client, "Emulation.setTimezoneOverride", { timezoneId: timezone }, `Invalid --timezone "${timezone}"`);
+    }
+
+    if (geolocation) {
+        await client.send("Emulation.setGeolocationOverride", geolocation);
+        // Granted on this session, so the permission is revoked together with the override.
+        await client.send("Browser.grantPermissions", { permissions: ["geolocation"] });
+    }
+
+    const features = [];
+    if (colorScheme) features.push({ name: "prefers-color-scheme", value: colorScheme });
+    if (reducedMotion) features.push({ name: "prefers-reduced-motion", value: reducedMotion });
+    if (features.length > 0) {
+        await client.send("Emulation.setEmulatedMedia", { features });
+    }
+
+    if (cpuThrottling && cpuThrottling !== 1) {
+        await client.send("Emulation.setCPUThrottlingRate", { rate: cpuThrottling });
+    }
+}
+
+async function send(client, method, params, message) {
+    try {
+        await client.send(method, params);
+    } catch (error) {
+        throw new CommandError(`${message}: ${error.message.replace(/^Protocol error \([^)]*\):\s*/, "")}`);
+    }
+}
+
+async function readTargetId(page) {
+    const client = await page.createCDPSession();
+    try {
+        const { targetInfo } = await client.send("Target.getTargetInfo");
+        return targetInfo.targetId;
+    } finally {
+        await client.detach().catch(() => {});
+    }
+}
+
+function normalizeDeviceName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
@@ -1,82 +1,84 @@
 #!/usr/bin/env node
 
 import { readFile } from "node:fs/promises";
-import puppeteer from "puppeteer-core";
 
 import {
+    CommandError,
     DEFAULT_PORT,
     createLogger,
+    describeError,
     fail,
-    getActivePage,
+    isMainModule,
     parseArgs,
     printJSON,
-    resolveBrowserConnection,
     normalizeNumber,
 } from "./config.js";
+import { resolveFrame } from "./locator.js";
+import { resolvePage, runCommand } from "./session.js";
 
-const args = parseArgs(process.argv.slice(2), {
-    boolean: ["json", "quiet"],
-    string: ["file", "ws", "host"],
-    number: ["port", "timeout", "truncate"],
-    alias: {
-        j: "json",
-        q: "quiet",
-    },
-    defaults: {
-        port: DEFAULT_PORT,
-        timeout: 30000,
-        truncate: 8000,
-    },
-});
-
-const jsonOutput = Boolean(args.json);
-const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
-
-const expression = await resolveExpression(args);
-
-if (!expression) {
-    fail("No JavaScript provided. Pass an expression or use --file/STDIN.", { json: jsonOutput });
+if (isMainModule(import.meta.url)) {
+    await main();
 }
 
-const timeout = normalizeNumber(args.timeout, 30000);
-const port = normalizeNumber(args.port, DEFAULT_PORT);
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["json", "quiet", "daemon"],
+        string: ["file", "frame", "tab", "ws", "host"],
+        number: ["port", "timeout", "truncate"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 30000,
+            truncate: 8000,
+        },
+    });
 
-const connectionOptions = resolveBrowserConnection({ port, host: args.host, ws: args.ws });
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
 
-let browser;
-try {
-    browser = await puppeteer.connect({
-        ...connectionOptions,
-        timeout,
-    });
-} catch (error) {
-    fail(`Failed to connect to browser: ${error.message}`, { json: jsonOutput });
-}
+    const expression = await resolveExpression(args);
 
-try {
-    const page = await getActivePage(browser, { index: -1 });
-    if (!page) {
-        fail("No active page found. Navigate to a page first.", { json: jsonOutput });
+    if (!expression) {
+        fail("No JavaScript provided. Pass an expression or use --file/STDIN.", { json: jsonOutput });
     }
 
-    const result = await page.evaluate(async (code) => {
-        const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
-        const fn = new AsyncFunction(`return (${code})`);
-        return await fn();
-    }, expression);
+    const timeout = normalizeNumber(args.timeout, 30000);
 
-    const truncated = truncateResult(result, normalizeNumber(args.truncate, 8000));
+    let result;
+    try {
+        result = await runCommand("evaluate", run, { ...args, expression }, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Evaluation failed"), { json: jsonOutput });
+    }
 
     if (jsonOutput) {
-        printJSON({ ok: true, result });
+        printJSON(result);
     } else {
+        const truncated = truncateResult(result.result, normalizeNumber(args.truncate, 8000));
         process.stdout.write(`${truncated}\n`);
         logger.info(truncated);
     }
-} catch (error) {
-    fail(`Evaluation failed: ${error.message}`, { json: jsonOutput });
-} finally {
-    if (browser) await browser.disconnect();
+}
+
+export async function run({ browser }, args) {
+    const page = await resolvePage(browser, args);
+    if (!page) {
+        throw new CommandError("No active page found. Navigate to a page first.");
+    }
+
+    // --frame takes a frame name, URL, or iframe selector (see locator.js).
+    const frame = args.frame ? await resolveFrame(page, args.frame) : page.mainFrame();
+
+    const result = await frame.evaluate(async (code) => {
+        const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+        const fn = new AsyncFunction(`return (${code})`);
+        return await fn();
+    }, args.expression);
+
+    return args.frame ? { ok: true, frame: frame.url(), result } : { ok: true, result };
 }
 
 async function resolveExpression(parsed) {
@@ -111,4 +113,4 @@ function truncateResult(value, maxLength) {
     const serialized = JSON.stringify(value, null, 2);
     if (!serialized) return String(value);
     return serialized.length > maxLength ? `${serialized.slice(0, maxLength)}…` : serialized;
-}
\ No newline at end of file
+}
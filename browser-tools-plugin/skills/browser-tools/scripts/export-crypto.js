@@ -0,0 +1,206 @@
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync, randomBytes, scryptSync, timingSafeEqual } from "node:crypto";
+import { chmod, readFile, writeFile } from "node:fs/promises";
+
+import { CommandError, expandPath } from "./config.js";
+
+export const PASSPHRASE_ENV = "BROWSER_TOOLS_PASSPHRASE";
+
+const ENVELOPE_TYPE = "browser-tools/encrypted-export";
+const ENVELOPE_VERSION = 1;
+
+// scrypt cost for passphrases (~100 ms); keyfiles are already high-entropy and use HKDF.
+const SCRYPT = { N: 32768, r: 8, p: 1 };
+// Highest cost an envelope may ask for on import. Checked before the key is derived, so a
+// modified file cannot demand more than 128 · N · r = 128 MiB of scrypt memory.
+const SCRYPT_MAX = { N: 131072, r: 8, p: 4 };
+
+/**
+ * Reads the export secret named by `--keyfile`, `--passphrase-file`,
+ * `--passphrase-env`, or `--encrypt` (which uses BROWSER_TOOLS_PASSPHRASE).
+ * Resolves to a JSON-safe `{ passphrase }` or `{ key }` (base64), or null
+ * when no secret was requested. With `fromEnvironment`, an unflagged call
+ * still picks up BROWSER_TOOLS_PASSPHRASE so imports decrypt transparently.
+ * Call it in the CLI process, whose environment and working directory the
+ * daemon does not share.
+ */
+export async function readSecret(args, { fromEnvironment = false } = {}) {
+    if (args.keyfile) {
+        const path = expandPath(String(args.keyfile));
+        const key = await readFile(path).catch((error) => {
+            throw new CommandError(`Cannot read --keyfile ${path}: ${error.message}`);
+        });
+        if (key.length < 16) throw new CommandError(`--keyfile ${path} is too short; use at least 16 random bytes (e.g. openssl rand 32).`);
+        return { key: key.toString("base64") };
+    }
+
+    let passphrase;
+    if (args["passphrase-file"]) {
+        const path = expandPath(String(args["passphrase-file"]));
+        passphrase = await readFile(path, "utf8").catch((error) => {
+            throw new CommandError(`Cannot read --passphrase-file ${path}: ${error.message}`);
+        });
+        passphrase = passphrase.replace(/\r?\n$/, "");
+    } else if (args["passphrase-env"] || args.encrypt) {
+        const name = args["passphrase-env"] || PASSPHRASE_ENV;
+        passphrase = process.env[name];
+        if (!passphrase) throw new CommandError(`Environment variable ${name} is not set; it must hold the passphrase.`);
+    } else if (fromEnvironment && process.env[PASSPHRASE_ENV]) {
+        passphrase = process.env[PASSPHRASE_ENV];
+    } else {
+        return null;
+    }
+
+    if (!passphrase) throw new CommandError("The passphrase is empty.");
+    return { passphrase };
+}
+
+export function isSealedExport(content) {
+    try {
+        return JSON.parse(content)?.type === ENVELOPE_TYPE;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Encrypts an export with AES-256-GCM and signs the envelope with
+ * HMAC-SHA256. `meta` stays readable without the secret but is covered by
+ * both the GCM tag and the signature, so edits are detected on import.
+ */
+export function sealExport(content, secret, { format, meta = {} }) {
+    const kdf = secret.passphrase
+        ? { name: "scrypt", salt: randomBytes(16).toString("base64"), ...SCRYPT }
+        : { name: "hkdf-sha256", salt: randomBytes(16).toString("base64") };
+    const { encryptionKey, signingKey } = deriveKeys(secret, kdf);
+
+    const header = { type: ENVELOPE_TYPE, version: ENVELOPE_VERSION, format, meta };
+    const iv = randomBytes(12);
+    const cipher = createCipheriv("aes-256-gcm", encryptionKey, iv);
+    cipher.setAAD(Buffer.from(canonicalJSON(header)));
+    const ciphertext = Buffer.concat([cipher.update(content, "utf8"), cipher.final()]);
+
+    const envelope = {
+        ...header,
+        kdf,
+        cipher: { name: "aes-256-gcm", iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64") },
+        keyCheck: keyCheck(signingKey),
+        ciphertext: ciphertext.toString("base64"),
+    };
+    envelope.signature = sign(signingKey, envelope);
+    return `${JSON.stringify(envelope, null, 2)}\n`;
+}
+
+/**
+ * Verifies and decrypts a sealed export. Distinguishes a wrong secret from a
+ * modified file. Resolves to `{ content, format, meta }`.
+ */
+export function openExport(text, secret, source = "export") {
+    const envelope = JSON.parse(text);
+    if (envelope.version !== ENVELOPE_VERSION) {
+        throw new CommandError(`${source} uses encrypted export version ${envelope.version}; this version reads ${ENVELOPE_VERSION}.`);
+    }
+    if (!secret) {
+        throw new CommandError(
+            `${source} is encrypted. Pass --passphrase-env, --passphrase-file, or --keyfile (or set ${PASSPHRASE_ENV} and add --encrypt).`,
+        );
+    }
+
+    const { signature, ...unsigned } = envelope;
+    let keys;
+    try {
+        keys = deriveKeys(secret, envelope.kdf ?? {});
+    } catch (error) {
+        if (error instanceof CommandError) throw error;
+        throw new CommandError(`${source} has invalid key derivation parameters; it was modified or is corrupt.`);
+    }
+    if (!safeEqual(envelope.keyCheck, keyCheck(keys.signingKey))) {
+        throw new CommandError(`Wrong passphrase or keyfile for ${source} (or its key parameters were modified).`);
+    }
+    if (!safeEqual(signature, sign(keys.signingKey, unsigned))) {
+        throw new CommandError(`${source} failed signature verification; it was modified after export. Not importing.`);
+    }
+
+    try {
+        const { type, version, format, meta } = envelope;
+        const decipher = createDecipheriv("aes-256-gcm", keys.encryptionKey, Buffer.from(envelope.cipher.iv, "base64"));
+        decipher.setAAD(Buffer.from(canonicalJSON({ type, version, format, meta })));
+        decipher.setAuthTag(Buffer.from(envelope.cipher.tag, "base64"));
+        const content = Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, "base64")), decipher.final()]);
+        return { content: content.toString("utf8"), format, meta };
+    } catch {
+        throw new CommandError(`${source} could not be decrypted; it was modified or is corrupt.`);
+    }
+}
+
+/**
+ * Writes an export that only its owner can read. `mode` applies only when
+ * the file is created, so an existing file is narrowed before the new
+ * content goes in.
+ */
+export async function writeExportFile(path, content) {
+    await chmod(path, 0o600).catch((error) => {
+        if (error.code !== "ENOENT") throw error;
+    });
+    await writeFile(path, content, { encoding: "utf8", mode: 0o600 });
+}
+
+/**
+ * Replaces a secret value with a marker that keeps only its length, so
+ * redacted exports still show which cookies or keys exist.
+ */
+export function redactValue(value) {
+    return `[redacted:${String(value ?? "").length}]`;
+}
+
+function deriveKeys(secret, kdf) {
+    const salt = Buffer.from(String(kdf.salt ?? ""), "base64");
+    let material;
+    if (secret.passphrase) {
+        if (kdf.name !== "scrypt") throw new CommandError("This export was sealed with a keyfile; pass --keyfile.");
+        const { N, r, p } = kdf;
+        const valid =
+            Number.isInteger(Math.log2(N)) &&
+            N >= 1024 &&
+            N <= SCRYPT_MAX.N &&
+            Number.isInteger(r) &&
+            r >= 1 &&
+            r <= SCRYPT_MAX.r &&
+            Number.isInteger(p) &&
+            p >= 1 &&
+            p <= SCRYPT_MAX.p;
+        if (!valid) throw new Error("invalid scrypt parameters");
+        // Twice the working set, which stays within 256 MiB under the caps above.
+        material = scryptSync(secret.passphrase, salt, 64, { N, r, p, maxmem: 256 * N * r });
+    } else {
+        if (kdf.name !== "hkdf-sha256") throw new CommandError("This export was sealed with a passphrase; pass --passphrase-env or --passphrase-file.");
+        material = Buffer.from(hkdfSync("sha256", Buffer.from(secret.key, "base64"), salt, ENVELOPE_TYPE, 64));
+    }
+    return { encryptionKey: material.subarray(0, 32), signingKey: material.subarray(32) };
+}
+
+function keyCheck(signingKey) {
+    return createHmac("sha256", signingKey).update(`${ENVELOPE_TYPE}:key-check`).digest("base64");
+}
+
+function sign(signingKey, envelope) {
+    return createHmac("sha256", signingKey).update(canonicalJSON(envelope)).digest("base64");
+}
+
+function safeEqual(left, right) {
+    const a = Buffer.from(String(left ?? ""));
+    const b = Buffer.from(String(right ?? ""));
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// JSON with sorted object keys, so signatures do not depend on key order.
+function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+    if (value && typeof value === "object") {
+        const entries = Object.keys(value)
+            .sort()
+            .filter((key) => value[key] !== undefined)
+            .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+        return `{${entries.join(",")}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
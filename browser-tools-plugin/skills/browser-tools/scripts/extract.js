@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+
+import {
+    CommandError,
+    DEFAULT_PORT,
+    createLogger,
+    describeError,
+    fail,
+    isMainModule,
+    parseArgs,
+    printJSON,
+    normalizeNumber,
+} from "./config.js";
+import { describeMissingTarget, locateElement } from "./locator.js";
+import { resolvePage, runCommand } from "./session.js";
+
+const CHARS_PER_TOKEN = 4;
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["full", "json", "quiet", "daemon"],
+        string: ["selector", "tab", "ws", "host"],
+        number: ["port", "timeout", "max-tokens", "chunk"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 15000,
+            "max-tokens": 6000,
+            chunk: 1,
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    if (!args.selector && args._[0]) {
+        args.selector = args._[0];
+    }
+
+    const timeout = normalizeNumber(args.timeout, 15000);
+
+    let result;
+    try {
+        result = await runCommand("extract", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Extraction failed"), { json: jsonOutput });
+    }
+
+    if (jsonOutput) {
+        printJSON(result);
+    } else {
+        process.stdout.write(`${result.markdown}\n`);
+        if (result.chunks > 1) {
+            logger.info(`📄 Chunk ${result.chunk}/${result.chunks}; continue with --chunk ${Math.min(result.chunk + 1, result.chunks)}`);
+        }
+    }
+}
+
+export async function run({ browser, logger }, args) {
+    const page = await resolvePage(browser, args);
+    if (!page) {
+        throw new CommandError("No active page found. Navigate first.");
+    }
+
+    let root = null;
+    if (args.selector) {
+        root = await locateElement(page, args.selector);
+        if (!root) {
+            throw new CommandError(describeMissingTarget(args.selector));
+        }
+    }
+
+    let extracted;
+    try {
+        // A root inside an iframe has to be read in that frame.
+        extracted = await (root?.frame ?? page).evaluate(extractInPage, root, { full: Boolean(args.full) });
+    } finally {
+        await root?.dispose();
+    }
+
+    const maxTokens = normalizeNumber(args["max-tokens"], 6000);
+    const chunks = chunkBlocks(extracted.blocks, maxTokens > 0 ? maxTokens * CHARS_PER_TOKEN : Infinity);
+    const chunk = Math.max(1, Math.trunc(normalizeNumber(args.chunk, 1)));
+    if (chunk > chunks.length) {
+        throw new CommandError(`Chunk ${chunk} is out of range; the content has ${chunks.length} chunk(s).`);
+    }
+
+    const markdown = chunks[chunk - 1];
+    const fullText = extracted.blocks.join("\n\n");
+    logger.info(`📰 Extracted ${extracted.blocks.length} blocks from ${extracted.source}`);
+
+    return {
+        ok: true,
+        url: page.url(),
+        title: extracted.title,
+        byline: extracted.byline,
+        canonicalUrl: extracted.canonicalUrl,
+        wordCount: countWords(fullText),
+        source: extracted.source,
+        tokens: estimateTokens(fullText),
+        chunk,
+        chunks: chunks.length,
+        markdown,
+    };
+}
+
+/**
+ * Packs Markdown blocks into chunks of at most `maxChars`, preferring to start
+ * a new chunk at a heading. Blocks larger than the budget are split by line.
+ */
+function chunkBlocks(blocks, maxChars) {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+
+    const flush = () => {
+        if (current.length > 0) chunks.push(current.join("\n\n"));
+        current = [];
+        size = 0;
+    };
+
+    const pieces = blocks.flatMap((block) => (block.length > maxChars ? splitLongBlock(block, maxChars) : [block]));
+    for (const piece of pieces) {
+        const isHeading = /^#{1,3} /.test(piece);
+        const nearlyFull = size > maxChars * 0.6;
+        if (current.length > 0 && (size + piece.length + 2 > maxChars || (isHeading && nearlyFull))) {
+            flush();
+        }
+        current.push(piece);
+        size += piece.length + 2;
+    }
+    flush();
+
+    return chunks.length > 0 ? chunks : [""];
+}
+
+function splitLongBlock(block, maxChars) {
+    const pieces = [];
+    let current = "";
+    for (const line of block.split("\n")) {
+        if (current && current.length + line.length + 1 > maxChars) {
+            pieces.push(current);
+            current = "";
+        }
+        current = current ? `${current}\n${line}` : line;
+        while (current.length > maxChars) {
+            pieces.push(current.slice(0, maxChars));
+            current = current.slice(maxChars);
+        }
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+function countWords(markdown) {
+    const text = markdown.replace(/\]\([^)]*\)/g, "]").replace(/[#>*_`|[\]!-]/g, " ");
+    return text.split(/\s+/).filter((word) => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Runs in the page. Picks the main content (unless a root element or `full`
+ * is given), skips boilerplate, and converts the DOM to Markdown blocks.
+ */
+function extractInPage(explicitRoot, { full }) {
+    const BLOCK_TAGS = new Set([
+        "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "CENTER", "DD", "DETAILS", "DIV", "DL", "DT", "FIELDSET",
+        "FIGCAPTION", "FIGURE", "FOOTER", "FORM", "H1", "H2", "H3", "H4", "H5", "H6", "HEADER", "HGROUP", "HR",
+        "LI", "MAIN", "NAV", "OL", "P", "PRE", "SECTION", "SUMMARY", "TABLE", "UL",
+    ]);
+    const ALWAYS_SKIP = new Set([
+        "SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "IFRAME", "SVG", "CANVAS", "OBJECT", "EMBED", "LINK", "META",
+        "BUTTON", "INPUT", "SELECT", "TEXTAREA", "DIALOG",
+    ]);
+    const BOILERPLATE_TAGS = new Set(["NAV", "FOOTER", "ASIDE", "FORM"]);
+    const BOILERPLATE_ROLES = new Set(["navigation", "banner", "contentinfo", "complementary", "search", "dialog", "alert"]);
+    const BOILERPLATE_NAMES =
+        /(^|[-_\s])(ads?|advert\w*|sponsor\w*|promo\w*|banner|cookie\w*|consent|newsletter|subscribe|share|sharing|social|related|recommend\w*|comments?|sidebar|popup|modal|breadcrumbs?|skip-link|toc)([-_\s]|$)/i;
+
+    const meta = (selector) => document.querySelector(selector)?.getAttribute("content")?.trim() || null;
+    const absolute = (value) => {
+        try {
+            return new URL(value, document.baseURI).href;
+        } catch {
+            return value;
+        }
+    };
+    const textLength = (element) => (element.innerText ?? element.textContent ?? "").trim().length;
+
+    const pickMainContent = () => {
+        const bodyLength = textLength(document.body) || 1;
+        const candidates = Array.from(
+            document.querySelectorAll(
+                "article, main, [role=main], [itemprop=articleBody], #content, #main, .content, .post, .entry-content, .article-body, .markdown-body",
+            ),
+        );
+        let best = null;
+        let bestLength = 0;
+        for (const candidate of candidates) {
+            const length = textLength(candidate);
+            if (length > bestLength) {
+                best = candidate;
+                bestLength = length;
+            }
+        }
+        return best && bestLength > bodyLength * 0.25 ? best : document.body;
+    };
+
+    const root = explicitRoot ?? (full ? document.body : pickMainContent());
+    const rootLength = textLength(root) || 1;
+
+    const isHidden = (element) => {
+        if (element.hidden || element.getAttribute("aria-hidden") === "true") return true;
+        const style = getComputedStyle(element);
+        return style.display === "none" || style.visibility === "hidden";
+    };
+
+    const isBoilerplate = (element) => {
+        if (full || element === root) return false;
+        // Never drop a wrapper that holds most of the content.
+        if (textLength(element) > rootLength * 0.5) return false;
+        if (BOILERPLATE_TAGS.has(element.tagName)) return true;
+        if (element.tagName === "HEADER" && !element.querySelector("h1, h2")) return true;
+        if (BOILERPLATE_ROLES.has(element.getAttribute("role"))) return true;
+        return BOILERPLATE_NAMES.test(`${element.id} ${typeof element.className === "string" ? element.className : ""}`);
+    };
+
+    const shouldSkip = (element) => ALWAYS_SKIP.has(element.tagName.toUpperCase()) || isHidden(element) || isBoilerplate(element);
+
+    const isBlock = (element) => {
+        if (BLOCK_TAGS.has(element.tagName)) return true;
+        const display = getComputedStyle(element).display;
+        return ["block", "flex", "grid", "list-item", "table"].includes(display);
+    };
+
+    const collapse = (text) => text.replace(/\s+/g, " ");
+
+    const inline = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) return collapse(node.textContent);
+        if (node.nodeType !== Node.ELEMENT_NODE || shouldSkip(node)) return "";
+
+        const tag = node.tagName;
+        const inner = () => Array.from(node.childNodes, inline).join("");
+
+        if (tag === "BR") return "\n";
+        if (tag === "IMG") {
+            const src = node.currentSrc || node.getAttribute("src");
+            if (!src || src.startsWith("data:")) return node.alt ? node.alt : "";
+            return `![${collapse(node.alt ?? "").trim()}](${absolute(src)})`;
+        }
+        if (tag === "CODE" || tag === "KBD" || tag === "SAMP") {
+            const code = node.textContent.replace(/\s+/g, " ");
+            return code ? `\`${code.replace(/`/g, "\\`")}\`` : "";
+        }
+
+        const content = inner();
+        const trimmed = content.trim();
+        if (!trimmed) return content;
+
+        if (tag === "A") {
+            const href = node.getAttribute("href");
+            if (!href || href.startsWith("javascript:")) return content;
+            return `[${trimmed}](${absolute(href)})`;
+        }
+        if (tag === "STRONG" || tag === "B") return `**${trimmed}**`;
+        if (tag === "EM" || tag === "I") return `*${trimmed}*`;
+        if (tag === "DEL" || tag === "S") return `~~${trimmed}~~`;
+        return content;
+    };
+
+    const cleanInline = (text) =>
+        text
+            .split("\n")
+            .map((line) => line.trim())
+            .join("\n")
+            .replace(/\n{2,}/g, "\n")
+            .trim();
+
+    const renderList = (list, depth) => {
+        const ordered = list.tagName === "OL";
+        let index = Number(list.getAttribute("start") ?? 1);
+        const lines = [];
+        for (const item of list.children) {
+            if (item.tagName !== "LI" || shouldSkip(item)) continue;
+            const marker = ordered ? `${index++}.` : "-";
+            const pad = "  ".repeat(depth);
+            const textParts = [];
+            const nested = [];
+            for (const child of item.childNodes) {
+                if (child.nodeType === Node.ELEMENT_NODE && (child.tagName === "UL" || child.tagName === "OL")) {
+                    if (!shouldSkip(child)) nested.push(renderList(child, depth + 1));
+                } else if (child.nodeType === Node.ELEMENT_NODE && isBlock(child) && !shouldSkip(child)) {
+                    textParts.push(blocks(child).join(" "));
+                } else {
+                    textParts.push(inline(child));
+                }
+            }
+            const text = cleanInline(textParts.join("")).replace(/\n/g, ` `);
+            lines.push(`${pad}${marker} ${text}`);
+            lines.push(...nested.filter(Boolean));
+        }
+        return lines.join("\n");
+    };
+
+    const renderTable = (table) => {
+        const rows = Array.from(table.querySelectorAll("tr")).filter((row) => row.closest("table") === table);
+        const matrix = rows
+            .map((row) =>
+                Array.from(row.children)
+                    .filter((cell) => cell.tagName === "TD" || cell.tagName === "TH")
+                    .map((cell) => cleanInline(inline(cell)).replace(/\n/g, " ").replace(/\|/g, "\\|")),
+            )
+            .filter((cells) => cells.length > 0);
+        if (matrix.length === 0) return "";
+
+        const width = Math.max(...matrix.map((cells) => cells.length));
+        const pad = (cells) => [...cells, ...Array(width - cells.length).fill("")];
+        const [header, ...body] = matrix;
+        const lines = [`| ${pad(header).join(" | ")} |`, `| ${Array(width).fill("---").join(" | ")} |`];
+        for (const cells of body) lines.push(`| ${pad(cells).join(" | ")} |`);
+
+        const caption = table.querySelector("caption");
+        return caption ? `*${cleanInline(inline(caption))}*\n\n${lines.join("\n")}` : lines.join("\n");
+    };
+
+    const renderCode = (pre) => {
+        const code = pre.querySelector("code");
+        const className = `${code?.className ?? ""} ${pre.className}`;
+        const language = /(?:language|lang)-([\w+-]+)/.exec(className)?.[1] ?? "";
+        const text = (code ?? pre).textContent.replace(/\n$/, "");
+        const fence = text.includes("```") ? "~~~~" : "```";
+        return `${fence}${language}\n${text}\n${fence}`;
+    };
+
+    function blocks(element) {
+        const output = [];
+        let buffer = "";
+
+        const flushInline = () => {
+            const text = cleanInline(buffer);
+            if (text) output.push(text);
+            buffer = "";
+        };
+
+        for (const child of element.childNodes) {
+            if (child.nodeType === Node.TEXT_NODE) {
+                buffer += collapse(child.textContent);
+                continue;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE || shouldSkip(child)) continue;
+            if (!isBlock(child)) {
+                buffer += inline(child);
+                continue;
+            }
+
+            flushInline();
+            const tag = child.tagName;
+            if (/^H[1-6]$/.test(tag)) {
+                const text = cleanInline(inline(child)).replace(/\n/g, " ");
+                if (text) output.push(`${"#".repeat(Number(tag[1]))} ${text}`);
+            } else if (tag === "UL" || tag === "OL") {
+                const list = renderList(child, 0);
+                if (list) output.push(list);
+            } else if (tag === "PRE") {
+                output.push(renderCode(child));
+            } else if (tag === "TABLE") {
+                const table = renderTable(child);
+                if (table) output.push(table);
+            } else if (tag === "BLOCKQUOTE") {
+                const quoted = blocks(child).join("\n\n");
+                if (quoted) output.push(quoted.replace(/^/gm, "> "));
+            } else if (tag === "HR") {
+                output.push("---");
+            } else if (tag === "DT") {
+                const text = cleanInline(inline(child));
+                if (text) output.push(`**${text}**`);
+            } else if (tag === "FIGCAPTION") {
+                const text = cleanInline(inline(child));
+                if (text) output.push(`*${text}*`);
+            } else {
+                output.push(...blocks(child));
+            }
+        }
+        flushInline();
+        return output;
+    }
+
+    const bylineElement = document.querySelector("[rel=author], [itemprop=author], .byline, .author");
+    const canonical = document.querySelector("link[rel=canonical]")?.getAttribute("href") ?? meta("meta[property='og:url']");
+
+    const describe = (element) => {
+        if (element === document.body) return "body";
+        const id = element.id ? `#${element.id}` : "";
+        return `${element.tagName.toLowerCase()}${id}`;
+    };
+
+    return {
+        title: meta("meta[property='og:title']") ?? (document.title.trim() || document.querySelector("h1")?.innerText.trim() || null),
+        byline: meta("meta[name=author]") ?? (bylineElement ? collapse(bylineElement.textContent).trim() || null : null),
+        canonicalUrl: canonical ? absolute(canonical) : location.href,
+        source: describe(root),
+        blocks: blocks(root),
+    };
+}
@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+
+import {
+    CommandError,
+    DEFAULT_PORT,
+    createLogger,
+    describeError,
+    fail,
+    isMainModule,
+    parseArgs,
+    printJSON,
+    normalizeNumber,
+} from "./config.js";
+import { describeMissingTarget, locateElement } from "./locator.js";
+import { resolvePage, runCommand } from "./session.js";
+
+const ACTIONS = ["move", "hover", "click", "press", "down", "up", "type", "wheel", "drag"];
+
+const MODIFIER_ALIASES = {
+    ctrl: "Control",
+    control: "Control",
+    shift: "Shift",
+    alt: "Alt",
+    option: "Alt",
+    meta: "Meta",
+    cmd: "Meta",
+    command: "Meta",
+};
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["html5", "json", "quiet", "daemon"],
+        string: ["button", "hold", "at", "tab", "ws", "host"],
+        number: ["port", "timeout", "count", "steps", "delay"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 15000,
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    const [action, ...operands] = args._;
+    const usage =
+        "Usage: input.js <move|hover|click|press|down|up|type|wheel|drag> <target|keys|text|dx,dy> [<to>] " +
+        "[--hold=Shift] [--button=left|right|middle] [--count=2] [--steps=10] [--at=<target>] [--html5]";
+
+    if (!ACTIONS.includes(action)) {
+        fail(usage, { json: jsonOutput });
+    }
+
+    const required = action === "drag" ? 2 : 1;
+    if (operands.length < required) {
+        fail(usage, { json: jsonOutput });
+    }
+
+    const timeout = normalizeNumber(args.timeout, 15000);
+
+    let result;
+    try {
+        result = await runCommand("input", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Input failed"), { json: jsonOutput });
+    }
+
+    printJSON(result);
+}
+
+export async function run({ browser, logger, daemon }, args) {
+    const [rawAction, ...operands] = args._;
+    const action = rawAction === "hover" ? "move" : rawAction;
+
+    const page = await resolvePage(browser, args);
+    if (!page) {
+        throw new CommandError("No active page found. Navigate first.");
+    }
+
+    const hold = parseModifiers(args.hold);
+    const steps = Math.max(1, normalizeNumber(args.steps, action === "drag" ? 10 : 1));
+    const delay = normalizeNumber(args.delay, 0);
+
+    for (const key of hold) await page.keyboard.down(key);
+
+    try {
+        if (action === "move") {
+            const point = await resolvePoint(page, operands[0]);
+            await page.mouse.move(point.x, point.y, { steps });
+            logger.info(`🖱️  Mouse at (${point.x}, ${point.y})`);
+            return { ok: true, action: rawAction, ...point };
+        }
+
+        if (action === "click") {
+            const point = await resolvePoint(page, operands[0]);
+            const button = normalizeButton(args.button);
+            const count = Math.max(1, normalizeNumber(args.count, 1));
+            await page.mouse.click(point.x, point.y, { button, count, delay: delay || 20 });
+            logger.info(`🖱️  ${button} click at (${point.x}, ${point.y})`);
+            return { ok: true, action, button, count, ...point };
+        }
+
+        if (action === "press") {
+            const chord = parseChord(operands[0]);
+            await pressChord(page, chord, delay);
+            logger.info(`⌨️  Pressed ${operands[0]}`);
+            return { ok: true, action, keys: [...chord.modifiers, chord.key] };
+        }
+
+        if (action === "down" || action === "up") {
+            const key = normalizeKey(operands[0]);
+            await page.keyboard[action](key);
+            if (!daemon) {
+                logger.warn("⚠️  Without the session daemon, held keys do not carry over to the next command.");
+            }
+            logger.info(`⌨️  Key ${action}: ${key}`);
+            return { ok: true, action, key };
+        }
+
+        if (action === "type") {
+            const text = operands.join(" ");
+            await page.keyboard.type(text, { delay });
+            logger.info(`⌨️  Typed ${text.length} characters`);
+            return { ok: true, action, length: text.length };
+        }
+
+        if (action === "wheel") {
+            const delta = parseCoordinates(operands[0]);
+            if (!delta) {
+                throw new CommandError(`Invalid wheel delta "${operands[0]}". Use <dx>,<dy> (e.g. 0,400).`);
+            }
+            let position = null;
+            if (args.at) {
+                position = await resolvePoint(page, args.at);
+                await page.mouse.move(position.x, position.y);
+            }
+            await page.mouse.wheel({ deltaX: delta.x, deltaY: delta.y });
+            logger.info(`🛞 Scrolled by (${delta.x}, ${delta.y})`);
+            return { ok: true, action, deltaX: delta.x, deltaY: delta.y, at: position };
+        }
+
+        const [fromTarget, toTarget] = operands;
+        if (args.html5) {
+            await dispatchHtml5Drag(page, fromTarget, toTarget);
+            logger.info(`🫳 Dispatched HTML5 drag from ${fromTarget} to ${toTarget}`);
+            return { ok: true, action, html5: true, from: fromTarget, to: toTarget };
+        }
+
+        const from = await resolvePoint(page, fromTarget);
+        const to = await resolvePoint(page, toTarget);
+        await page.mouse.move(from.x, from.y);
+        await page.mouse.down();
+        await page.mouse.move(to.x, to.y, { steps });
+        await page.mouse.up();
+        logger.info(`🫳 Dragged from (${from.x}, ${from.y}) to (${to.x}, ${to.y})`);
+        return { ok: true, action, html5: false, from, to };
+    } finally {
+        for (const key of [...hold].reverse()) await page.keyboard.up(key);
+    }
+}
+
+/**
+ * Resolves `x,y` coordinates or an element target (see locator.js) to a
+ * viewport point, scrolling the element into view first.
+ */
+async function resolvePoint(page, target) {
+    const coordinates = parseCoordinates(target);
+    if (coordinates) return coordinates;
+
+    const handle = await locateElement(page, target);
+    if (!handle) {
+        throw new CommandError(describeMissingTarget(target));
+    }
+
+    try {
+        await handle.scrollIntoView();
+        const point = await handle.clickablePoint();
+        return { x: Math.round(point.x), y: Math.round(point.y), target };
+    } catch (error) {
+        throw new CommandError(`Element not interactable: ${target} (${error.message})`);
+    } finally {
+        await handle.dispose();
+    }
+}
+
+function parseCoordinates(value) {
+    const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(value ?? ""));
+    if (!match) return null;
+    return { x: Number(match[1]), y: Number(match[2]) };
+}
+
+function parseModifiers(value) {
+    if (!value) return [];
+    return String(value)
+        .split(/[+,]/)
+        .filter(Boolean)
+        .map((name) => {
+            const modifier = MODIFIER_ALIASES[name.toLowerCase()];
+            if (!modifier) {
+                throw new CommandError(`Unknown modifier "${name}". Use Control, Shift, Alt, or Meta.`);
+            }
+            return modifier;
+        });
+}
+
+/**
+ * Splits a chord such as `Control+Shift+K` or `Meta++` into modifiers and the
+ * final key.
+ */
+function parseChord(value) {
+    const raw = String(value);
+    const parts = raw.endsWith("++") ? [...raw.slice(0, -2).split("+"), "+"] : raw.split("+");
+    const key = normalizeKey(parts.pop());
+    const modifiers = parseModifiers(parts.join("+"));
+    return { modifiers, key };
+}
+
+function normalizeKey(value) {
+    const key = String(value ?? "");
+    if (!key) {
+        throw new CommandError("A key name is required (e.g. Enter, Tab, ArrowDown, a).");
+    }
+    return MODIFIER_ALIASES[key.toLowerCase()] ?? key;
+}
+
+async function pressChord(page, { modifiers, key }, delay) {
+    for (const modifier of modifiers) await page.keyboard.down(modifier);
+    try {
+        await page.keyboard.press(key, { delay });
+    } catch (error) {
+        throw new CommandError(`Key press failed: ${error.message}`);
+    } finally {
+        for (const modifier of [...modifiers].reverse()) await page.keyboard.up(modifier);
+    }
+}
+
+function normalizeButton(value) {
+    if (!value) return "left";
+    const normalized = String(value).toLowerCase();
+    if (["left", "right", "middle"].includes(normalized)) return normalized;
+    throw new CommandError("Invalid --button. Use left, right, or middle.");
+}
+
+/**
+ * Fires the HTML5 drag-and-drop event sequence with a shared DataTransfer.
+ * CDP mouse events do not start native drags, so sortable lists and kanban
+ * boards that listen for dragstart/drop need this path.
+ */
+async function dispatchHtml5Drag(page, fromTarget, toTarget) {
+    const source = await locateElement(page, fromTarget);
+    if (!source) throw new CommandError(describeMissingTarget(fromTarget));
+    const target = await locateElement(page, toTarget);
+    if (!target) {
+        await source.dispose();
+        throw new CommandError(describeMissingTarget(toTarget));
+    }
+
+    try {
+        if (source.frame !== target.frame) {
+            throw new CommandError("HTML5 drag needs both elements in the same frame.");
+        }
+        await source.frame.evaluate((from, to) => {
+            const dataTransfer = new DataTransfer();
+            const fire = (element, type) => {
+                const rect = element.getBoundingClientRect();
+                const event = new DragEvent(type, {
+                    bubbles: true,
+                    cancelable: true,
+                    composed: true,
+                    dataTransfer,
+                    clientX: rect.x + rect.width / 2,
+                    clientY: rect.y + rect.height / 2,
+                });
+                return element.dispatchEvent(event);
+            };
+
+            fire(from, "dragstart");
+            fire(from, "drag");
+            fire(to, "dragenter");
+            fire(to, "dragover");
+            fire(to, "drop");
+            fire(from, "dragend");
+        }, source, target);
+    } finally {
+        await source.dispose();
+        await target.dispose();
+    }
+}
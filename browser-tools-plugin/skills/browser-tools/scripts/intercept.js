@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+import { readFile } from "node:fs/promises";
+import { dirname, extname, resolve as resolvePath } from "node:path";
+import { pathToFileURL } from "node:url";
+
+import {
+    CommandError,
+    DEFAULT_PORT,
+    compileUrlPattern,
+    createLogger,
+    delay,
+    describeError,
+    expandPath,
+    fail,
+    isMainModule,
+    parseArgs,
+    printJSON,
+    normalizeNumber,
+} from "./config.js";
+import { getTabId, resolvePage, runCommand } from "./session.js";
+
+const CONTENT_TYPES = {
+    ".json": "application/json",
+    ".html": "text/html; charset=utf-8",
+    ".htm": "text/html; charset=utf-8",
+    ".js": "text/javascript",
+    ".mjs": "text/javascript",
+    ".css": "text/css",
+    ".txt": "text/plain; charset=utf-8",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".woff2": "font/woff2",
+};
+
+const ERROR_REASONS = [
+    "Failed",
+    "Aborted",
+    "TimedOut",
+    "AccessDenied",
+    "ConnectionClosed",
+    "ConnectionReset",
+    "ConnectionRefused",
+    "ConnectionAborted",
+    "ConnectionFailed",
+    "NameNotResolved",
+    "InternetDisconnected",
+    "AddressUnreachable",
+    "BlockedByClient",
+    "BlockedByResponse",
+];
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["status", "stop", "json", "quiet", "daemon"],
+        string: ["rules", "tab", "ws", "host"],
+        number: ["port", "timeout", "duration"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 15000,
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    if (!args.rules && !args.status && !args.stop) {
+        fail("Specify one command: --rules <file> [--duration <s>] | --status | --stop", { json: jsonOutput });
+    }
+
+    if (args.rules) args.rules = expandPath(args.rules);
+
+    const timeout = normalizeNumber(args.timeout, 15000) + normalizeNumber(args.duration, 0) * 1000;
+
+    let result;
+    try {
+        result = await runCommand("intercept", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Interception failed"), { json: jsonOutput });
+    }
+
+    printJSON(result);
+}
+
+export async function run({ browser, logger, state, daemon }, args) {
+    const page = await resolvePage(browser, args);
+    if (!page) {
+        throw new CommandError("No active page found. Navigate first.");
+    }
+
+    const tabId = await getTabId(page);
+    const stateKey = `intercept:${tabId}`;
+    const active = state.get(stateKey);
+
+    if (args.status) {
+        return active ? { ok: true, active: true, tab: tabId, ...active.report() } : { ok: true, active: false, tab: tabId };
+    }
+
+    if (args.stop) {
+        if (!active) {
+            return { ok: true, active: false, tab: tabId };
+        }
+        state.delete(stateKey);
+        await active.stop();
+        logger.info("🧹 Interception disabled");
+        return { ok: true, active: false, tab: tabId, ...active.report() };
+    }
+
+    const duration = normalizeNumber(args.duration, 0);
+    if (!daemon && duration <= 0) {
+        throw new CommandError(
+            "Rules only persist through the session daemon. Start it (start.js or daemon.js --detach) or pass --duration <seconds>.",
+        );
+    }
+
+    const rules = await loadRules(args.rules);
+
+    if (active) {
+        state.delete(stateKey);
+        await active.stop();
+        logger.info("♻️  Replacing previously loaded rules");
+    }
+
+    const interceptor = await startInterceptor(page, rules, logger);
+    logger.info(`🛡️  Intercepting with ${rules.length} rule(s) from ${args.rules}`);
+
+    if (duration > 0) {
+        await delay(duration * 1000);
+        await interceptor.stop();
+        return { ok: true, active: false, tab: tabId, ...interceptor.report() };
+    }
+
+    state.set(stateKey, interceptor);
+    return { ok: true, active: true, tab: tabId, ...interceptor.report() };
+}
+
+/**
+ * Loads a rules file. JSON files contain `{ rules: [...] }` or a bare array;
+ * JS modules default-export the same shape. File bodies referenced by a rule
+ * resolve relative to the rules file.
+ */
+async function loadRules(path) {
+    let raw;
+    try {
+        if ([".js", ".mjs", ".cjs"].includes(extname(path))) {
+            const module = await import(`${pathToFileURL(path).href}?t=${Date.now()}`);
+            raw = module.default ?? module.rules;
+        } else {
+            raw = JSON.parse(await readFile(path, "utf8"));
+        }
+    } catch (error) {
+        throw new CommandError(`Could not load rules from ${path}: ${error.message}`);
+    }
+
+    const list = Array.isArray(raw) ? raw : raw?.rules;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new CommandError("Rules file must contain a non-empty 'rules' array");
+    }
+
+    const baseDir = dirname(path);
+    return list.map((rule, index) => normalizeRule(rule, index, baseDir));
+}
+
+function normalizeRule(rule, index, baseDir) {
+    const name = rule.name ?? `rule-${index + 1}`;
+    const toList = (value) => (value === undefined ? null : [].concat(value).map((item) => String(item).toLowerCase()));
+
+    const terminal = ["respond", "fail", "block"].filter((key) => rule[key] !== undefined && rule[key] !== false);
+    if (terminal.length > 1) {
+        throw new CommandError(`Rule "${name}" combines ${terminal.join(" and ")}; use only one.`);
+    }
+
+    const failReason = rule.block ? "BlockedByClient" : rule.fail === true ? "Failed" : rule.fail;
+    if (failReason && !ERROR_REASONS.includes(failReason)) {
+        throw new CommandError(`Rule "${name}" has unknown fail reason "${failReason}". Use one of ${ERROR_REASONS.join(", ")}.`);
+    }
+
+    const respond = rule.respond
+        ? {
+              ...rule.respond,
+              file: rule.respond.file ? resolvePath(baseDir, rule.respond.file) : undefined,
+          }
+        : null;
+
+    return {
+        name,
+        url: rule.url ? compileUrlPattern(rule.url) : null,
+        methods: toList(rule.method),
+        resourceTypes: toList(rule.resourceType),
+        delay: normalizeNumber(rule.delay, 0),
+        respond,
+        failReason: failReason ?? null,
+        requestHeaders: rule.requestHeaders ?? null,
+        responseHeaders: rule.responseHeaders ?? null,
+        hits: 0,
+    };
+}
+
+/**
+ * Enables the CDP Fetch domain on a dedicated session and applies the first
+ * matching rule to every paused request. Unmatched requests continue untouched.
+ */
+async function startInterceptor(page, rules, logger) {
+    const client = await page.createCDPSession();
+    let passthrough = 0;
+
+    const patterns = [{ urlPattern: "*", requestStage: "Request" }];
+    if (rules.some((rule) => rule.responseHeaders)) {
+        patterns.push({ urlPattern: "*", requestStage: "Response" });
+    }
+
+    client.on("Fetch.requestPaused", (event) => {
+        handlePaused(event).catch((error) => {
+            logger.warn(`⚠️  Failed to handle ${event.request.url}: ${error.message}`);
+            client.send("Fetch.continueRequest", { requestId: event.requestId }).catch(() => {});
+        });
+    });
+
+    await client.send("Fetch.enable", { patterns });
+
+    async function handlePaused(event) {
+        const { requestId, request, resourceType } = event;
+        const atResponse = event.responseStatusCode !== undefined || event.responseErrorReason !== undefined;
+        const rule = rules.find((candidate) => matches(candidate, request, resourceType));
+
+        if (atResponse) {
+            if (rule?.responseHeaders && !rule.respond && !rule.failReason) {
+                await rewriteResponse(event, rule);
+            } else {
+                await client.send("Fetch.continueRequest", { requestId });
+            }
+            return;
+        }
+
+        if (!rule) {
+            passthrough += 1;
+            await client.send("Fetch.continueRequest", { requestId });
+            return;
+        }
+
+        rule.hits += 1;
+        if (rule.delay > 0) await delay(rule.delay);
+
+        if (rule.failReason) {
+            await client.send("Fetch.failRequest", { requestId, errorReason: rule.failReason });
+        } else if (rule.respond) {
+            await client.send("Fetch.fulfillRequest", { requestId, ...(await buildResponse(rule.respond, rule.responseHeaders)) });
+        } else {
+            const params = { requestId };
+            if (rule.requestHeaders) {
+                params.headers = toHeaderEntries(mergeHeaders(request.headers, rule.requestHeaders));
+            }
+            await client.send("Fetch.continueRequest", params);
+        }
+    }
+
+    async function rewriteResponse(event, rule) {
+        const { body, base64Encoded } = await client.send("Fetch.getResponseBody", { requestId: event.requestId });
+        const original = Object.fromEntries((event.responseHeaders ?? []).map(({ name, value }) => [name, value]));
+        await client.send("Fetch.fulfillRequest", {
+            requestId: event.requestId,
+            responseCode: event.responseStatusCode,
+            responseHeaders: toHeaderEntries(mergeHeaders(original, rule.responseHeaders)),
+            body: base64Encoded ? body : Buffer.from(body).toString("base64"),
+        });
+    }
+
+    return {
+        report() {
+            return {
+                rules: rules.map((rule) => ({ name: rule.name, hits: rule.hits })),
+                passthrough,
+            };
+        },
+        async stop() {
+            await client.send("Fetch.disable").catch(() => {});
+            await client.detach().catch(() => {});
+        },
+    };
+}
+
+function matches(rule, request, resourceType) {
+    if (rule.url && !rule.url.test(request.url)) return false;
+    if (rule.methods && !rule.methods.includes(request.method.toLowerCase())) return false;
+    if (rule.resourceTypes && !rule.resourceTypes.includes(String(resourceType).toLowerCase())) return false;
+    return true;
+}
+
+async function buildResponse(respond, extraHeaders) {
+    let body;
+    let contentType = respond.contentType;
+
+    if (respond.file) {
+        body = await readFile(respond.file);
+        contentType ??= CONTENT_TYPES[extname(respond.file).toLowerCase()] ?? "application/octet-stream";
+    } else if (respond.json !== undefined) {
+        body = Buffer.from(JSON.stringify(respond.json));
+        contentType ??= "application/json";
+    } else {
+        body = Buffer.from(respond.body ?? "");
+        contentType ??= "text/plain; charset=utf-8";
+    }
+
+    const headers = mergeHeaders({ "content-type": contentType }, { ...respond.headers, ...extraHeaders });
+
+    return {
+        responseCode: normalizeNumber(respond.status, 200),
+        responseHeaders: toHeaderEntries(headers),
+        body: body.toString("base64"),
+    };
+}
+
+/**
+ * Applies overrides case-insensitively; a `null` override removes the header.
+ */
+function mergeHeaders(base = {}, overrides = {}) {
+    const merged = new Map(Object.entries(base).map(([name, value]) => [name.toLowerCase(), { name, value }]));
+    for (const [name, value] of Object.entries(overrides ?? {})) {
+        if (value === null) {
+            merged.delete(name.toLowerCase());
+        } else {
+            merged.set(name.toLowerCase(), { name, value: String(value) });
+        }
+    }
+    return Object.fromEntries(Array.from(merged.values(), ({ name, value }) => [name, value]));
+}
+
+function toHeaderEntries(headers) {
+    return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
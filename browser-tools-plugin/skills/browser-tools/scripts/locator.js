@@ -0,0 +1,799 @@
+import { CommandError } from "./config.js";
+
+/** Global symbol key of the page-side map that `snapshot.js` fills with refs. */
+export const REF_REGISTRY_KEY = "browser-tools.refs";
+
+// Separates chained target segments; `>>>` and `>>>>` are shadow combinators, not separators.
+const SEGMENT_SEPARATOR = ">>";
+
+// Segment prefixes the locator engine understands; any other segment is CSS.
+const ENGINES = new Set(["css", "text", "role", "label", "placeholder", "testid", "nth", "visible", "frame"]);
+
+// Engines that match by meaning rather than position; chains using them must resolve to one element.
+const STRICT_ENGINES = new Set(["text", "role", "label", "placeholder", "testid"]);
+
+// `role=` attributes compared against the accessibility tree, besides `name`.
+const ROLE_STATES = ["checked", "disabled", "expanded", "pressed", "selected", "level"];
+
+// Attributes `testid=` reads, in the spellings test frameworks commonly use.
+const TEST_ID_ATTRIBUTES = ["data-testid", "data-test-id", "data-test"];
+
+// Candidates listed in an ambiguity error.
+const AMBIGUITY_PREVIEW = 5;
+
+// Order in which generated selectors are offered, most robust first.
+const STRATEGY_RANK = ["testid", "id", "role", "attribute", "class", "text", "path"];
+
+// Generated selectors per element, and the longest name or text worth turning into one.
+const MAX_SELECTORS = 5;
+const MAX_NAME_LENGTH = 60;
+
+// Accessibility roles that say nothing about an element.
+const GENERIC_ROLES = new Set(["generic", "none", "presentation", "StaticText", "InlineTextBox", "RootWebArea", "LineBreak"]);
+
+/**
+ * Element resolution shared by commands that accept a target. A target is a
+ * chain of segments joined with ` >> `; each segment searches inside the
+ * matches of the one before it:
+ *
+ * - a CSS selector (optionally `css=`); `>>>` crosses every shadow root below,
+ *   `>>>>` one level, e.g. `x-card >>>> button`
+ * - `text=Save` (substring, any case), `text="Save"` (exact), `text=/^save/i` (regex)
+ * - `role=button[name="Save"]`, `label=Email`, `placeholder=Search`, `testid=submit`
+ * - `nth=<index>` (0-based, negative counts from the end) and `visible=true|false`
+ * - leading `frame=<name|url|selector>` segments that look inside an iframe
+ * - `ref:<id>` for an element labelled by the last `snapshot.js` run
+ *
+ * CSS-only chains resolve to the first match, like `querySelector`. A chain
+ * with a text, role, label, placeholder, or test id segment after its last
+ * `nth=` must match exactly one element, or this throws listing the matches.
+ */
+export async function locateElement(page, target) {
+    const locator = parseLocator(target);
+    if (locator.steps.length === 1 && locator.steps[0].engine === "css") {
+        const frame = await resolveFrameChain(page, locator.frames);
+        return await frame.$(locator.steps[0].selector);
+    }
+
+    const handles = await resolveLocator(page, locator);
+    if (handles.length > 1 && locator.strict) {
+        const error = await describeAmbiguity(locator, handles);
+        await disposeAll(handles);
+        throw error;
+    }
+    await disposeAll(handles.slice(1));
+    return handles[0] ?? null;
+}
+
+/**
+ * Resolves every element a target matches, in document order. The caller
+ * disposes the handles.
+ */
+export async function locateAll(page, target) {
+    return await resolveLocator(page, parseLocator(target));
+}
+
+/**
+ * A pre-parsed `text=` locator for flags that take plain text, so the text
+ * may contain ` >> ` or quotes.
+ */
+export function textLocator(value) {
+    return {
+        source: `text=${value}`,
+        frames: [],
+        steps: [{ engine: "text", matcher: { kind: "substring", value: String(value) } }],
+        strict: true,
+    };
+}
+
+/**
+ * Resolves a `--frame` value: one frame spec, or several joined with `>>`
+ * for nested frames. The `frame=` prefix is optional here.
+ */
+export async function resolveFrame(page, spec) {
+    const specs = splitSegments(String(spec)).map((segment) => segment.replace(/^frame=/, ""));
+    return await resolveFrameChain(page, specs);
+}
+
+/**
+ * Builds the `frame=... >> ` prefix that leads `locateElement` back to
+ * `frame`, naming each level by frame name, then exact URL, then the iframe
+ * element's selector, whichever is unique within its parent.
+ */
+export async function describeFramePath(page, frame) {
+    const segments = [];
+    for (let current = frame; current && current !== page.mainFrame(); current = current.parentFrame()) {
+        segments.unshift(`frame=${await describeFrame(current)}`);
+    }
+    return segments.map((segment) => `${segment} ${SEGMENT_SEPARATOR} `).join("");
+}
+
+export function describeMissingTarget(target) {
+    const { source, frames, steps } = parseLocator(target);
+    const scope = frames.length > 0 ? ` in frame ${frames.join(` ${SEGMENT_SEPARATOR} `)}` : "";
+    const [step] = steps;
+    if (steps.length === 1 && step.engine === "ref") {
+        return `Unknown or stale ref: ${step.ref}. Run snapshot.js again to refresh refs.`;
+    }
+    if (steps.length === 1 && step.engine === "text" && step.matcher.kind === "substring") {
+        return `No element found containing text: ${step.matcher.value}${scope}`;
+    }
+    if (steps.length === 1 && step.engine === "css") {
+        return `Selector not found: ${step.selector}${scope}`;
+    }
+    const chain = frames.length > 0 ? splitSegments(source).slice(frames.length).join(` ${SEGMENT_SEPARATOR} `) : source;
+    return `No element matches ${chain}${scope}`;
+}
+
+/**
+ * Reads an element's metadata plus `selectors`, ranked alternatives that each
+ * resolve to this element alone (see `generateSelectors`). `selector` is
+ * `selectorOverride` when given, otherwise the best alternative.
+ */
+export async function collectElementInfo(handle, selectorOverride) {
+    const selectors = await generateSelectors(handle);
+    const info = await handle.evaluate((el) => {
+        const rect = el.getBoundingClientRect();
+        const attributes = Object.fromEntries(
+            el.getAttributeNames().map((name) => [name, el.getAttribute(name)]),
+        );
+
+        const textContent = el.innerText ?? el.textContent ?? "";
+
+        return {
+            tag: el.tagName.toLowerCase(),
+            id: el.id || null,
+            classes: el.classList.length ? Array.from(el.classList) : [],
+            text: textContent.trim().slice(0, 160),
+            attributes,
+            rect: {
+                x: Math.round(rect.x),
+                y: Math.round(rect.y),
+                width: Math.round(rect.width),
+                height: Math.round(rect.height),
+            },
+            visible: Boolean(el.offsetParent),
+            children: el.children.length,
+        };
+    });
+    return { selector: selectorOverride ?? selectors[0]?.selector ?? null, selectors, ...info };
+}
+
+/**
+ * Builds up to five targets for an element, most robust first: CSS by test
+ * id, stable id, role and accessible name, CSS by attribute or a short class
+ * subset, exact text, and an anchored CSS path as the last resort. Every
+ * entry is checked to match only this element; elements in iframes get the
+ * `frame=` prefix. Entries are `{ type: "css" | "role" | "text", strategy, selector }`.
+ */
+export async function generateSelectors(handle) {
+    const frame = handle.frame;
+    const css = await handle.evaluate(cssSelectorsInPage, TEST_ID_ATTRIBUTES);
+    const candidates = css.map(({ strategy, selector }) => ({ type: "css", strategy, selector, verified: true }));
+
+    const node = await accessibilityOf(frame).snapshot({ root: handle, interestingOnly: false }).catch(() => null);
+    const name = normalizeWhitespace(node?.name);
+    if (node && name && name.length <= MAX_NAME_LENGTH && !GENERIC_ROLES.has(node.role)) {
+        candidates.push({ type: "role", strategy: "role", selector: `role=${node.role}[name=${JSON.stringify(name)}]` });
+    }
+    const text = normalizeWhitespace(await handle.evaluate((el) => el.textContent));
+    if (text && text.length <= MAX_NAME_LENGTH) {
+        candidates.push({ type: "text", strategy: "text", selector: `text=${JSON.stringify(text)}` });
+    }
+
+    const ranked = [];
+    for (const candidate of candidates.sort((a, b) => STRATEGY_RANK.indexOf(a.strategy) - STRATEGY_RANK.indexOf(b.strategy))) {
+        if (ranked.length >= MAX_SELECTORS) break;
+        if (candidate.verified || (await resolvesTo(frame, candidate.selector, handle))) {
+            ranked.push({ type: candidate.type, strategy: candidate.strategy, selector: candidate.selector });
+        }
+    }
+
+    const prefix = frame === frame.page().mainFrame() ? "" : await describeFramePath(frame.page(), frame);
+    return ranked.map((entry) => ({ ...entry, selector: `${prefix}${entry.selector}` }));
+}
+
+/**
+ * Source of an in-page `(element) => selector` that returns the best unique
+ * CSS selector for an element within its own document, for code injected as
+ * a string (the element picker's label).
+ */
+export function cssSelectorSource() {
+    return `(element) => (${cssSelectorsInPage})(element, ${JSON.stringify(TEST_ID_ATTRIBUTES)})[0]?.selector ?? ""`;
+}
+
+export async function findByRef(context, ref) {
+    const handle = await context.evaluateHandle(
+        (key, id) => {
+            const element = window[Symbol.for(key)]?.refs.get(id)?.deref();
+            return element?.isConnected ? element : null;
+        },
+        REF_REGISTRY_KEY,
+        ref.trim(),
+    );
+    const element = handle.asElement();
+    if (!element) await handle.dispose();
+    return element;
+}
+
+/**
+ * Parses a target string into `{ source, frames, steps, strict }`. Already
+ * parsed locators (see `textLocator`) pass through unchanged.
+ */
+function parseLocator(target) {
+    if (target && typeof target === "object" && Array.isArray(target.steps)) return target;
+
+    const source = String(target);
+    const segments = splitSegments(source);
+    const frames = [];
+    while (segments.length > 1 && segments[0].startsWith("frame=")) {
+        frames.push(segments.shift().slice("frame=".length));
+    }
+    if (segments.length === 0) {
+        throw new CommandError("Empty element target.");
+    }
+
+    const steps = segments.map(parseStep);
+    if (steps.some((step) => step.engine === "frame")) {
+        throw new CommandError(`frame= segments must come first and be followed by an element, e.g. frame=checkout >> #card (got "${source}").`);
+    }
+    if (steps[0].engine === "nth" || steps[0].engine === "visible") {
+        throw new CommandError(`${segments[0]} filters the matches of a previous segment, e.g. button >> ${segments[0]}.`);
+    }
+    if (steps.slice(1).some((step) => step.engine === "ref")) {
+        throw new CommandError(`ref: must be the first segment of "${source}".`);
+    }
+
+    const lastNth = steps.findLastIndex((step) => step.engine === "nth");
+    const strict = steps.slice(lastNth + 1).some((step) => STRICT_ENGINES.has(step.engine));
+    return { source, frames, steps, strict };
+}
+
+function parseStep(segment) {
+    if (segment.startsWith("ref:")) return { engine: "ref", ref: segment.slice(4).trim() };
+
+    const match = segment.match(/^([a-z]+)=([\s\S]*)$/);
+    if (!match || !ENGINES.has(match[1])) return { engine: "css", selector: segment };
+
+    const [, engine, body] = match;
+    const value = body.trim();
+    switch (engine) {
+        case "css":
+            return { engine, selector: value };
+        case "frame":
+            return { engine };
+        case "nth": {
+            const index = Number(value);
+            if (value === "" || !Number.isInteger(index)) {
+                throw new CommandError(`nth= needs an integer index (0-based, negative from the end), got "${value}".`);
+            }
+            return { engine, index };
+        }
+        case "visible":
+            if (value !== "true" && value !== "false") {
+                throw new CommandError(`visible= must be true or false, got "${value}".`);
+            }
+            return { engine, visible: value === "true" };
+        case "role":
+            return parseRole(value);
+        case "testid":
+            return { engine, matcher: parseMatcher(value, engine, "exact") };
+        default:
+            return { engine, matcher: parseMatcher(value, engine) };
+    }
+}
+
+/**
+ * Parses a locator value: `/source/flags` is a regex, a quoted string is an
+ * exact match (whitespace-normalized, case-sensitive), and anything else uses
+ * `unquoted` (a case-insensitive substring unless the engine says otherwise).
+ */
+function parseMatcher(value, engine, unquoted = "substring") {
+    const regex = value.match(/^\/([\s\S]+)\/([a-z]*)$/);
+    if (regex) {
+        const flags = regex[2].replace(/[gy]/g, "");
+        try {
+            new RegExp(regex[1], flags);
+        } catch (error) {
+            throw new CommandError(`Invalid regular expression in ${engine}=${value}: ${error.message}`);
+        }
+        return { kind: "regex", source: regex[1], flags };
+    }
+    if (value.length > 1 && /^(["'])[\s\S]*\1$/.test(value)) {
+        return { kind: "exact", value: unquote(value) };
+    }
+    if (!value) {
+        throw new CommandError(`${engine}= needs a value.`);
+    }
+    return { kind: unquoted, value };
+}
+
+function parseRole(value) {
+    const match = value.match(/^([a-zA-Z-]+)([\s\S]*)$/);
+    if (!match) {
+        throw new CommandError(`Invalid role locator "role=${value}". Use e.g. role=button[name="Save"].`);
+    }
+    const step = { engine: "role", role: match[1].toLowerCase(), name: null, states: {} };
+
+    const attributes = match[2];
+    const attribute = /\s*\[\s*([a-z-]+)\s*(?:=\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\/(?:[^/\\]|\\.)+\/[a-z]*|[^\]]*?))?\s*\]\s*/y;
+    let index = 0;
+    while (index < attributes.length) {
+        attribute.lastIndex = index;
+        const found = attribute.exec(attributes);
+        if (!found) {
+            throw new CommandError(`Invalid role attributes "${attributes.slice(index)}" in role=${value}.`);
+        }
+        index = attribute.lastIndex;
+        const [, key, raw] = found;
+        if (key === "name") {
+            step.name = parseMatcher(raw ?? "", "role name");
+        } else if (ROLE_STATES.includes(key)) {
+            step.states[key] = parseRoleState(key, raw);
+        } else {
+            throw new CommandError(`Unknown role attribute [${key}]. Use name, ${ROLE_STATES.join(", ")}.`);
+        }
+    }
+    return step;
+}
+
+function parseRoleState(key, raw) {
+    const value = raw === undefined ? "true" : unquote(raw);
+    if (key === "level") {
+        const level = Number(value);
+        if (!Number.isInteger(level) || level < 1) throw new CommandError(`[level] needs a positive integer, got "${value}".`);
+        return level;
+    }
+    if (value === "mixed" && (key === "checked" || key === "pressed")) return "mixed";
+    if (value !== "true" && value !== "false") throw new CommandError(`[${key}] must be true or false, got "${value}".`);
+    return value === "true";
+}
+
+async function resolveLocator(page, { frames, steps }) {
+    return await resolveSteps(await resolveFrameChain(page, frames), steps);
+}
+
+async function resolveSteps(frame, steps) {
+    // null stands for the frame's document before the first segment.
+    let handles = null;
+    try {
+        for (const step of steps) {
+            const next = await applyStep(frame, handles, step);
+            await disposeAll((handles ?? []).filter((handle) => !next.includes(handle)));
+            handles = next;
+        }
+    } catch (error) {
+        await disposeAll(handles ?? []);
+        throw error;
+    }
+    return handles;
+}
+
+async function applyStep(frame, scopes, step) {
+    switch (step.engine) {
+        case "ref": {
+            const handle = await findByRef(frame, step.ref);
+            return handle ? [handle] : [];
+        }
+        case "css":
+            return await queryEach(frame, scopes, step.selector);
+        case "role":
+            return await filterByRole(
+                frame,
+                await queryEach(frame, scopes, `::-p-aria([role=${JSON.stringify(step.role)}])`),
+                step,
+            );
+        case "nth": {
+            const index = step.index < 0 ? scopes.length + step.index : step.index;
+            return scopes[index] ? [scopes[index]] : [];
+        }
+        case "visible": {
+            if (scopes.length === 0) return [];
+            const visible = await frame.evaluate(
+                (...elements) =>
+                    elements.map((element) => {
+                        const rect = element.getBoundingClientRect();
+                        return getComputedStyle(element).visibility !== "hidden" && (rect.width > 0 || rect.height > 0);
+                    }),
+                ...scopes,
+            );
+            return scopes.filter((_, index) => visible[index] === step.visible);
+        }
+        default:
+            return await toElementHandles(await frame.evaluateHandle(queryInPage, step, TEST_ID_ATTRIBUTES, ...(scopes ?? [])));
+    }
+}
+
+// Runs a puppeteer selector (CSS, `>>>`, `::-p-aria`) in the document or in each scope, without duplicates.
+async function queryEach(frame, scopes, selector) {
+    if (!scopes) return await frame.$$(selector);
+    const found = (await Promise.all(scopes.map((scope) => scope.$$(selector)))).flat();
+    if (scopes.length < 2 || found.length < 2) return found;
+    const unique = await frame.evaluateHandle((...elements) => [...new Set(elements)], ...found);
+    await disposeAll(found);
+    return await toElementHandles(unique);
+}
+
+/**
+ * Keeps elements whose accessible name and states match, read from the same
+ * accessibility tree `snapshot.js` shows.
+ */
+async function filterByRole(frame, handles, step) {
+    const accessibility = accessibilityOf(frame);
+    const kept = [];
+    for (const handle of handles) {
+        const node = await accessibility.snapshot({ root: handle, interestingOnly: false }).catch(() => null);
+        const matches =
+            node &&
+            (!step.name || matchesText(step.name, node.name)) &&
+            Object.entries(step.states).every(([key, expected]) =>
+                key === "level" ? node.level === expected : (node[key] ?? false) === expected,
+            );
+        if (matches) kept.push(handle);
+        else await handle.dispose();
+    }
+    return kept;
+}
+
+// Each frame has its own accessibility tree; out-of-process frames are not reachable from the page's.
+function accessibilityOf(frame) {
+    return frame.accessibility ?? frame.page().accessibility;
+}
+
+// True when a frame-relative target matches `handle` and nothing else.
+async function resolvesTo(frame, target, handle) {
+    let matches = [];
+    try {
+        matches = await resolveSteps(frame, parseLocator(target).steps);
+        return matches.length === 1 && (await matches[0].evaluate((element, other) => element === other, handle));
+    } catch {
+        return false;
+    } finally {
+        await disposeAll(matches);
+    }
+}
+
+/**
+ * In-page CSS generation for `generateSelectors`. Tries test id attributes, a
+ * stable id, identifying attributes, then one or two stable classes, and
+ * keeps those `querySelectorAll` proves unique. Falls back to a path anchored
+ * at the nearest uniquely identifiable ancestor. Ids and classes that look
+ * generated (CSS-in-JS hashes, framework counters) or describe state are
+ * skipped. Shadow DOM elements are prefixed with their host's best selector
+ * and `>>>>`.
+ */
+function cssSelectorsInPage(target, testIdAttributes) {
+    const quote = (value) => JSON.stringify(value);
+    const looksGenerated = (value) =>
+        /\d{3,}|:|^(?:css|sc|jsx|emotion|svelte|ng-tns|tw)-|^_[a-z0-9]+$/i.test(value) ||
+        value.split(/[-_]/).some((part) => part.length >= 5 && /\d/.test(part) && /[a-z]/i.test(part));
+    const stateClass = /^(?:is-|has-)|^(?:active|selected|focus|focused|hover|open|opened|disabled|checked|current|visible|hidden|show|ng-[a-z]+)$/i;
+
+    const selectorsFor = (element) => {
+        const root = element.getRootNode();
+        const isUnique = (selector) => {
+            try {
+                const found = root.querySelectorAll(selector);
+                return found.length === 1 && found[0] === element;
+            } catch {
+                return false;
+            }
+        };
+        const tag = CSS.escape(element.localName);
+        const results = [];
+        const add = (strategy, selector) => {
+            if (!results.some((entry) => entry.selector === selector) && isUnique(selector)) {
+                results.push({ strategy, selector });
+            }
+        };
+        const usable = (value) => value && value.length <= 80 && !/[\n\r]/.test(value);
+
+        for (const name of testIdAttributes) {
+            const value = element.getAttribute(name);
+            if (usable(value)) add("testid", `[${name}=${quote(value)}]`);
+        }
+        if (element.id && !looksGenerated(element.id)) add("id", `#${CSS.escape(element.id)}`);
+        for (const name of ["name", "aria-label", "placeholder", "title", "alt"]) {
+            const value = element.getAttribute(name);
+            if (usable(value)) add("attribute", `${tag}[${name}=${quote(value)}]`);
+        }
+        const href = element.getAttribute("href");
+        if (element.localName === "a" && usable(href) && !/^(?:#|javascript:)/i.test(href)) {
+            add("attribute", `a[href=${quote(href)}]`);
+        }
+
+        const classes = Array.from(element.classList)
+            .filter((name) => !looksGenerated(name) && !stateClass.test(name))
+            .slice(0, 6)
+            .map((name) => `.${CSS.escape(name)}`);
+        for (const name of classes) add("class", `${tag}${name}`);
+        for (let i = 0; i < classes.length && !results.some((entry) => entry.strategy === "class"); i += 1) {
+            for (let j = i + 1; j < classes.length; j += 1) add("class", `${tag}${classes[i]}${classes[j]}`);
+        }
+
+        if (results.length === 0) {
+            // Walk up until the path below an identifiable ancestor (or the root) is unique.
+            const anchorOf = (ancestor) => {
+                const testId = testIdAttributes.find((name) => usable(ancestor.getAttribute(name)));
+                if (testId) return `[${testId}=${quote(ancestor.getAttribute(testId))}]`;
+                if (ancestor.id && !looksGenerated(ancestor.id)) return `#${CSS.escape(ancestor.id)}`;
+                return null;
+            };
+            const parts = [];
+            let path = null;
+            for (let current = element; current; current = current.parentElement) {
+                const siblings = Array.from(current.parentNode?.children ?? []).filter(
+                    (child) => child.localName === current.localName,
+                );
+                const stepTag = CSS.escape(current.localName);
+                parts.unshift(siblings.length > 1 ? `${stepTag}:nth-of-type(${siblings.indexOf(current) + 1})` : stepTag);
+                path = parts.join(" > ");
+                if (isUnique(path)) break;
+                const anchor = current.parentElement && anchorOf(current.parentElement);
+                if (anchor && isUnique(`${anchor} > ${path}`)) {
+                    path = `${anchor} > ${path}`;
+                    break;
+                }
+            }
+            results.push({ strategy: "path", selector: path });
+        }
+
+        if (root instanceof ShadowRoot) {
+            const host = selectorsFor(root.host)[0].selector;
+            return results.map((entry) => ({ ...entry, selector: `${host} >>>> ${entry.selector}` }));
+        }
+        return results;
+    };
+
+    return selectorsFor(target);
+}
+
+function matchesText(matcher, text) {
+    const value = normalizeWhitespace(text);
+    if (matcher.kind === "regex") return new RegExp(matcher.source, matcher.flags).test(value);
+    if (matcher.kind === "exact") return value === normalizeWhitespace(matcher.value);
+    return value.toLowerCase().includes(normalizeWhitespace(matcher.value).toLowerCase());
+}
+
+function normalizeWhitespace(value) {
+    return String(value ?? "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * In-page half of the text, label, placeholder, and test id engines. Walks
+ * the document (or each scope) including open shadow roots and returns the
+ * matching elements in document order.
+ */
+function queryInPage(step, testIdAttributes, ...scopes) {
+    const normalize = (value) => String(value ?? "").replace(/\s+/g, " ").trim();
+    const { matcher } = step;
+    const pattern = matcher.kind === "regex" ? new RegExp(matcher.source, matcher.flags) : null;
+    const wanted = normalize(matcher.value);
+    const matches = (text) => {
+        const value = normalize(text);
+        if (pattern) return pattern.test(value);
+        if (matcher.kind === "exact") return value === wanted;
+        return value.toLowerCase().includes(wanted.toLowerCase());
+    };
+
+    const elements = [];
+    const walk = (root) => {
+        for (const element of root.querySelectorAll("*")) {
+            elements.push(element);
+            if (element.shadowRoot) walk(element.shadowRoot);
+        }
+    };
+    for (const root of scopes.length > 0 ? scopes : [document]) {
+        if (root.shadowRoot) walk(root.shadowRoot);
+        walk(root);
+    }
+    const candidates = [...new Set(elements)];
+
+    if (step.engine === "placeholder") {
+        return candidates.filter((element) => element.hasAttribute("placeholder") && matches(element.getAttribute("placeholder")));
+    }
+    if (step.engine === "testid") {
+        return candidates.filter((element) =>
+            testIdAttributes.some((name) => element.hasAttribute(name) && matches(element.getAttribute(name))),
+        );
+    }
+    if (step.engine === "label") {
+        // <label for>, wrapping labels, aria-labelledby, and aria-label.
+        const labelsOf = (element) => {
+            const texts = Array.from(element.labels ?? [], (label) => label.textContent);
+            const ids = element.getAttribute("aria-labelledby");
+            if (ids) {
+                const root = element.getRootNode();
+                texts.push(ids.split(/\s+/).map((id) => root.getElementById?.(id)?.textContent ?? "").join(" "));
+            }
+            if (element.hasAttribute("aria-label")) texts.push(element.getAttribute("aria-label"));
+            return texts;
+        };
+        return candidates.filter((element) => labelsOf(element).some(matches));
+    }
+
+    // text: the innermost elements whose text matches; buttons made from <input> match by value.
+    const skipped = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "HEAD", "TITLE"]);
+    const texts = new Map();
+    // Like textContent, but without script and style source; memoized so the walk stays linear.
+    const textOf = (element) => {
+        if (texts.has(element)) return texts.get(element);
+        let text = "";
+        if (element instanceof HTMLInputElement && ["button", "submit", "reset"].includes(element.type)) {
+            text = element.value;
+        } else {
+            for (const node of element.childNodes) {
+                if (node.nodeType === Node.TEXT_NODE) text += node.data;
+                else if (node.nodeType === Node.ELEMENT_NODE && !skipped.has(node.tagName)) text += textOf(node);
+            }
+        }
+        texts.set(element, text);
+        return text;
+    };
+    const hits = new Set(candidates.filter((element) => !skipped.has(element.tagName) && matches(textOf(element))));
+    return [...hits].filter(
+        (element) => ![...element.children, ...(element.shadowRoot?.children ?? [])].some((child) => hits.has(child)),
+    );
+}
+
+async function describeAmbiguity(locator, handles) {
+    const lines = await Promise.all(
+        handles.slice(0, AMBIGUITY_PREVIEW).map((handle, index) =>
+            handle.evaluate((element, position) => {
+                const classes = Array.from(element.classList, (name) => `.${name}`).join("");
+                const text = (element.value || element.innerText || element.textContent || "").replace(/\s+/g, " ").trim().slice(0, 40);
+                const rect = element.getBoundingClientRect();
+                const hidden = rect.width === 0 && rect.height === 0 ? " (hidden)" : "";
+                return `  nth=${position}: <${element.tagName.toLowerCase()}${element.id ? `#${element.id}` : ""}${classes}>${text ? ` "${text}"` : ""}${hidden}`;
+            }, index),
+        ),
+    );
+    const more = handles.length > AMBIGUITY_PREVIEW ? `\n  … ${handles.length - AMBIGUITY_PREVIEW} more` : "";
+    return new CommandError(
+        `${locator.source} is ambiguous: it matches ${handles.length} elements. Append ">> nth=<index>" or ">> visible=true", or narrow the locator:\n${lines.join("\n")}${more}`,
+    );
+}
+
+async function toElementHandles(arrayHandle) {
+    const properties = await arrayHandle.getProperties();
+    await arrayHandle.dispose();
+    const elements = [];
+    for (const handle of properties.values()) {
+        const element = handle.asElement();
+        if (element) elements.push(element);
+        else await handle.dispose();
+    }
+    return elements;
+}
+
+async function disposeAll(handles) {
+    await Promise.all(handles.map((handle) => handle.dispose().catch(() => {})));
+}
+
+// Splits on ` >> ` outside quotes, brackets, and parentheses.
+function splitSegments(value) {
+    const segments = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let index = 0; index < value.length; index += 1) {
+        const char = value[index];
+        if (quote) {
+            if (char === "\\") index += 1;
+            else if (char === quote) quote = null;
+        } else if ((char === '"' || char === "'") && /^$|[=[(,\s]$/.test(value.slice(0, index).trimEnd().slice(-1))) {
+            // Only quotes that open a value count, so apostrophes in `text=Don't` do not.
+            quote = char;
+        } else if (char === "[" || char === "(") {
+            depth += 1;
+        } else if (char === "]" || char === ")") {
+            depth = Math.max(0, depth - 1);
+        } else if (
+            depth === 0 &&
+            /\s/.test(value[index - 1] ?? "") &&
+            value.startsWith(`${SEGMENT_SEPARATOR} `, index)
+        ) {
+            segments.push(value.slice(start, index).trim());
+            start = index + SEGMENT_SEPARATOR.length;
+        }
+    }
+    segments.push(value.slice(start).trim());
+    return segments.filter(Boolean);
+}
+
+async function resolveFrameChain(page, specs) {
+    let frame = page.mainFrame();
+    for (const spec of specs) {
+        frame = await findFrame(page, frame, unquote(spec));
+    }
+    return frame;
+}
+
+/**
+ * Finds a frame below `parent` by name, then exact URL, then a selector for
+ * its iframe element in `parent`, then URL substring (or `*` glob).
+ */
+async function findFrame(page, parent, spec) {
+    const candidates = descendantFrames(parent);
+    const pick = (matches, kind) => {
+        if (matches.length > 1) {
+            throw new CommandError(
+                `Frame ${kind} "${spec}" is ambiguous (${matches.length} frames: ${matches.map((frame) => frame.url()).join(", ")}).`,
+            );
+        }
+        return matches[0] ?? null;
+    };
+
+    const byName = pick(candidates.filter((frame) => frame.name() === spec), "name");
+    if (byName) return byName;
+    const byUrl = pick(candidates.filter((frame) => frame.url() === spec), "URL");
+    if (byUrl) return byUrl;
+
+    const element = await parent.$(spec).catch(() => null);
+    if (element) {
+        try {
+            const frame = await element.contentFrame();
+            if (!frame) throw new CommandError(`Frame selector "${spec}" matches an element that is not an iframe.`);
+            return frame;
+        } finally {
+            await element.dispose();
+        }
+    }
+
+    const pattern = spec.includes("*")
+        ? new RegExp(`^${spec.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`)
+        : null;
+    const byPattern = pick(
+        candidates.filter((frame) => (pattern ? pattern.test(frame.url()) : frame.url().includes(spec))),
+        "URL",
+    );
+    if (byPattern) return byPattern;
+
+    const available = candidates.map((frame) => (frame.name() ? `${frame.name()} (${frame.url()})` : frame.url()));
+    throw new CommandError(
+        `No frame matches "${spec}" by name, URL, or iframe selector.${available.length ? ` Frames: ${available.join(", ")}` : " The page has no frames."}`,
+    );
+}
+
+async function describeFrame(frame) {
+    const parent = frame.parentFrame();
+    const siblings = descendantFrames(parent);
+    const name = frame.name();
+    if (name && siblings.filter((candidate) => candidate.name() === name).length === 1) {
+        return quoteSpec(name);
+    }
+    const url = frame.url();
+    if (url && url !== "about:blank" && siblings.filter((candidate) => candidate.url() === url).length === 1) {
+        return quoteSpec(url);
+    }
+    const element = await frame.frameElement();
+    if (!element) return quoteSpec(url);
+    try {
+        const [best] = await element.evaluate(cssSelectorsInPage, TEST_ID_ATTRIBUTES);
+        return quoteSpec(best.selector);
+    } finally {
+        await element.dispose();
+    }
+}
+
+function descendantFrames(frame) {
+    return frame.childFrames().flatMap((child) => [child, ...descendantFrames(child)]);
+}
+
+// Specs containing a separator or quote are written as JSON strings.
+function quoteSpec(value) {
+    return /\s>>\s|^["']/.test(value) ? JSON.stringify(value) : value;
+}
+
+function unquote(value) {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('"') && trimmed.endsWith('"') && trimmed.length > 1) {
+        try {
+            return JSON.parse(trimmed);
+        } catch {
+            return trimmed.slice(1, -1);
+        }
+    }
+    if (trimmed.startsWith("'") && trimmed.endsWith("'") && trimmed.length > 1) return trimmed.slice(1, -1);
+    return trimmed;
+}
@@ -1,70 +1,86 @@
 #!/usr/bin/env node
 
-import puppeteer from "puppeteer-core";
-
 import {
+    CommandError,
     DEFAULT_PORT,
     createLogger,
+    describeError,
     fail,
-    getActivePage,
+    isMainModule,
     parseArgs,
     printJSON,
-    resolveBrowserConnection,
     normalizeNumber,
 } from "./config.js";
+import { attachConsoleCollector, ensureConsoleCollector } from "./console.js";
+import { emulatePage } from "./emulate.js";
+import { resolveDevice } from "./emulation.js";
+import { getTabId, resolvePage, resolvePort, runCommand, writeCurrentTab } from "./session.js";
 
-const args = parseArgs(process.argv.slice(2), {
-    boolean: ["new", "json", "quiet"],
-    string: ["wait", "ws", "host"],
-    number: ["port", "timeout"],
-    alias: {
-        j: "json",
-        q: "quiet",
-    },
-    defaults: {
-        port: DEFAULT_PORT,
-        timeout: 30000,
-        wait: "domcontentloaded",
-    },
-});
-
-const url = args._[0];
-
-if (!url) {
-    fail("Usage: navigate.js <url> [--new] [--wait=domcontentloaded|networkidle0|load|none]", {
-        json: Boolean(args.json),
-    });
+if (isMainModule(import.meta.url)) {
+    await main();
 }
 
-const jsonOutput = Boolean(args.json);
-const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["new", "console", "json", "quiet", "daemon"],
+        string: ["wait", "device", "tab", "ws", "host"],
+        number: ["port", "timeout"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 30000,
+            wait: "domcontentloaded",
+        },
+    });
 
-const waitStrategy = normalizeWait(args.wait);
-if (!waitStrategy) {
-    fail("Invalid --wait value. Use domcontentloaded, networkidle0, load, or none.", { json: jsonOutput });
-}
+    const url = args._[0];
 
-const timeout = normalizeNumber(args.timeout, 30000);
-const port = normalizeNumber(args.port, DEFAULT_PORT);
+    if (!url) {
+        fail("Usage: navigate.js <url> [--new] [--tab=<id|pattern>] [--wait=domcontentloaded|networkidle0|load|none] [--console] [--device=<preset>]", {
+            json: Boolean(args.json),
+        });
+    }
 
-logger.info(`🌐 Navigating to ${url}${args.new ? " (new tab)" : ""}...`);
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
 
-const connectionOptions = resolveBrowserConnection({ port, host: args.host, ws: args.ws });
+    if (!normalizeWait(args.wait)) {
+        fail("Invalid --wait value. Use domcontentloaded, networkidle0, load, or none.", { json: jsonOutput });
+    }
 
-let browser;
-try {
-    browser = await puppeteer.connect({
-        ...connectionOptions,
-        timeout,
-    });
-} catch (error) {
-    fail(`Failed to connect to browser: ${error.message}`, { json: jsonOutput });
+    const timeout = normalizeNumber(args.timeout, 30000);
+
+    logger.info(`🌐 Navigating to ${url}${args.new ? " (new tab)" : ""}...`);
+
+    let result;
+    try {
+        result = await runCommand("navigate", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Navigation failed"), { json: jsonOutput });
+    }
+
+    if (jsonOutput) {
+        printJSON(result);
+    } else {
+        process.stdout.write(`${JSON.stringify(result)}\n`);
+        logger.info(`✅ Navigated to ${result.url}`);
+    }
 }
 
-try {
-    const page = args.new ? await browser.newPage() : await getExistingPage(browser);
+export async function run({ browser, state, daemon }, args) {
+    const url = args._[0];
+    const waitStrategy = normalizeWait(args.wait);
+    const timeout = normalizeNumber(args.timeout, 30000);
+
+    // Checked before opening a tab so a typo does not leave one behind.
+    if (args.device) await resolveDevice(args.device);
+
+    const page = args.new ? await browser.newPage() : await resolvePage(browser, args);
     if (!page) {
-        fail("No active page found. Start Chrome with start.js or use --new to open a tab.", { json: jsonOutput });
+        throw new CommandError("No active page found. Start Chrome with start.js or use --new to open a tab.");
     }
 
     const gotoOptions = { timeout };
@@ -72,20 +88,42 @@ try {
         gotoOptions.waitUntil = waitStrategy;
     }
 
-    await page.goto(url, gotoOptions);
+    const tab = await getTabId(page);
+    // Applied before loading so the server already sees the device's user agent.
+    const emulation = args.device ? await emulatePage(page, tab, { device: args.device }, { port: resolvePort(args) }) : undefined;
+
+    const startedAt = Date.now();
+    // Inside the daemon the collector stays attached, so console.js sees the same history later.
+    const collector = args.console
+        ? daemon
+            ? await ensureConsoleCollector(state, page, tab)
+            : await attachConsoleCollector(page)
+        : null;
+
+    try {
+        await page.goto(url, gotoOptions);
+    } catch (error) {
+        const errors = collector?.errorsSince(startedAt) ?? [];
+        if (errors.length > 0) {
+            error.message += `\nPage errors:\n${errors.map((entry) => `  - ${entry.text}`).join("\n")}`;
+        }
+        throw error;
+    } finally {
+        if (collector && !daemon) await collector.stop();
+    }
 
-    const currentURL = page.url();
+    if (args.new) {
+        await writeCurrentTab(resolvePort(args), { id: tab, url: page.url() });
+    }
 
-    if (jsonOutput) {
-        printJSON({ ok: true, url: currentURL, newPage: Boolean(args.new) });
-    } else {
-        process.stdout.write(`${JSON.stringify({ ok: true, url: currentURL, newPage: Boolean(args.new) })}\n`);
-        logger.info(`✅ Navigated to ${currentURL}`);
+    const result = { ok: true, url: page.url(), newPage: Boolean(args.new), tab };
+    if (emulation) {
+        result.emulation = emulation;
     }
-} catch (error) {
-    fail(`Navigation failed: ${error.message}`, { json: jsonOutput });
-} finally {
-    if (browser) await browser.disconnect();
+    if (collector) {
+        result.errors = collector.errorsSince(startedAt);
+    }
+    return result;
 }
 
 function normalizeWait(value) {
@@ -96,8 +134,3 @@ function normalizeWait(value) {
     }
     return null;
 }
-
-async function getExistingPage(browserInstance) {
-    const page = await getActivePage(browserInstance, { index: -1 });
-    return page;
-}
\ No newline at end of file
@@ -0,0 +1,477 @@
+#!/usr/bin/env node
+
+import { writeFile } from "node:fs/promises";
+
+import {
+    CommandError,
+    DEFAULT_PORT,
+    compileUrlPattern,
+    createLogger,
+    delay,
+    describeError,
+    expandPath,
+    fail,
+    isMainModule,
+    parseArgs,
+    printJSON,
+    normalizeNumber,
+} from "./config.js";
+import { getTabId, resolvePage, runCommand } from "./session.js";
+
+const HAR_CREATOR = { name: "browser-tools", version: "1.0.0" };
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["start", "stop", "reload", "until-navigation", "bodies", "json", "quiet", "daemon"],
+        string: ["navigate", "wait", "filter", "type", "status", "har", "tab", "ws", "host"],
+        number: ["port", "timeout", "duration", "max-body-size"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 30000,
+            wait: "networkidle0",
+            "max-body-size": 1048576,
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    const mode = resolveMode(args);
+    if (!mode) {
+        fail(
+            "Specify a capture mode: --duration <seconds> | --reload | --navigate <url> | --until-navigation | --start | --stop",
+            { json: jsonOutput },
+        );
+    }
+
+    if (!["load", "domcontentloaded", "networkidle0", "networkidle2"].includes(args.wait)) {
+        fail("Invalid --wait value. Use load, domcontentloaded, networkidle0, or networkidle2.", { json: jsonOutput });
+    }
+
+    try {
+        parseStatusFilter(args.status);
+    } catch (error) {
+        fail(error.message, { json: jsonOutput });
+    }
+
+    if (args.har) args.har = expandPath(args.har);
+
+    const timeout = normalizeNumber(args.timeout, 30000) + normalizeNumber(args.duration, 0) * 1000;
+
+    let result;
+    try {
+        result = await runCommand("network", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Network capture failed"), { json: jsonOutput });
+    }
+
+    printJSON(result);
+}
+
+export async function run({ browser, logger, state, daemon }, args) {
+    const mode = resolveMode(args);
+    const timeout = normalizeNumber(args.timeout, 30000);
+    const waitUntil = args.wait ?? "networkidle0";
+
+    const page = await resolvePage(browser, args);
+    if (!page) {
+        throw new CommandError("No active page found. Navigate first.");
+    }
+
+    const tabId = await getTabId(page);
+    const stateKey = `network:${tabId}`;
+
+    if (mode === "start") {
+        if (!daemon) {
+            throw new CommandError("--start/--stop need the session daemon. Start it with start.js or daemon.js --detach.");
+        }
+        if (state.has(stateKey)) {
+            throw new CommandError("A capture is already running for this tab. Use --stop first.");
+        }
+        const recorder = await startRecorder(page, args);
+        state.set(stateKey, recorder);
+        logger.info(`📡 Recording network traffic for tab ${tabId}`);
+        return { ok: true, recording: true, tab: tabId, startedAt: recorder.startedAt };
+    }
+
+    if (mode === "stop") {
+        const recorder = state.get(stateKey);
+        if (!recorder) {
+            throw new CommandError("No capture is running for this tab. Start one with --start.");
+        }
+        state.delete(stateKey);
+        return await finishCapture(page, recorder, args, logger);
+    }
+
+    const recorder = await startRecorder(page, args);
+
+    try {
+        if (mode === "duration") {
+            logger.info(`📡 Recording for ${args.duration}s...`);
+            await delay(normalizeNumber(args.duration, 0) * 1000);
+        } else if (mode === "reload") {
+            logger.info("📡 Reloading and recording...");
+            await page.reload({ waitUntil, timeout });
+        } else if (mode === "navigate") {
+            logger.info(`📡 Navigating to ${args.navigate} and recording...`);
+            await page.goto(args.navigate, { waitUntil, timeout });
+        } else {
+            logger.info("📡 Recording until the next navigation completes...");
+            await page.waitForNavigation({ waitUntil, timeout });
+        }
+    } catch (error) {
+        await recorder.stop();
+        throw error;
+    }
+
+    return await finishCapture(page, recorder, args, logger);
+}
+
+function resolveMode(parsed) {
+    if (parsed.start) return "start";
+    if (parsed.stop) return "stop";
+    if (Number.isFinite(parsed.duration) && parsed.duration > 0) return "duration";
+    if (parsed.reload) return "reload";
+    if (typeof parsed.navigate === "string" && parsed.navigate) return "navigate";
+    if (parsed["until-navigation"]) return "until-navigation";
+    return null;
+}
+
+async function finishCapture(page, recorder, args, logger) {
+    const entries = await recorder.stop();
+    const filtered = applyFilters(entries, args);
+    const title = await page.title().catch(() => "");
+
+    const summary = {
+        ok: true,
+        startedAt: recorder.startedAt,
+        total: entries.length,
+        count: filtered.length,
+    };
+
+    if (args.har) {
+        const har = buildHar(filtered, { startedAt: recorder.startedAt, title, pageUrl: page.url() });
+        await writeFile(args.har, `${JSON.stringify(har, null, 2)}\n`, "utf8");
+        logger.info(`💾 Wrote ${filtered.length} entries to ${args.har}`);
+        return { ...summary, path: args.har };
+    }
+
+    logger.info(`📡 Captured ${filtered.length} of ${entries.length} requests`);
+    return { ...summary, requests: filtered.map(summarizeEntry) };
+}
+
+/**
+ * Subscribes to the CDP Network domain on a dedicated session and collects one
+ * record per request (redirect hops become separate records, as in HAR).
+ */
+async function startRecorder(page, args) {
+    const client = await page.createCDPSession();
+    await client.send("Network.enable", { maxResourceBufferSize: 10 * 1024 * 1024 });
+
+    const includeBodies = Boolean(args.bodies);
+    const maxBodySize = normalizeNumber(args["max-body-size"], 1048576);
+    const records = new Map();
+    const finished = [];
+    const pendingBodies = [];
+
+    const finalize = (record) => {
+        records.delete(record.requestId);
+        finished.push(record);
+    };
+
+    client.on("Network.requestWillBeSent", (event) => {
+        const previous = records.get(event.requestId);
+        if (previous && event.redirectResponse) {
+            previous.response = event.redirectResponse;
+            previous.endTimestamp = event.timestamp;
+            finalize(previous);
+        }
+        records.set(event.requestId, {
+            requestId: event.requestId,
+            request: event.request,
+            type: event.type ?? "Other",
+            wallTime: event.wallTime,
+            timestamp: event.timestamp,
+            initiator: event.initiator?.type ?? null,
+        });
+    });
+
+    client.on("Network.responseReceived", (event) => {
+        const record = records.get(event.requestId);
+        if (!record) return;
+        record.response = event.response;
+        record.type = event.type ?? record.type;
+    });
+
+    client.on("Network.loadingFinished", (event) => {
+        const record = records.get(event.requestId);
+        if (!record) return;
+        record.endTimestamp = event.timestamp;
+        record.encodedDataLength = event.encodedDataLength;
+        if (includeBodies && event.encodedDataLength <= maxBodySize) {
+            pendingBodies.push(
+                client
+                    .send("Network.getResponseBody", { requestId: event.requestId })
+                    .then((body) => {
+                        record.body = body;
+                    })
+                    .catch(() => {}),
+            );
+        }
+        finalize(record);
+    });
+
+    client.on("Network.loadingFailed", (event) => {
+        const record = records.get(event.requestId);
+        if (!record) return;
+        record.endTimestamp = event.timestamp;
+        record.errorText = event.canceled ? "canceled" : event.errorText;
+        finalize(record);
+    });
+
+    return {
+        startedAt: new Date().toISOString(),
+        async stop() {
+            await Promise.allSettled(pendingBodies);
+            await client.detach().catch(() => {});
+            // Requests still in flight are reported without a completion time.
+            return [...finished, ...records.values()].sort((a, b) => a.timestamp - b.timestamp);
+        },
+    };
+}
+
+function applyFilters(entries, args) {
+    const urlPattern = args.filter ? compileUrlPattern(args.filter) : null;
+    const types = args.type
+        ? new Set(
+              String(args.type)
+                  .split(",")
+                  .map((value) => value.trim().toLowerCase())
+                  .filter(Boolean),
+          )
+        : null;
+    const statusMatches = parseStatusFilter(args.status);
+
+    return entries.filter((entry) => {
+        if (urlPattern && !urlPattern.test(entry.request.url)) return false;
+        if (types && !types.has(entry.type.toLowerCase())) return false;
+        if (statusMatches && !statusMatches(entry)) return false;
+        return true;
+    });
+}
+
+/**
+ * Parses `--status` values such as `404`, `4xx`, `400-499`, `>=400`, or
+ * `failed` (comma-separated) into a predicate. Returns null when unset.
+ */
+function parseStatusFilter(value) {
+    if (value === undefined || value === null || value === "") return null;
+
+    const tests = String(value)
+        .split(",")
+        .map((part) => part.trim().toLowerCase())
+        .filter(Boolean)
+        .map((part) => {
+            if (part === "failed") return (entry) => Boolean(entry.errorText);
+            let match = /^([1-5])xx$/.exec(part);
+            if (match) {
+                const floor = Number(match[1]) * 100;
+                return (entry) => statusOf(entry) >= floor && statusOf(entry) < floor + 100;
+            }
+            match = /^(\d{3})-(\d{3})$/.exec(part);
+            if (match) {
+                return (entry) => statusOf(entry) >= Number(match[1]) && statusOf(entry) <= Number(match[2]);
+            }
+            match = /^(>=|<=|>|<)(\d{3})$/.exec(part);
+            if (match) {
+                const [, operator, raw] = match;
+                const bound = Number(raw);
+                return (entry) => {
+                    const status = statusOf(entry);
+                    if (!status) return false;
+                    if (operator === ">=") return status >= bound;
+                    if (operator === "<=") return status <= bound;
+                    if (operator === ">") return status > bound;
+                    return status < bound;
+                };
+            }
+            if (/^\d{3}$/.test(part)) return (entry) => statusOf(entry) === Number(part);
+            throw new CommandError(`Invalid --status value "${part}". Use 404, 4xx, 400-499, >=400, or failed.`);
+        });
+
+    return (entry) => tests.some((test) => test(entry));
+}
+
+function statusOf(entry) {
+    return entry.response?.status ?? 0;
+}
+
+function summarizeEntry(entry) {
+    const summary = {
+        method: entry.request.method,
+        url: entry.request.url,
+        status: entry.response?.status ?? null,
+        type: entry.type,
+        mimeType: entry.response?.mimeType ?? null,
+        size: entry.encodedDataLength ?? null,
+        time: entry.endTimestamp ? round((entry.endTimestamp - entry.timestamp) * 1000) : null,
+        fromCache: Boolean(entry.response?.fromDiskCache || entry.response?.fromServiceWorker),
+    };
+    if (entry.errorText) summary.error = entry.errorText;
+    if (!entry.endTimestamp) summary.pending = true;
+    return summary;
+}
+
+/**
+ * Builds a HAR 1.2 log (http://www.softwareishard.com/blog/har-12-spec/) from
+ * recorded entries. Timings follow the DevTools export: phases that did not
+ * happen are -1, and `time` is the sum of the non-negative phases.
+ */
+function buildHar(entries, { startedAt, title = "", pageUrl = "" } = {}) {
+    const pageId = "page_1";
+    return {
+        log: {
+            version: "1.2",
+            creator: HAR_CREATOR,
+            pages: [
+                {
+                    startedDateTime: entries[0] ? toIsoTime(entries[0].wallTime) : startedAt,
+                    id: pageId,
+                    title: title || pageUrl,
+                    pageTimings: { onContentLoad: -1, onLoad: -1 },
+                },
+            ],
+            entries: entries.map((entry) => buildHarEntry(entry, pageId)),
+        },
+    };
+}
+
+function buildHarEntry(entry, pageId) {
+    const { request, response } = entry;
+    const timings = buildTimings(entry);
+    const url = new URL(request.url);
+
+    const harEntry = {
+        pageref: pageId,
+        startedDateTime: toIsoTime(entry.wallTime),
+        time: round(
+            Object.entries(timings)
+                .filter(([name, value]) => name !== "ssl" && value > 0)
+                .reduce((total, [, value]) => total + value, 0),
+        ),
+        request: {
+            method: request.method,
+            url: request.url,
+            httpVersion: normalizeProtocol(response?.protocol),
+            cookies: [],
+            headers: toHarHeaders(request.headers),
+            queryString: Array.from(url.searchParams, ([name, value]) => ({ name, value })),
+            headersSize: -1,
+            bodySize: request.postData ? Buffer.byteLength(request.postData) : 0,
+        },
+        response: {
+            status: response?.status ?? 0,
+            statusText: response?.statusText ?? entry.errorText ?? "",
+            httpVersion: normalizeProtocol(response?.protocol),
+            cookies: [],
+            headers: toHarHeaders(response?.headers),
+            content: buildContent(entry),
+            redirectURL: findHeader(response?.headers, "location") ?? "",
+            headersSize: -1,
+            bodySize: entry.encodedDataLength ?? -1,
+        },
+        cache: {},
+        timings,
+        _resourceType: entry.type.toLowerCase(),
+    };
+
+    if (request.postData) {
+        harEntry.request.postData = {
+            mimeType: findHeader(request.headers, "content-type") ?? "",
+            text: request.postData,
+        };
+    }
+    if (response?.remoteIPAddress) {
+        harEntry.serverIPAddress = response.remoteIPAddress.replace(/^\[|\]$/g, "");
+    }
+    if (entry.errorText) {
+        harEntry._error = entry.errorText;
+    }
+    if (!entry.endTimestamp) {
+        harEntry._pending = true;
+    }
+
+    return harEntry;
+}
+
+function buildContent(entry) {
+    const content = {
+        size: entry.body ? Buffer.byteLength(entry.body.body, entry.body.base64Encoded ? "base64" : "utf8") : 0,
+        mimeType: entry.response?.mimeType ?? "x-unknown",
+    };
+    if (entry.body) {
+        content.text = entry.body.body;
+        if (entry.body.base64Encoded) content.encoding = "base64";
+    }
+    return content;
+}
+
+function buildTimings(entry) {
+    const timing = entry.response?.timing;
+    const total = entry.endTimestamp ? (entry.endTimestamp - entry.timestamp) * 1000 : 0;
+
+    if (!timing) {
+        return { blocked: 0, dns: -1, connect: -1, send: 0, wait: round(total), receive: 0, ssl: -1 };
+    }
+
+    const phase = (start, end) => (timing[start] >= 0 ? round(timing[end] - timing[start]) : -1);
+    const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find((value) => value >= 0) ?? 0;
+    const queued = Math.max(0, (timing.requestTime - entry.timestamp) * 1000);
+    const receiveStart = (timing.requestTime - entry.timestamp) * 1000 + timing.receiveHeadersEnd;
+
+    return {
+        blocked: round(queued + firstStart),
+        dns: phase("dnsStart", "dnsEnd"),
+        connect: phase("connectStart", "connectEnd"),
+        send: round(Math.max(0, timing.sendEnd - timing.sendStart)),
+        wait: round(Math.max(0, timing.receiveHeadersEnd - timing.sendEnd)),
+        receive: round(Math.max(0, total - receiveStart)),
+        ssl: phase("sslStart", "sslEnd"),
+    };
+}
+
+function toHarHeaders(headers = {}) {
+    return Object.entries(headers ?? {}).flatMap(([name, value]) =>
+        String(value)
+            .split("\n")
+            .map((line) => ({ name, value: line })),
+    );
+}
+
+function findHeader(headers = {}, name) {
+    const key = Object.keys(headers ?? {}).find((candidate) => candidate.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+}
+
+function normalizeProtocol(protocol) {
+    if (!protocol) return "";
+    if (protocol === "h2") return "HTTP/2.0";
+    if (protocol === "h3") return "HTTP/3.0";
+    return protocol.toUpperCase();
+}
+
+function toIsoTime(wallTime) {
+    return new Date(wallTime * 1000).toISOString();
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
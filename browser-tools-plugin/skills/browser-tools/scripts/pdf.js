@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+import { mkdtemp, readFile, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { randomUUID } from "node:crypto";
+
+import {
+    CommandError,
+    DEFAULT_PORT,
+    createLogger,
+    describeError,
+    expandPath,
+    fail,
+    isMainModule,
+    parseArgs,
+    pathExists,
+    printJSON,
+    normalizeNumber,
+} from "./config.js";
+import { resolvePage, runCommand } from "./session.js";
+import { run as waitForConditions } from "./wait.js";
+
+// Paper sizes in inches, matching Chrome's print dialog.
+const PAPER_SIZES = {
+    letter: { width: 8.5, height: 11 },
+    legal: { width: 8.5, height: 14 },
+    tabloid: { width: 11, height: 17 },
+    ledger: { width: 17, height: 11 },
+    a0: { width: 33.1, height: 46.8 },
+    a1: { width: 23.4, height: 33.1 },
+    a2: { width: 16.54, height: 23.4 },
+    a3: { width: 11.7, height: 16.54 },
+    a4: { width: 8.27, height: 11.7 },
+    a5: { width: 5.83, height: 8.27 },
+    a6: { width: 4.13, height: 5.83 },
+};
+
+const UNITS_PER_INCH = { in: 1, cm: 2.54, mm: 25.4, px: 96, pt: 72 };
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["landscape", "background", "network-idle", "css-page-size", "json", "quiet", "daemon"],
+        string: ["out", "paper", "margin", "pages", "header", "footer", "media", "wait-for", "tab", "ws", "host"],
+        number: ["port", "timeout", "scale"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 60000,
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    const timeout = normalizeNumber(args.timeout, 60000);
+
+    if (args.out) args.out = expandPath(args.out);
+    for (const key of ["header", "footer"]) {
+        if (args[key]) args[key] = await readTemplate(args[key]);
+    }
+
+    let result;
+    try {
+        result = await runCommand("pdf", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "PDF export failed"), { json: jsonOutput });
+    }
+
+    if (jsonOutput) {
+        printJSON(result);
+    } else {
+        logger.info(`🖨️  PDF saved (${result.pages} page${result.pages === 1 ? "" : "s"}, ${result.paper})`);
+        process.stdout.write(`${result.path}\n`);
+    }
+}
+
+export async function run({ browser, logger }, args) {
+    const page = await resolvePage(browser, args);
+    if (!page) {
+        throw new CommandError("No active page found. Navigate first.");
+    }
+
+    const media = args.media ? String(args.media).toLowerCase() : null;
+    if (media && !["print", "screen"].includes(media)) {
+        throw new CommandError("Invalid --media. Use print or screen.");
+    }
+
+    const paper = parsePaper(args.paper ?? "letter");
+    const options = {
+        width: `${paper.width}in`,
+        height: `${paper.height}in`,
+        landscape: Boolean(args.landscape),
+        margin: parseMargin(args.margin),
+        printBackground: Boolean(args.background),
+        preferCSSPageSize: Boolean(args["css-page-size"]),
+        scale: parseScale(args.scale),
+        pageRanges: args.pages ? String(args.pages).replace(/\s+/g, "") : "",
+        displayHeaderFooter: Boolean(args.header || args.footer),
+        // Chrome prints its own date/title header unless both templates are set.
+        headerTemplate: args.header || "<span></span>",
+        footerTemplate: args.footer || "<span></span>",
+    };
+
+    // The waits and the print share one --timeout, matching the budget the daemon allows.
+    const deadline = Date.now() + normalizeNumber(args.timeout, 60000);
+    const remaining = () => Math.max(1, deadline - Date.now());
+    if (args["wait-for"]) {
+        logger.info(`⏳ Waiting for ${args["wait-for"]}`);
+        const { port, host, ws, tab } = args;
+        await waitForConditions({ browser }, { _: [], port, host, ws, tab, selector: args["wait-for"], timeout: remaining() });
+    }
+    if (args["network-idle"]) {
+        logger.info("⏳ Waiting for network idle");
+        await page.waitForNetworkIdle({ idleTime: 500, timeout: remaining() }).catch((error) => {
+            if (error?.name === "TimeoutError") {
+                throw new CommandError("Timed out waiting for network idle before printing.");
+            }
+            throw error;
+        });
+    }
+
+    let buffer;
+    if (media) await page.emulateMediaType(media);
+    try {
+        buffer = Buffer.from(await page.pdf({ ...options, timeout: remaining() }));
+    } catch (error) {
+        if (/PrintToPDF is not implemented/i.test(error?.message ?? "")) {
+            throw new CommandError("Chrome only prints to PDF in headless mode; start it with --headless=new.");
+        }
+        if (/Page range/i.test(error?.message ?? "")) {
+            throw new CommandError(`Invalid --pages "${args.pages}": ${error.message}`);
+        }
+        throw error;
+    } finally {
+        // Chrome prints with print media by default, so only an explicit --media needs undoing.
+        if (media) await page.emulateMediaType(null).catch(() => {});
+    }
+
+    const outputFile = args.out ? args.out : await allocateTempFile();
+    await writeFile(outputFile, buffer);
+
+    return {
+        ok: true,
+        path: outputFile,
+        url: page.url(),
+        pages: countPages(buffer),
+        bytes: buffer.length,
+        paper: paper.name,
+        landscape: options.landscape,
+        media: media ?? "print",
+    };
+}
+
+/**
+ * Accepts a named size (`a4`, `letter`, ...) or explicit dimensions such as
+ * `210mmx297mm` or `8.5inx11in`. Dimensions are returned in inches.
+ */
+function parsePaper(value) {
+    const normalized = String(value).trim().toLowerCase();
+    if (PAPER_SIZES[normalized]) {
+        return { name: normalized, ...PAPER_SIZES[normalized] };
+    }
+
+    const match = normalized.match(/^([\d.]+)(in|cm|mm|px|pt)?x([\d.]+)(in|cm|mm|px|pt)?$/);
+    if (!match) {
+        throw new CommandError(
+            `Invalid --paper "${value}". Use ${Object.keys(PAPER_SIZES).join(", ")} or WIDTHxHEIGHT with units (e.g. 210mmx297mm).`,
+        );
+    }
+    const width = toInches(Number(match[1]), match[2] ?? match[4] ?? "in");
+    const height = toInches(Number(match[3]), match[4] ?? match[2] ?? "in");
+    if (!(width > 0) || !(height > 0)) {
+        throw new CommandError(`Invalid --paper "${value}": dimensions must be positive.`);
+    }
+    return { name: normalized, width, height };
+}
+
+function toInches(value, unit) {
+    return Math.round((value / UNITS_PER_INCH[unit]) * 1000) / 1000;
+}
+
+// CSS shorthand: one to four comma- or space-separated lengths (top, right, bottom, left).
+function parseMargin(value) {
+    if (value === undefined || value === "") return undefined;
+
+    const lengths = String(value)
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map((part) => /^([\d.]+)(in|cm|mm|px|pt)?$/.exec(part));
+    if (lengths.length < 1 || lengths.length > 4 || lengths.some((match) => !match || !Number.isFinite(Number(match[1])))) {
+        throw new CommandError(`Invalid --margin "${value}". Use 1-4 lengths such as "1cm", "36pt" or "0.5in,1in".`);
+    }
+    // Puppeteer's margin lengths have no `pt`, so every length goes over in inches.
+    const parts = lengths.map(([, number, unit = "in"]) => `${toInches(Number(number), unit)}in`);
+    const [top, right = top, bottom = top, left = right] = parts;
+    return { top, right, bottom, left };
+}
+
+function parseScale(value) {
+    if (value === undefined) return 1;
+    const numeric = normalizeNumber(value, NaN);
+    if (!(numeric >= 0.1 && numeric <= 2)) {
+        throw new CommandError("--scale must be between 0.1 and 2.");
+    }
+    return numeric;
+}
+
+// Chrome writes one uncompressed `/Type /Page` dictionary per page.
+function countPages(buffer) {
+    const matches = buffer.toString("latin1").match(/\/Type\s*\/Page(?!s)/g);
+    return matches ? matches.length : 0;
+}
+
+// Templates may be inline HTML or a path to an HTML file.
+async function readTemplate(value) {
+    if (value.trimStart().startsWith("<")) return value;
+    const path = expandPath(value);
+    if (await pathExists(path)) {
+        return await readFile(path, "utf8");
+    }
+    return value;
+}
+
+async function allocateTempFile() {
+    const directory = await mkdtemp(join(tmpdir(), "browser-tools-"));
+    return join(directory, `page-${randomUUID()}.pdf`);
+}
@@ -0,0 +1,427 @@
+#!/usr/bin/env node
+
+import { mkdtemp, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { randomUUID } from "node:crypto";
+
+import {
+    CommandError,
+    DEFAULT_PORT,
+    createLogger,
+    delay,
+    describeError,
+    expandPath,
+    fail,
+    isMainModule,
+    parseArgs,
+    printJSON,
+    normalizeNumber,
+} from "./config.js";
+import { restoreEmulation } from "./emulation.js";
+import { describeMissingTarget, locateElement } from "./locator.js";
+import { resolvePage, resolvePort, runCommand } from "./session.js";
+
+const VITALS_KEY = "browser-tools.vitals";
+
+// Network presets map to puppeteer's PredefinedNetworkConditions.
+const NETWORK_PRESETS = {
+    "slow-3g": "Slow 3G",
+    "fast-3g": "Fast 3G",
+    "slow-4g": "Slow 4G",
+    "fast-4g": "Fast 4G",
+};
+
+// Lighthouse-style profiles so runs on different machines stay comparable.
+const PRESETS = {
+    mobile: { network: "slow-4g", cpu: 4 },
+    desktop: { network: "none", cpu: 1 },
+};
+
+// Web Vitals "good" and "poor" thresholds (ms, except CLS).
+const THRESHOLDS = {
+    lcp: [2500, 4000],
+    fcp: [1800, 3000],
+    ttfb: [800, 1800],
+    inp: [200, 500],
+    tbt: [200, 600],
+    cls: [0.1, 0.25],
+};
+
+const WAIT_STRATEGIES = ["load", "domcontentloaded", "networkidle0", "networkidle2"];
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["warm", "screenshots", "json", "quiet", "daemon"],
+        string: ["out", "network", "preset", "wait", "tab", "ws", "host"],
+        number: ["port", "timeout", "cpu", "settle", "top"],
+        array: ["click"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 60000,
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    const timeout = normalizeNumber(args.timeout, 60000);
+
+    if (args.out) args.out = expandPath(args.out);
+
+    logger.info(`⏱️  Recording ${args._[0] ? `a load of ${args._[0]}` : "a reload"}...`);
+
+    let result;
+    try {
+        // The settle time and clicks run inside the command, so allow for them on top of the load timeout.
+        result = await runCommand("perf", run, args, { logger, timeout: timeout + normalizeNumber(args.settle, 3000) + 10000 });
+    } catch (error) {
+        fail(describeError(error, "Performance trace failed"), { json: jsonOutput });
+    }
+
+    if (jsonOutput) {
+        printJSON(result);
+        return;
+    }
+
+    process.stdout.write(`${formatSummary(result)}\n`);
+    logger.info(`📈 Trace saved to ${result.trace} (open it in the DevTools Performance panel)`);
+}
+
+/**
+ * Reloads (or navigates) the page while recording a trace. Web Vitals come
+ * from PerformanceObservers installed before the document loads; resource
+ * sizes come from the trace's network events, which include cross-origin
+ * transfer sizes that the Resource Timing API hides.
+ */
+export async function run({ browser, logger }, args) {
+    const page = await resolvePage(browser, args);
+    if (!page) {
+        throw new CommandError("No active page found. Navigate first or pass a URL.");
+    }
+
+    const url = args._?.[0];
+    const wait = String(args.wait ?? "load").toLowerCase();
+    if (!WAIT_STRATEGIES.includes(wait)) {
+        throw new CommandError(`Invalid --wait "${args.wait}". Use ${WAIT_STRATEGIES.join(", ")}.`);
+    }
+    const throttling = resolveThrottling(args);
+    const timeout = normalizeNumber(args.timeout, 60000);
+    const settle = Math.max(0, normalizeNumber(args.settle, 3000));
+    const clicks = (Array.isArray(args.click) ? args.click : [args.click]).filter((target) => typeof target === "string" && target);
+
+    const outputFile = args.out ? args.out : await allocateTempFile();
+
+    const { PredefinedNetworkConditions } = await import("puppeteer-core");
+    const { identifier } = await page.evaluateOnNewDocument(installVitalsObserver, VITALS_KEY);
+    if (throttling.network !== "none") {
+        await page.emulateNetworkConditions(PredefinedNetworkConditions[NETWORK_PRESETS[throttling.network]]);
+    }
+    // Sent even at 1 so an emulation profile's CPU slowdown doesn't skew the trace; the last rate set wins.
+    await page.emulateCPUThrottling(throttling.cpu);
+    if (!args.warm) await page.setCacheEnabled(false);
+
+    let traceBuffer;
+    let vitals;
+    const startedAt = Date.now();
+    try {
+        try {
+            await page.tracing.start({ screenshots: Boolean(args.screenshots) });
+        } catch (error) {
+            throw new CommandError(`Could not start tracing: ${error.message}. Is another trace running?`);
+        }
+
+        try {
+            if (url) {
+                await page.goto(url, { waitUntil: wait, timeout });
+            } else {
+                await page.reload({ waitUntil: wait, timeout });
+            }
+
+            for (const target of clicks) {
+                const handle = await locateElement(page, target);
+                if (!handle) throw new CommandError(describeMissingTarget(target));
+                logger.info(`🖱️  Clicking ${target}`);
+                await handle.click();
+                await delay(500);
+            }
+
+            await delay(settle);
+            vitals = await page.evaluate(readVitals, VITALS_KEY);
+        } finally {
+            traceBuffer = await page.tracing.stop();
+        }
+    } finally {
+        await page.removeScriptToEvaluateOnNewDocument(identifier).catch(() => {});
+        await page.emulateNetworkConditions(null).catch(() => {});
+        await page.emulateCPUThrottling(null).catch(() => {});
+        await page.setCacheEnabled(true).catch(() => {});
+        // Put back the emulation profile, including the CPU slowdown the trace replaced.
+        await restoreEmulation(page, resolvePort(args), { force: true }).catch(() => {});
+    }
+
+    const buffer = Buffer.from(traceBuffer ?? []);
+    await writeFile(outputFile, buffer);
+
+    let events = [];
+    try {
+        events = JSON.parse(buffer.toString("utf8")).traceEvents ?? [];
+    } catch {
+        logger.warn("⚠️  Trace could not be parsed; resource sizes are unavailable.");
+    }
+
+    const top = Math.max(1, normalizeNumber(args.top, 10));
+    return {
+        ok: true,
+        url: page.url(),
+        trace: outputFile,
+        duration: Date.now() - startedAt,
+        throttling,
+        cache: args.warm ? "warm" : "cold",
+        metrics: {
+            lcp: { ...rate("lcp", vitals.lcp), element: vitals.lcpElement, resource: vitals.lcpUrl },
+            cls: rate("cls", vitals.cls),
+            inp: { ...rate("inp", vitals.inp), interactions: vitals.interactions },
+            tbt: rate("tbt", vitals.tbt),
+            fcp: rate("fcp", vitals.fcp),
+            ttfb: rate("ttfb", vitals.ttfb),
+        },
+        timings: vitals.timings,
+        longTasks: {
+            count: vitals.longTasks.length,
+            total: round(vitals.longTasks.reduce((sum, task) => sum + task.duration, 0)),
+            tasks: [...vitals.longTasks].sort((a, b) => b.duration - a.duration).slice(0, top),
+        },
+        resources: summarizeResources(events, top),
+    };
+}
+
+function resolveThrottling(args) {
+    let network = "none";
+    let cpu = 1;
+
+    if (args.preset !== undefined) {
+        const preset = PRESETS[String(args.preset).toLowerCase()];
+        if (!preset) {
+            throw new CommandError(`Invalid --preset "${args.preset}". Use ${Object.keys(PRESETS).join(" or ")}.`);
+        }
+        ({ network, cpu } = preset);
+    }
+
+    if (args.network !== undefined) {
+        network = String(args.network).toLowerCase();
+        if (network !== "none" && !NETWORK_PRESETS[network]) {
+            throw new CommandError(`Invalid --network "${args.network}". Use ${Object.keys(NETWORK_PRESETS).join(", ")}, or none.`);
+        }
+    }
+
+    if (args.cpu !== undefined) {
+        cpu = normalizeNumber(args.cpu, NaN);
+        if (!(cpu >= 1)) {
+            throw new CommandError("--cpu is a slowdown factor of 1 or more (e.g. 4).");
+        }
+    }
+
+    return { network, cpu };
+}
+
+function rate(metric, value) {
+    if (value === null || value === undefined) return { value: null, rating: null };
+    const [good, poor] = THRESHOLDS[metric];
+    const rating = value <= good ? "good" : value <= poor ? "needs-improvement" : "poor";
+    return { value, rating };
+}
+
+/**
+ * Joins the trace's ResourceSendRequest/ReceiveResponse/Finish events by
+ * request id and returns totals plus the largest transfers.
+ */
+function summarizeResources(events, top) {
+    const requests = new Map();
+    const entry = (id) => {
+        if (!requests.has(id)) requests.set(id, { id });
+        return requests.get(id);
+    };
+
+    for (const event of events) {
+        const data = event.args?.data;
+        if (!data?.requestId) continue;
+        if (event.name === "ResourceSendRequest") {
+            Object.assign(entry(data.requestId), { url: data.url, method: data.requestMethod, priority: data.priority, start: event.ts });
+        } else if (event.name === "ResourceReceiveResponse") {
+            Object.assign(entry(data.requestId), { status: data.statusCode, mimeType: data.mimeType, fromCache: Boolean(data.fromCache) });
+        } else if (event.name === "ResourceFinish") {
+            Object.assign(entry(data.requestId), {
+                transferSize: data.encodedDataLength ?? 0,
+                size: data.decodedBodyLength ?? null,
+                end: event.ts,
+                failed: Boolean(data.didFail),
+            });
+        }
+    }
+
+    const finished = [...requests.values()].filter((request) => request.url && request.transferSize !== undefined);
+    const largest = [...finished]
+        .sort((a, b) => b.transferSize - a.transferSize)
+        .slice(0, top)
+        .map((request) => ({
+            url: request.url,
+            mimeType: request.mimeType ?? null,
+            status: request.status ?? null,
+            transferSize: request.transferSize,
+            size: request.size,
+            duration: request.start && request.end ? round((request.end - request.start) / 1000) : null,
+            priority: request.priority ?? null,
+        }));
+
+    return {
+        count: finished.length,
+        transferSize: finished.reduce((sum, request) => sum + request.transferSize, 0),
+        largest,
+    };
+}
+
+/**
+ * Runs in the page before any document script. Collects LCP, layout shifts
+ * (grouped into session windows as CLS defines), FCP, long tasks, and the
+ * slowest event per interaction for INP.
+ */
+function installVitalsObserver(key) {
+    if (window !== window.top) return;
+    const store = { lcp: null, lcpElement: null, lcpUrl: null, cls: 0, fcp: null, longTasks: [], interactions: new Map() };
+    let windowValue = 0;
+    let windowStart = 0;
+    let lastShift = 0;
+    window[Symbol.for(key)] = store;
+
+    const describe = (element) => {
+        if (!element || !element.tagName) return null;
+        let label = element.tagName.toLowerCase();
+        if (element.id) label += `#${element.id}`;
+        else if (typeof element.className === "string" && element.className.trim()) {
+            label += `.${element.className.trim().split(/\s+/).slice(0, 2).join(".")}`;
+        }
+        return label;
+    };
+
+    const observe = (type, callback, options = {}) => {
+        try {
+            new PerformanceObserver((list) => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...options });
+        } catch {
+            // Entry type not supported by this browser.
+        }
+    };
+
+    observe("largest-contentful-paint", (entry) => {
+        store.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+        store.lcpElement = describe(entry.element);
+        store.lcpUrl = entry.url || null;
+    });
+    observe("layout-shift", (entry) => {
+        if (entry.hadRecentInput) return;
+        if (entry.startTime - lastShift > 1000 || entry.startTime - windowStart > 5000) {
+            windowValue = 0;
+            windowStart = entry.startTime;
+        }
+        lastShift = entry.startTime;
+        windowValue += entry.value;
+        store.cls = Math.max(store.cls, windowValue);
+    });
+    observe("paint", (entry) => {
+        if (entry.name === "first-contentful-paint") store.fcp = entry.startTime;
+    });
+    observe("longtask", (entry) => {
+        store.longTasks.push({ start: entry.startTime, duration: entry.duration });
+    });
+    observe(
+        "event",
+        (entry) => {
+            if (!entry.interactionId) return;
+            const previous = store.interactions.get(entry.interactionId);
+            if (!previous || entry.duration > previous.duration) {
+                store.interactions.set(entry.interactionId, { type: entry.name, duration: entry.duration, target: describe(entry.target) });
+            }
+        },
+        { durationThreshold: 16 },
+    );
+}
+
+function readVitals(key) {
+    const store = window[Symbol.for(key)];
+    const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+    const navigation = performance.getEntriesByType("navigation")[0];
+    if (!store) {
+        throw new Error("Vitals observer did not run; the page may have blocked script injection.");
+    }
+
+    // INP is the worst interaction, ignoring one outlier per 50 interactions.
+    const interactions = [...store.interactions.values()].sort((a, b) => b.duration - a.duration);
+    const inpEntry = interactions[Math.min(interactions.length - 1, Math.floor(interactions.length / 50))];
+
+    // TBT: the part of every long task past 50 ms, counted from first contentful paint.
+    const fcp = store.fcp ?? 0;
+    const tbt = store.longTasks
+        .filter((task) => task.start + task.duration > fcp)
+        .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+
+    return {
+        lcp: round(store.lcp),
+        lcpElement: store.lcpElement,
+        lcpUrl: store.lcpUrl,
+        cls: Math.round(store.cls * 1000) / 1000,
+        fcp: round(store.fcp),
+        ttfb: navigation ? round(navigation.responseStart - (navigation.activationStart || 0)) : null,
+        inp: inpEntry ? round(inpEntry.duration) : null,
+        interactions: interactions.slice(0, 5).map((entry) => ({ ...entry, duration: round(entry.duration) })),
+        tbt: round(tbt),
+        longTasks: store.longTasks.map((task) => ({ start: round(task.start), duration: round(task.duration) })),
+        timings: navigation
+            ? {
+                  domContentLoaded: round(navigation.domContentLoadedEventEnd),
+                  load: round(navigation.loadEventEnd),
+                  transferSize: navigation.transferSize,
+              }
+            : null,
+    };
+}
+
+function formatSummary(result) {
+    const lines = [`${result.url}  (network: ${result.throttling.network}, cpu: ${result.throttling.cpu}×, cache: ${result.cache})`];
+    const labels = { lcp: "LCP", cls: "CLS", inp: "INP", tbt: "TBT", fcp: "FCP", ttfb: "TTFB" };
+    for (const [key, label] of Object.entries(labels)) {
+        const metric = result.metrics[key];
+        const value = metric.value === null ? "—" : key === "cls" ? String(metric.value) : `${Math.round(metric.value)} ms`;
+        let line = `${label.padEnd(5)} ${value.padStart(9)}  ${metric.rating ?? (key === "inp" ? "no interactions" : "")}`;
+        if (key === "lcp" && metric.element) line += `  ${metric.element}`;
+        lines.push(line.trimEnd());
+    }
+    lines.push(`Long tasks: ${result.longTasks.count} (${Math.round(result.longTasks.total)} ms)`);
+    lines.push(`Resources: ${result.resources.count}, ${formatBytes(result.resources.transferSize)} transferred`);
+    for (const resource of result.resources.largest.slice(0, 5)) {
+        lines.push(`  ${formatBytes(resource.transferSize).padStart(9)}  ${resource.url}`);
+    }
+    return lines.join("\n");
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+async function allocateTempFile() {
+    const directory = await mkdtemp(join(tmpdir(), "browser-tools-"));
+    return join(directory, `trace-${randomUUID()}.json`);
+}
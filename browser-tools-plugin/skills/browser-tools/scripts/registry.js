@@ -0,0 +1,241 @@
+import { spawnSync } from "node:child_process";
+import { readFileSync, readdirSync } from "node:fs";
+import { mkdir, readFile, readdir, readlink, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+import { STATE_DIR, delay } from "./config.js";
+import { isProcessAlive } from "./session.js";
+
+const RECORD_PATTERN = /^browser-(\d+)\.json$/;
+
+export function sessionRecordPath(port) {
+    return join(STATE_DIR, `browser-${port}.json`);
+}
+
+/**
+ * Records a Chrome launched by start.js so close.js and sessions.js can later
+ * find exactly that process tree instead of matching processes by name.
+ */
+export async function recordSession({ port, pid, userDataDir, chromePath, headless = false }) {
+    const record = {
+        port,
+        pid,
+        // Detached children lead their own process group on Unix.
+        pgid: process.platform === "win32" ? null : pid,
+        userDataDir,
+        chromePath,
+        headless,
+        startedAt: new Date().toISOString(),
+    };
+    await mkdir(STATE_DIR, { recursive: true });
+    await writeFile(sessionRecordPath(port), `${JSON.stringify(record, null, 2)}\n`, "utf8");
+    return record;
+}
+
+export async function readSessionRecord(port) {
+    try {
+        return JSON.parse(await readFile(sessionRecordPath(port), "utf8"));
+    } catch {
+        return null;
+    }
+}
+
+export async function removeSessionRecord(port) {
+    await rm(sessionRecordPath(port), { force: true });
+}
+
+export async function listSessionRecords() {
+    let entries;
+    try {
+        entries = await readdir(STATE_DIR);
+    } catch {
+        return [];
+    }
+    const records = [];
+    for (const entry of entries) {
+        const match = entry.match(RECORD_PATTERN);
+        if (!match) continue;
+        const record = await readSessionRecord(Number(match[1]));
+        if (record) records.push(record);
+    }
+    return records.sort((a, b) => a.port - b.port);
+}
+
+/**
+ * True while the recorded PID is alive and still belongs to that Chrome. The
+ * command line is compared where it can be read so a recycled PID is never
+ * mistaken for the browser.
+ */
+export function isSessionAlive(record) {
+    if (!record?.pid || !isRunning(record.pid)) return false;
+    const commandLine = readCommandLine(record.pid);
+    if (commandLine === null) return true;
+    return (
+        commandLine.includes(`--remote-debugging-port=${record.port}`) &&
+        (!record.userDataDir || commandLine.includes(`--user-data-dir=${record.userDataDir}`))
+    );
+}
+
+/**
+ * Terminates the recorded Chrome and every process it spawned: SIGTERM to the
+ * process group and descendants, then SIGKILL to whatever is left after
+ * `timeout`. Resolves to `{ terminated, signal, processes }`.
+ */
+export async function terminateSession(record, { timeout = 5000 } = {}) {
+    if (!isSessionAlive(record)) {
+        return { terminated: false, signal: null, processes: 0 };
+    }
+
+    if (process.platform === "win32") {
+        return terminateWindowsTree(record.pid, { timeout });
+    }
+
+    const targets = collectProcessTree(record.pid, record.pgid);
+    signalAll(targets, record.pgid, "SIGTERM");
+    if (await waitForExit(targets, timeout)) {
+        return { terminated: true, signal: "SIGTERM", processes: targets.length };
+    }
+
+    signalAll(targets.filter(isRunning), record.pgid, "SIGKILL");
+    await waitForExit(targets, 1000);
+    return { terminated: !isRunning(record.pid), signal: "SIGKILL", processes: targets.length };
+}
+
+/**
+ * Waits for the recorded browser process to exit (e.g. after a CDP
+ * `Browser.close`). Resolves to true once it is gone.
+ */
+export async function waitForSessionExit(record, timeout = 5000) {
+    return await waitForExit([record.pid], timeout);
+}
+
+/**
+ * Returns the PID holding a Chrome profile open, read from the SingletonLock
+ * symlink Chrome creates on Linux and macOS ("<hostname>-<pid>"), or null.
+ */
+export async function readProfileLockPid(userDataDir) {
+    try {
+        const target = await readlink(join(userDataDir, "SingletonLock"));
+        const pid = Number(target.split("-").at(-1));
+        return Number.isInteger(pid) && isRunning(pid) ? pid : null;
+    } catch {
+        return null;
+    }
+}
+
+function signalAll(pids, pgid, signal) {
+    if (pgid) {
+        try {
+            process.kill(-pgid, signal);
+        } catch {
+            // The group may already be gone; descendants are signalled individually below.
+        }
+    }
+    for (const pid of pids) {
+        try {
+            process.kill(pid, signal);
+        } catch {
+            // Already exited.
+        }
+    }
+}
+
+async function waitForExit(pids, timeout) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        if (!pids.some(isRunning)) return true;
+        await delay(100);
+    }
+    return !pids.some(isRunning);
+}
+
+// Like isProcessAlive, but a zombie (exited, not yet reaped by its parent) counts as gone.
+function isRunning(pid) {
+    if (!isProcessAlive(pid)) return false;
+    if (process.platform !== "linux") return true;
+    try {
+        const stat = readFileSync(`/proc/${pid}/stat`, "utf8");
+        return stat.slice(stat.lastIndexOf(")") + 2, stat.lastIndexOf(")") + 3) !== "Z";
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * The root PID, its descendants, and members of its process group (helpers
+ * such as crashpad are re-parented to init but keep the group).
+ */
+function collectProcessTree(rootPid, pgid) {
+    const table = readProcessTable();
+    const tree = new Set([rootPid]);
+    let grew = true;
+    while (grew) {
+        grew = false;
+        for (const entry of table) {
+            if (!tree.has(entry.pid) && (tree.has(entry.ppid) || (pgid && entry.pgid === pgid))) {
+                tree.add(entry.pid);
+                grew = true;
+            }
+        }
+    }
+    tree.delete(process.pid);
+    return [...tree];
+}
+
+function readProcessTable() {
+    if (process.platform === "linux") {
+        const table = [];
+        for (const entry of safeReaddir("/proc")) {
+            if (!/^\d+$/.test(entry)) continue;
+            try {
+                const stat = readFileSync(`/proc/${entry}/stat`, "utf8");
+                // Fields after the parenthesised command name: state, ppid, pgrp.
+                const [, ppid, pgid] = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+                table.push({ pid: Number(entry), ppid: Number(ppid), pgid: Number(pgid) });
+            } catch {
+                // Process exited while scanning.
+            }
+        }
+        return table;
+    }
+
+    const listing = spawnSync("ps", ["-A", "-o", "pid=,ppid=,pgid="], { encoding: "utf8" });
+    if (listing.status !== 0) return [];
+    return listing.stdout
+        .split("\n")
+        .map((line) => line.trim().split(/\s+/).map(Number))
+        .filter((fields) => fields.length === 3 && fields.every(Number.isInteger))
+        .map(([pid, ppid, pgid]) => ({ pid, ppid, pgid }));
+}
+
+function readCommandLine(pid) {
+    if (process.platform === "linux") {
+        try {
+            return readFileSync(`/proc/${pid}/cmdline`, "utf8").split("\0").join(" ");
+        } catch {
+            return null;
+        }
+    }
+    if (process.platform === "win32") return null;
+    const listing = spawnSync("ps", ["-p", String(pid), "-o", "command="], { encoding: "utf8" });
+    return listing.status === 0 ? listing.stdout.trim() : null;
+}
+
+async function terminateWindowsTree(pid, { timeout }) {
+    // Without /F, taskkill asks the windows to close, which lets Chrome save its profile.
+    spawnSync("taskkill", ["/PID", String(pid), "/T"], { stdio: "ignore" });
+    if (await waitForExit([pid], timeout)) {
+        return { terminated: true, signal: "close", processes: 1 };
+    }
+    spawnSync("taskkill", ["/PID", String(pid), "/T", "/F"], { stdio: "ignore" });
+    await waitForExit([pid], 1000);
+    return { terminated: !isRunning(pid), signal: "kill", processes: 1 };
+}
+
+function safeReaddir(path) {
+    try {
+        return readdirSync(path);
+    } catch {
+        return [];
+    }
+}
@@ -0,0 +1,573 @@
+#!/usr/bin/env node
+
+import { mkdir, mkdtemp, readFile, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { dirname, extname, join, resolve as resolvePath } from "node:path";
+
+import {
+    CommandError,
+    DEFAULT_PORT,
+    compileUrlPattern,
+    createLogger,
+    delay,
+    describeError,
+    expandPath,
+    fail,
+    isMainModule,
+    parseArgs,
+    printJSON,
+    normalizeNumber,
+} from "./config.js";
+import { describeMissingTarget, locateAll, locateElement } from "./locator.js";
+import { DAEMON_COMMANDS, createRecordingLogger, resolvePage, runCommand } from "./session.js";
+import { WAIT_CONDITIONS, run as waitForConditions } from "./wait.js";
+
+const BUILTIN_STEPS = ["assert", "wait", "set"];
+const STEP_OPTIONS = new Set(["name", "retry", "retryDelay", "timeout", "continueOnError", "save"]);
+// Flags whose string values are file paths, resolved relative to the workflow file.
+const PATH_FLAGS = ["out", "out-dir", "har", "rules", "file", "export", "import", "baseline", "keyfile", "passphrase-file"];
+const DEFAULT_STEP_TIMEOUT = 30000;
+const DEFAULT_ASSERT_TIMEOUT = 5000;
+
+class StepTimeoutError extends CommandError {}
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const args = parseArgs(argv, {
+        boolean: ["json", "quiet", "daemon"],
+        string: ["var", "report", "out-dir", "tab", "ws", "host"],
+        number: ["port", "timeout"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 15000,
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    const file = args._[0];
+    if (!file) {
+        fail("Usage: run.js <workflow.json|workflow.yaml> [--var name=value ...] [--report=report.json] [--out-dir=dir]", {
+            json: jsonOutput,
+        });
+    }
+
+    const workflowPath = expandPath(file);
+    let workflow;
+    try {
+        workflow = await loadWorkflow(workflowPath);
+    } catch (error) {
+        fail(describeError(error, "Could not load workflow"), { json: jsonOutput });
+    }
+
+    // The daemon has its own environment, so only the variables the workflow references travel with it.
+    const source = JSON.stringify(workflow);
+    const env = Object.fromEntries(
+        Array.from(source.matchAll(/(?<!\$)\$\{env\.(\w+)\}/g), ([, name]) => [name, process.env[name] ?? ""]),
+    );
+
+    const commandArgs = {
+        ...args,
+        workflow,
+        baseDir: dirname(workflowPath),
+        vars: { ...parseVarFlags(argv), env },
+        "out-dir": args["out-dir"] ? expandPath(args["out-dir"]) : undefined,
+    };
+
+    const timeout = normalizeNumber(args.timeout, 15000) + workflowBudget(workflow);
+
+    let report;
+    try {
+        report = await runCommand("run", run, commandArgs, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Workflow failed"), { json: jsonOutput });
+    }
+
+    if (args.report) {
+        const reportPath = expandPath(args.report);
+        await writeFile(reportPath, `${JSON.stringify(report, null, 2)}\n`, "utf8");
+        logger.info(`💾 Report written to ${reportPath}`);
+    }
+
+    if (jsonOutput) {
+        printJSON(report);
+    } else {
+        process.stdout.write(formatReport(report));
+    }
+
+    if (!report.ok) {
+        process.exitCode = 1;
+    }
+}
+
+export async function run(context, args) {
+    const { browser, logger } = context;
+    const workflow = args.workflow;
+    const steps = normalizeSteps(workflow);
+    const defaults = workflow.defaults ?? {};
+    const vars = { ...(workflow.vars ?? {}) };
+    Object.assign(vars, args.vars ?? {});
+
+    const startedAt = new Date();
+    const results = [];
+    let halted = false;
+    let outDir = args["out-dir"] ?? null;
+
+    for (const [index, step] of steps.entries()) {
+        const label = step.name ?? describeStep(step);
+        if (halted) {
+            results.push({ index: index + 1, name: label, command: step.command, status: "skipped" });
+            continue;
+        }
+
+        const { retry, retryDelay, timeout, limit } = stepSettings(step, defaults);
+        const continueOnError = Boolean(step.continueOnError ?? defaults.continueOnError);
+
+        const entry = { index: index + 1, name: label, command: step.command, status: "passed", attempts: 0 };
+        const started = Date.now();
+
+        for (let attempt = 0; attempt <= retry; attempt++) {
+            entry.attempts = attempt + 1;
+            try {
+                const input = interpolate(step.input, vars);
+                entry.output = await withTimeout(executeStep(context, step.command, input, { ...args, timeout }, vars), limit, label);
+                delete entry.error;
+                break;
+            } catch (error) {
+                entry.error = describeError(error, `${step.command} failed`);
+                // The handler may still be driving the page, so another attempt or step would race it.
+                if (error instanceof StepTimeoutError) {
+                    entry.timedOut = true;
+                    break;
+                }
+                if (attempt < retry) {
+                    logger.warn(`🔁 Step ${index + 1} failed (${entry.error}); retrying...`);
+                    await delay(retryDelay);
+                }
+            }
+        }
+
+        entry.duration = Date.now() - started;
+
+        if (entry.error) {
+            entry.status = "failed";
+            entry.continued = continueOnError && !entry.timedOut;
+            outDir ??= await mkdtemp(join(tmpdir(), "browser-tools-run-"));
+            entry.screenshot = await captureFailure(browser, args, outDir, index + 1);
+            if (!entry.continued) halted = true;
+        } else if (step.save) {
+            vars[step.save] = entry.output;
+        }
+
+        results.push(entry);
+    }
+
+    const summary = {
+        passed: results.filter((entry) => entry.status === "passed").length,
+        failed: results.filter((entry) => entry.status === "failed").length,
+        skipped: results.filter((entry) => entry.status === "skipped").length,
+    };
+
+    return {
+        ok: !results.some((entry) => entry.status === "failed" && !entry.continued),
+        name: workflow.name ?? null,
+        startedAt: startedAt.toISOString(),
+        duration: Date.now() - startedAt.getTime(),
+        summary,
+        outDir,
+        steps: results,
+    };
+}
+
+function stepSettings(step, defaults) {
+    const retry = Math.max(0, Math.trunc(normalizeNumber(step.retry ?? defaults.retry, 0)));
+    const retryDelay = normalizeNumber(step.retryDelay ?? defaults.retryDelay, 1000);
+    const timeout = normalizeNumber(
+        step.timeout ?? defaults.timeout,
+        step.command === "assert" ? DEFAULT_ASSERT_TIMEOUT : DEFAULT_STEP_TIMEOUT,
+    );
+    // Assertions poll until `timeout` themselves; the grace period lets them report what they saw.
+    const limit = step.command === "assert" || step.command === "wait" ? timeout + 1000 : timeout;
+    return { retry, retryDelay, timeout, limit };
+}
+
+/**
+ * Upper bound on how long a workflow can run when every step uses all of its
+ * attempts, so the daemon does not abandon a workflow that is still progressing.
+ */
+function workflowBudget(workflow) {
+    const defaults = workflow.defaults ?? {};
+    return normalizeSteps(workflow).reduce((total, step) => {
+        const { retry, retryDelay, limit } = stepSettings(step, defaults);
+        return total + (limit + retryDelay) * (retry + 1);
+    }, 0);
+}
+
+async function loadWorkflow(path) {
+    const text = await readFile(path, "utf8").catch((error) => {
+        throw new CommandError(`Cannot read workflow ${path}: ${error.message}`);
+    });
+
+    let workflow;
+    try {
+        if ([".yaml", ".yml"].includes(extname(path).toLowerCase())) {
+            const { parse } = await import("yaml");
+            workflow = parse(text);
+        } else {
+            workflow = JSON.parse(text);
+        }
+    } catch (error) {
+        throw new CommandError(`Invalid workflow ${path}: ${error.message}`);
+    }
+
+    if (Array.isArray(workflow)) workflow = { steps: workflow };
+    normalizeSteps(workflow);
+    return workflow;
+}
+
+/**
+ * Splits each step into its command, the command's input, and runner
+ * options. A step leads with the command it runs, e.g.
+ * `{ element: "#email", fill: "${user}", retry: 2 }`.
+ */
+function normalizeSteps(workflow) {
+    if (!workflow || !Array.isArray(workflow.steps) || workflow.steps.length === 0) {
+        throw new CommandError("Workflow must contain a non-empty 'steps' array");
+    }
+
+    const runnable = [...new Set([...DAEMON_COMMANDS.filter((name) => name !== "run"), ...BUILTIN_STEPS])];
+
+    return workflow.steps.map((step, index) => {
+        if (!step || typeof step !== "object" || Array.isArray(step)) {
+            throw new CommandError(`Step ${index + 1} must be an object`);
+        }
+        // The first key naming a command wins, so `{ navigate: url, wait: "load" }` passes `wait` as a flag.
+        const command = Object.keys(step).find((key) => runnable.includes(key));
+        if (!command) {
+            throw new CommandError(`Step ${index + 1} must start with one of ${runnable.join(", ")}`);
+        }
+
+        const flags = Object.fromEntries(
+            Object.entries(step).filter(([key]) => key !== command && !STEP_OPTIONS.has(key)),
+        );
+        const options = Object.fromEntries(Object.entries(step).filter(([key]) => STEP_OPTIONS.has(key)));
+        return { ...options, command, input: { value: step[command], flags } };
+    });
+}
+
+async function executeStep(context, command, { value, flags }, runArgs, vars) {
+    const { browser } = context;
+
+    if (command === "set") {
+        if (value === null || typeof value !== "object" || Array.isArray(value)) {
+            throw new CommandError("set expects an object of variables, e.g. { set: { user: \"admin\" } }");
+        }
+        Object.assign(vars, value);
+        return value;
+    }
+
+    if (command === "wait") {
+        return await runWait(context, runArgs, value, flags);
+    }
+
+    if (command === "assert") {
+        return await runAssertions(browser, runArgs, { ...(typeof value === "object" ? value : { text: value }), ...flags });
+    }
+
+    const args = {
+        _: [],
+        port: runArgs.port,
+        host: runArgs.host,
+        ws: runArgs.ws,
+        tab: runArgs.tab,
+        timeout: runArgs.timeout,
+        ...flags,
+    };
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+        Object.assign(args, value);
+    } else if (Array.isArray(value)) {
+        args._ = value.map(String);
+    } else if (value !== undefined && value !== null && value !== true) {
+        args._ = [String(value)];
+    }
+
+    for (const flag of PATH_FLAGS) {
+        if (typeof args[flag] === "string") {
+            args[flag] = args[flag].startsWith("~") ? expandPath(args[flag]) : resolvePath(runArgs.baseDir, args[flag]);
+        }
+    }
+
+    if (command === "evaluate" && args.expression === undefined) {
+        args.expression = args.file ? (await readFile(args.file, "utf8")).trim() : args._.join(" ");
+    }
+
+    // The report carries each step's output and errors, so the command's own log lines are dropped.
+    const { run: handler } = await import(new URL(`./${command}.js`, import.meta.url));
+    return await handler({ ...context, logger: createRecordingLogger() }, args);
+}
+
+async function runWait(context, runArgs, value, flags) {
+    if (typeof value === "number") {
+        await delay(value);
+        return { waited: value };
+    }
+
+    // Other wait.js conditions hand the step to wait.js: `{ wait: { request: "/api/save" } }`.
+    // A plain selector value still means "becomes visible" there.
+    const options = { ...(value !== null && typeof value === "object" ? value : {}), ...flags };
+    if (Object.keys(options).some((key) => WAIT_CONDITIONS.includes(key) && key !== "selector")) {
+        const { port, host, ws, tab, timeout } = runArgs;
+        const conditions = typeof value === "string" ? { visible: value, ...options } : options;
+        return await waitForConditions(context, { _: [], port, host, ws, tab, timeout, ...conditions });
+    }
+
+    const selector = typeof value === "string" ? value : options.selector;
+    if (typeof selector !== "string" || selector.trim() === "") {
+        throw new CommandError(
+            `wait needs milliseconds, a selector, or a condition (${WAIT_CONDITIONS.join(", ")}), e.g. { wait: "#done" }`,
+        );
+    }
+    const page = await requirePage(context.browser, runArgs);
+    const hidden = Boolean(options.hidden);
+    const state = hidden ? "hidden" : "visible";
+    const timeout = normalizeNumber(runArgs.timeout, DEFAULT_STEP_TIMEOUT);
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const { visible, error } = await probeVisibility(page, selector);
+        if (visible !== hidden) return { selector, state };
+        if (Date.now() >= deadline) {
+            throw new CommandError(`Timed out after ${timeout} ms waiting for ${selector} to be ${state}${error ? ` (${error})` : ""}`);
+        }
+        await delay(100);
+    }
+}
+
+/**
+ * Resolves a target and reports whether it is visible. A target that cannot
+ * resolve yet (missing frame, no match, several matches) counts as not
+ * visible, with the reason in `error`.
+ */
+async function probeVisibility(page, target) {
+    let handle;
+    try {
+        handle = await locateElement(page, target);
+    } catch (error) {
+        if (!(error instanceof CommandError)) throw error;
+        return { found: false, visible: false, error: error.message };
+    }
+    if (!handle) return { found: false, visible: false, error: describeMissingTarget(target) };
+    try {
+        return { found: true, visible: Boolean(await handle.isVisible()) };
+    } finally {
+        await handle.dispose();
+    }
+}
+
+/**
+ * Polls until every assertion holds or the step timeout elapses, then reports
+ * the last observed values so failures are self-explanatory.
+ */
+async function runAssertions(browser, runArgs, expected) {
+    const page = await requirePage(browser, runArgs);
+    const known = ["text", "notText", "url", "title", "selector", "count", "min", "max", "visible", "hidden"];
+    const unknown = Object.keys(expected).filter((key) => !known.includes(key));
+    if (unknown.length > 0) {
+        throw new CommandError(`Unknown assertion ${unknown.join(", ")}. Use ${known.join(", ")}.`);
+    }
+
+    const deadline = Date.now() + normalizeNumber(runArgs.timeout, DEFAULT_ASSERT_TIMEOUT);
+    let failures;
+    let observed;
+
+    do {
+        ({ failures, observed } = await checkAssertions(page, expected));
+        if (failures.length === 0) return { passed: Object.keys(expected), observed };
+        await delay(100);
+    } while (Date.now() < deadline);
+
+    throw new CommandError(`Assertion failed: ${failures.join("; ")}`);
+}
+
+async function checkAssertions(page, expected) {
+    const failures = [];
+    const observed = {};
+
+    if (expected.text !== undefined || expected.notText !== undefined) {
+        const text = await page.evaluate(() => document.body?.innerText ?? "");
+        if (expected.text !== undefined && !matchesText(text, expected.text)) {
+            failures.push(`text ${JSON.stringify(expected.text)} not visible`);
+        }
+        if (expected.notText !== undefined && matchesText(text, expected.notText)) {
+            failures.push(`text ${JSON.stringify(expected.notText)} is visible`);
+        }
+    }
+
+    if (expected.url !== undefined) {
+        observed.url = page.url();
+        if (!compileUrlPattern(String(expected.url)).test(observed.url)) {
+            failures.push(`url ${observed.url} does not match ${expected.url}`);
+        }
+    }
+
+    if (expected.title !== undefined) {
+        observed.title = await page.title();
+        if (!matchesText(observed.title, expected.title)) {
+            failures.push(`title ${JSON.stringify(observed.title)} does not match ${JSON.stringify(expected.title)}`);
+        }
+    }
+
+    if (expected.selector !== undefined) {
+        observed.count = await countMatches(page, expected.selector);
+        const { count, min, max } = expected;
+        if (count === undefined && min === undefined && max === undefined && observed.count === 0) {
+            failures.push(`no elements match ${expected.selector}`);
+        }
+        if (count !== undefined && observed.count !== Number(count)) {
+            failures.push(`expected ${count} elements for ${expected.selector}, found ${observed.count}`);
+        }
+        if (min !== undefined && observed.count < Number(min)) {
+            failures.push(`expected at least ${min} elements for ${expected.selector}, found ${observed.count}`);
+        }
+        if (max !== undefined && observed.count > Number(max)) {
+            failures.push(`expected at most ${max} elements for ${expected.selector}, found ${observed.count}`);
+        }
+    }
+
+    for (const state of ["visible", "hidden"]) {
+        if (expected[state] === undefined) continue;
+        const target = expected[state];
+        const { found, visible, error } = await probeVisibility(page, target);
+        if (state === "visible" && !visible) {
+            failures.push(found ? `${target} is not visible` : error);
+        }
+        if (state === "hidden" && visible) {
+            failures.push(`${target} is visible`);
+        }
+    }
+
+    return { failures, observed };
+}
+
+// A target in a frame that is not there yet matches nothing.
+async function countMatches(page, target) {
+    let handles;
+    try {
+        handles = await locateAll(page, target);
+    } catch (error) {
+        if (error instanceof CommandError) return 0;
+        throw error;
+    }
+    await Promise.all(handles.map((handle) => handle.dispose()));
+    return handles.length;
+}
+
+function matchesText(actual, expected) {
+    const pattern = /^\/(.+)\/([a-z]*)$/.exec(String(expected));
+    if (pattern) return new RegExp(pattern[1], pattern[2]).test(actual);
+    return actual.includes(String(expected));
+}
+
+async function requirePage(browser, args) {
+    const page = await resolvePage(browser, args);
+    if (!page) {
+        throw new CommandError("No active page found. Navigate first.");
+    }
+    return page;
+}
+
+async function captureFailure(browser, args, outDir, index) {
+    try {
+        const page = await resolvePage(browser, args);
+        if (!page) return null;
+        await mkdir(outDir, { recursive: true });
+        const path = join(outDir, `step-${String(index).padStart(2, "0")}-failure.png`);
+        await page.screenshot({ path });
+        return path;
+    } catch {
+        return null;
+    }
+}
+
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new StepTimeoutError(`Step "${label}" timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Replaces `${name}` and `${name.path}` references. A string that is exactly
+ * one reference keeps the referenced value's type. `$${...}` is left as a
+ * literal `${...}`, e.g. for template literals in evaluate steps.
+ */
+function interpolate(value, vars) {
+    if (typeof value === "string") {
+        const whole = /^\$\{([\w.]+)\}$/.exec(value);
+        if (whole) return lookup(vars, whole[1]);
+        return value.replace(/\$?\$\{([\w.]+)\}/g, (match, path) => {
+            if (match.startsWith("$$")) return match.slice(1);
+            const resolved = lookup(vars, path);
+            return typeof resolved === "object" ? JSON.stringify(resolved) : String(resolved);
+        });
+    }
+    if (Array.isArray(value)) return value.map((item) => interpolate(item, vars));
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, vars)]));
+    }
+    return value;
+}
+
+function lookup(vars, path) {
+    let current = vars;
+    for (const part of path.split(".")) {
+        if (current === undefined || current === null || !(part in Object(current))) {
+            throw new CommandError(`Unknown variable \${${path}}`);
+        }
+        current = current[part];
+    }
+    return current;
+}
+
+function describeStep(step) {
+    const { value } = step.input;
+    if (value === undefined || value === null || value === true) return step.command;
+    const detail = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return `${step.command} ${detail.length > 60 ? `${detail.slice(0, 60)}…` : detail}`;
+}
+
+function parseVarFlags(argv) {
+    const vars = {};
+    argv.forEach((token, index) => {
+        let assignment = null;
+        if (token === "--var") assignment = argv[index + 1];
+        else if (token.startsWith("--var=")) assignment = token.slice(6);
+        if (!assignment) return;
+        const separator = assignment.indexOf("=");
+        if (separator > 0) vars[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+    });
+    return vars;
+}
+
+function formatReport(report) {
+    const icons = { passed: "✅", failed: "❌", skipped: "⏭️ " };
+    const lines = report.steps.map((step) => {
+        const timing = step.duration !== undefined ? ` (${step.duration} ms)` : "";
+        const retries = step.attempts > 1 ? ` [${step.attempts} attempts]` : "";
+        const error = step.error ? `\n     ${step.error}${step.continued ? " (continued)" : ""}` : "";
+        const screenshot = step.screenshot ? `\n     screenshot: ${step.screenshot}` : "";
+        return `${icons[step.status]} ${step.index}. ${step.name}${timing}${retries}${error}${screenshot}`;
+    });
+    const { passed, failed, skipped } = report.summary;
+    lines.push(`${report.ok ? "PASS" : "FAIL"}: ${passed} passed, ${failed} failed, ${skipped} skipped in ${report.duration} ms`);
+    return `${lines.join("\n")}\n`;
+}
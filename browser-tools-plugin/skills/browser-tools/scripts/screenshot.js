@@ -1,153 +1,394 @@
 #!/usr/bin/env node
 
-import { mkdtemp } from "node:fs/promises";
+import { mkdir, mkdtemp, writeFile } from "node:fs/promises";
 import { tmpdir } from "node:os";
 import { join } from "node:path";
 import { randomUUID } from "node:crypto";
-import puppeteer from "puppeteer-core";
 
 import {
+    CommandError,
     DEFAULT_PORT,
     createLogger,
+    describeError,
+    expandPath,
     fail,
-    getActivePage,
+    isMainModule,
     parseArgs,
     printJSON,
-    resolveBrowserConnection,
     normalizeNumber,
 } from "./config.js";
+import { describeMissingTarget, locateAll, locateElement } from "./locator.js";
+import { resetWindowLayout, restoreEmulation } from "./emulation.js";
+import { resolvePage, resolvePort, runCommand } from "./session.js";
+import { compareWithBaseline } from "./visual-diff.js";
 
-const args = parseArgs(process.argv.slice(2), {
-    boolean: ["json", "quiet"],
-    string: ["element", "format", "ws", "host", "out"],
-    number: ["port", "timeout", "quality"],
-    alias: {
-        j: "json",
-        q: "quiet",
-    },
-    defaults: {
-        port: DEFAULT_PORT,
-        timeout: 30000,
-        format: "png",
-    },
-});
-
-const jsonOutput = Boolean(args.json);
-const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
-
-const timeout = normalizeNumber(args.timeout, 30000);
-const port = normalizeNumber(args.port, DEFAULT_PORT);
-
-const format = normalizeFormat(args.format);
-if (!format) {
-    fail("Invalid --format. Use png or jpeg.", { json: jsonOutput });
-}
-
-const quality = determineQuality(args.quality, format);
-
-const connectionOptions = resolveBrowserConnection({ port, host: args.host, ws: args.ws });
-
-let browser;
-try {
-    browser = await puppeteer.connect({
-        ...connectionOptions,
-        timeout,
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["viewport-only", "update", "include-aa", "json", "quiet", "daemon"],
+        string: ["format", "tab", "ws", "host", "out", "out-dir", "clip", "widths", "scales", "baseline", "name", "mask"],
+        number: ["port", "timeout", "quality", "height", "threshold", "max-mismatch"],
+        array: ["element"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 30000,
+            format: "png",
+        },
     });
-} catch (error) {
-    fail(`Failed to connect to browser: ${error.message}`, { json: jsonOutput });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    const timeout = normalizeNumber(args.timeout, 30000);
+
+    if (!normalizeFormat(args.format)) {
+        fail("Invalid --format. Use png, jpeg or webp.", { json: jsonOutput });
+    }
+
+    if (args.baseline && !args.name) {
+        fail("--baseline requires --name <id> to identify the capture.", { json: jsonOutput });
+    }
+
+    if (args.out) args.out = expandPath(args.out);
+    if (args["out-dir"]) args["out-dir"] = expandPath(args["out-dir"]);
+    if (args.baseline) args.baseline = expandPath(args.baseline);
+
+    let result;
+    try {
+        result = await runCommand("screenshot", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Screenshot failed"), { json: jsonOutput });
+    }
+
+    if (jsonOutput) {
+        printJSON(result);
+        if (args.baseline && !result.passed) process.exitCode = 1;
+        return;
+    }
+
+    if (args.baseline) {
+        for (const shot of result.shots ?? [result]) {
+            const label = result.shots ? `${shot.name}: ` : "";
+            process.stdout.write(`${reportComparison(logger, shot, label)}\n`);
+        }
+        if (!result.passed) process.exitCode = 1;
+        return;
+    }
+
+    if (result.shots) {
+        for (const shot of result.shots) process.stdout.write(`${shot.path}\n`);
+        logger.info(`📸 ${result.count} screenshots saved to ${result.outDir}`);
+        return;
+    }
+
+    logger.info(`📸 Screenshot saved (${result.width ?? "?"}×${result.height ?? "?"})`);
+    process.stdout.write(`${result.path}\n`);
+}
+
+// Logs the outcome of one baseline comparison and returns the path worth printing.
+function reportComparison(logger, shot, label) {
+    if (shot.created) {
+        logger.info(`🆕 ${label}Baseline saved (${shot.width}×${shot.height})`);
+        return shot.baseline;
+    }
+    if (shot.passed) {
+        logger.info(`✅ ${label}Matches baseline (${shot.mismatch}% mismatch)`);
+        return shot.baseline;
+    }
+    logger.error(`❌ ${label}${shot.mismatch}% of pixels differ from the baseline (allowed ${shot.maxMismatch}%)`);
+    return shot.diff;
 }
 
-const outputFile = args.out ? args.out : await allocateTempFile(format);
+export async function run({ browser }, args) {
+    const format = normalizeFormat(args.format);
+    if (!format) {
+        throw new CommandError("Invalid --format. Use png, jpeg or webp.");
+    }
+    if (args.baseline && format !== "png") {
+        throw new CommandError("Baseline comparisons use lossless PNG; drop --format.");
+    }
+    const quality = determineQuality(args.quality, format);
 
-try {
-    const page = await getActivePage(browser, { index: -1 });
+    const elements = toList(args.element);
+    const clip = args.clip ? parseClip(args.clip) : null;
+    const viewportOnly = Boolean(args["viewport-only"]);
+    if ([elements.length > 0, Boolean(clip), viewportOnly].filter(Boolean).length > 1) {
+        throw new CommandError("--element, --clip and --viewport-only are mutually exclusive.");
+    }
+
+    const page = await resolvePage(browser, args);
     if (!page) {
-        fail("No active page found. Navigate first.", { json: jsonOutput });
+        throw new CommandError("No active page found. Navigate first.");
+    }
+
+    const matrix = await buildViewportMatrix(page, args);
+    const targets = elements.length > 0 ? elements : [null];
+    const multiple = targets.length > 1 || matrix.length > 0;
+    if (multiple && args.out) {
+        throw new CommandError("--out names a single file; use --out-dir with several elements or --widths/--scales.");
     }
 
-    let dimensions;
-    let buffer;
+    // Baseline captures stay in memory until they are compared.
+    let outDir = null;
+    if (!args.baseline && (args["out-dir"] || multiple)) {
+        outDir = args["out-dir"] || (await mkdtemp(join(tmpdir(), "browser-tools-")));
+        await mkdir(outDir, { recursive: true });
+    }
 
-    if (args.element) {
-        const handle = await page.$(args.element);
-        if (!handle) {
-            fail(`Element not found: ${args.element}`, { json: jsonOutput });
+    const prefix = args.name || "screenshot";
+    const shots = [];
+    const originalViewport = page.viewport();
+    try {
+        for (const viewport of matrix.length > 0 ? matrix : [null]) {
+            if (viewport) {
+                await page.setViewport(viewport);
+                await settleLayout(page);
+            }
+            for (const [index, element] of targets.entries()) {
+                const name = shotName(prefix, { viewport, element, index, multipleElements: targets.length > 1 });
+                const capture = await captureShot(page, { element, clip, viewportOnly, format, quality });
+                try {
+                    if (args.baseline) {
+                        const masks = await collectMaskRects(page, args.mask, capture);
+                        const comparison = await compareWithBaseline(capture.buffer, {
+                            dir: args.baseline,
+                            name: multiple ? name : args.name,
+                            threshold: Math.min(1, Math.max(0, normalizeNumber(args.threshold, 0.1))),
+                            maxMismatch: normalizeNumber(args["max-mismatch"], 0),
+                            includeAA: Boolean(args["include-aa"]),
+                            update: Boolean(args.update),
+                            masks,
+                        });
+                        shots.push({ element, viewport: describeViewport(viewport), ...comparison });
+                        continue;
+                    }
+
+                    const path = multiple
+                        ? join(outDir, `${name}.${format}`)
+                        : args.out || (outDir ? join(outDir, `${name}.${format}`) : await allocateTempFile(format));
+                    await writeFile(path, capture.buffer);
+                    shots.push({
+                        name,
+                        path,
+                        element,
+                        viewport: describeViewport(viewport),
+                        width: capture.width,
+                        height: capture.height,
+                    });
+                } finally {
+                    // Element captures hand back their handle for masking; release it once done.
+                    await capture.handle?.dispose();
+                }
+            }
+        }
+    } finally {
+        if (matrix.length > 0) {
+            // A null viewport clears the override; a saved emulation profile is then applied again.
+            await page.setViewport(originalViewport).catch(() => {});
+            if (!originalViewport) await resetWindowLayout(page);
+            await restoreEmulation(page, resolvePort(args), { force: true });
         }
-        const box = await handle.boundingBox();
-        if (!box) {
-            fail(`Element not visible: ${args.element}`, { json: jsonOutput });
+    }
+
+    if (!multiple) {
+        const [shot] = shots;
+        if (args.baseline) {
+            const { element, viewport, ...comparison } = shot;
+            return { ok: true, element: Boolean(element), ...comparison };
         }
-        buffer = await handle.screenshot({
-            path: outputFile,
-            type: format,
-            quality,
-        });
-        dimensions = {
-            width: Math.round(box.width),
-            height: Math.round(box.height),
+        return {
+            ok: true,
+            path: shot.path,
+            format,
+            width: shot.width ?? null,
+            height: shot.height ?? null,
+            element: Boolean(shot.element),
         };
-    } else {
-        const metrics = await page.evaluate(() => {
-            const width = Math.max(
-                document.documentElement.scrollWidth,
-                document.body?.scrollWidth ?? 0,
-                window.innerWidth,
-            );
-            const height = Math.max(
-                document.documentElement.scrollHeight,
-                document.body?.scrollHeight ?? 0,
-                window.innerHeight,
-            );
-            return {
-                width: Math.round(width),
-                height: Math.round(height),
-            };
-        });
-
-        buffer = await page.screenshot({
-            path: outputFile,
-            type: format,
-            quality,
-            fullPage: true,
-        });
-
-        dimensions = metrics;
-    }
-
-    if (!buffer) {
-        fail("Screenshot failed.", { json: jsonOutput });
-    }
-
-    const result = {
-        ok: true,
-        path: outputFile,
-        format,
-        width: dimensions?.width ?? null,
-        height: dimensions?.height ?? null,
-        element: Boolean(args.element),
-    };
+    }
 
-    if (jsonOutput) {
-        printJSON(result);
-    } else {
-        logger.info(`📸 Screenshot saved (${result.width ?? "?"}×${result.height ?? "?"})`);
-        process.stdout.write(`${outputFile}\n`);
+    if (args.baseline) {
+        return { ok: true, passed: shots.every((shot) => shot.passed), baseline: args.baseline, shots };
     }
-} catch (error) {
-    fail(`Screenshot failed: ${error.message}`, { json: jsonOutput });
-} finally {
-    if (browser) await browser.disconnect();
+    return { ok: true, format, outDir, count: shots.length, shots };
+}
+
+/**
+ * Takes one capture: an element, a clip rectangle in document coordinates,
+ * the visible viewport, or (by default) the full scrollable page. Width and
+ * height are in CSS pixels.
+ */
+async function captureShot(page, { element, clip, viewportOnly, format, quality }) {
+    if (element) {
+        const handle = await locateElement(page, element);
+        if (!handle) {
+            throw new CommandError(describeMissingTarget(element));
+        }
+        try {
+            const box = await handle.boundingBox();
+            if (!box) {
+                throw new CommandError(`Element not visible: ${element}`);
+            }
+            const buffer = await handle.screenshot({ type: format, quality });
+            return { buffer, handle, width: Math.round(box.width), height: Math.round(box.height) };
+        } catch (error) {
+            await handle.dispose();
+            throw error;
+        }
+    }
+
+    if (clip) {
+        const buffer = await page.screenshot({ type: format, quality, clip });
+        return { buffer, clip, width: clip.width, height: clip.height };
+    }
+
+    const metrics = await page.evaluate(() => ({
+        viewportWidth: window.innerWidth,
+        viewportHeight: window.innerHeight,
+        width: Math.round(
+            Math.max(document.documentElement.scrollWidth, document.body?.scrollWidth ?? 0, window.innerWidth),
+        ),
+        height: Math.round(
+            Math.max(document.documentElement.scrollHeight, document.body?.scrollHeight ?? 0, window.innerHeight),
+        ),
+    }));
+
+    const buffer = await page.screenshot({ type: format, quality, fullPage: !viewportOnly });
+    if (viewportOnly) {
+        return { buffer, viewportOnly, width: metrics.viewportWidth, height: metrics.viewportHeight };
+    }
+    return { buffer, width: metrics.width, height: metrics.height };
+}
+
+/**
+ * Expands `--widths` × `--scales` into viewports. Missing dimensions fall
+ * back to the current window so `--scales 2` alone gives a high-DPI capture.
+ */
+async function buildViewportMatrix(page, args) {
+    if (!args.widths && !args.scales && args.height === undefined) return [];
+
+    const current = await page.evaluate(() => ({ width: window.innerWidth, height: window.innerHeight }));
+    const widths = args.widths ? parseNumberList(args.widths, "--widths") : [current.width];
+    const scales = args.scales ? parseNumberList(args.scales, "--scales") : [1];
+    const height = args.height !== undefined ? normalizeNumber(args.height, NaN) : current.height;
+    if (!(height > 0)) {
+        throw new CommandError("--height must be a positive number.");
+    }
+
+    return widths.flatMap((width) =>
+        scales.map((deviceScaleFactor) => ({ width: Math.round(width), height: Math.round(height), deviceScaleFactor })),
+    );
+}
+
+// Waits two frames so media queries and resize handlers apply before capturing.
+async function settleLayout(page) {
+    await page.evaluate(() => new Promise((resolve) => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+}
+
+function shotName(prefix, { viewport, element, index, multipleElements }) {
+    const parts = [prefix];
+    if (multipleElements) parts.push(slugify(element) || `element-${index + 1}`);
+    if (viewport) parts.push(`${viewport.width}w@${viewport.deviceScaleFactor}x`);
+    return parts.join("-");
+}
+
+function slugify(value) {
+    return String(value ?? "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 40);
+}
+
+function describeViewport(viewport) {
+    return viewport ? { width: viewport.width, height: viewport.height, deviceScaleFactor: viewport.deviceScaleFactor } : null;
+}
+
+function parseClip(value) {
+    const parts = String(value).split(",").map((part) => Number(part.trim()));
+    if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part)) || parts[2] <= 0 || parts[3] <= 0) {
+        throw new CommandError("--clip expects x,y,width,height in CSS pixels (e.g. 0,0,800,600).");
+    }
+    const [x, y, width, height] = parts;
+    return { x, y, width, height };
+}
+
+function parseNumberList(value, flag) {
+    const numbers = String(value)
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map(Number);
+    if (numbers.length === 0 || numbers.some((number) => !(number > 0))) {
+        throw new CommandError(`${flag} expects a comma-separated list of positive numbers.`);
+    }
+    return numbers;
+}
+
+function toList(value) {
+    return (Array.isArray(value) ? value : [value]).filter((item) => typeof item === "string" && item.trim() !== "");
+}
+
+/**
+ * Returns the boxes of every element matching the comma-separated `--mask`
+ * targets, in image pixels relative to the capture origin (the element, the
+ * clip rectangle, the viewport, or the document). Boxes come from the
+ * top-level viewport, so targets and captured elements may sit inside iframes.
+ */
+async function collectMaskRects(page, maskSpec, capture) {
+    const targets = String(maskSpec ?? "")
+        .split(",")
+        .map((target) => target.trim())
+        .filter(Boolean);
+    if (targets.length === 0) return [];
+
+    const view = await page.evaluate(() => ({
+        scrollX: window.scrollX,
+        scrollY: window.scrollY,
+        scale: window.devicePixelRatio || 1,
+    }));
+    let base = { x: -view.scrollX, y: -view.scrollY };
+    if (capture.handle) base = (await capture.handle.boundingBox()) ?? base;
+    else if (capture.clip) base = { x: capture.clip.x - view.scrollX, y: capture.clip.y - view.scrollY };
+    else if (capture.viewportOnly) base = { x: 0, y: 0 };
+
+    const rects = [];
+    for (const target of targets) {
+        const handles = await locateAll(page, target);
+        try {
+            for (const handle of handles) {
+                const box = await handle.boundingBox();
+                if (!box || box.width === 0 || box.height === 0) continue;
+                rects.push({
+                    x: (box.x - base.x) * view.scale,
+                    y: (box.y - base.y) * view.scale,
+                    width: box.width * view.scale,
+                    height: box.height * view.scale,
+                });
+            }
+        } finally {
+            await Promise.all(handles.map((handle) => handle.dispose()));
+        }
+    }
+    return rects;
 }
 
 function normalizeFormat(value) {
     if (!value) return "png";
     const normalized = String(value).toLowerCase();
-    if (["png", "jpeg"].includes(normalized)) return normalized;
+    if (normalized === "jpg") return "jpeg";
+    if (["png", "jpeg", "webp"].includes(normalized)) return normalized;
     return null;
 }
 
 function determineQuality(value, currentFormat) {
-    if (currentFormat !== "jpeg") return undefined;
+    if (currentFormat === "png") return undefined;
     if (value === undefined) return 80;
     const numeric = normalizeNumber(value, 80);
     return Math.min(100, Math.max(1, numeric));
@@ -156,4 +397,4 @@ function determineQuality(value, currentFormat) {
 async function allocateTempFile(currentFormat) {
     const directory = await mkdtemp(join(tmpdir(), "browser-tools-"));
     return join(directory, `screenshot-${randomUUID()}.${currentFormat}`);
-}
\ No newline at end of file
+}
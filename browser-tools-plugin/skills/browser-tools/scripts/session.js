@@ -0,0 +1,334 @@
+import http from "node:http";
+import { spawn } from "node:child_process";
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+    CommandError,
+    DEFAULT_PORT,
+    STATE_DIR,
+    compileUrlPattern,
+    formatLogParts,
+    getActivePage,
+    normalizeNumber,
+    resolveBrowserConnection,
+    waitFor,
+} from "./config.js";
+import { restoreEmulation } from "./emulation.js";
+
+// Commands the daemon may execute in-process; each maps to `./<name>.js` exporting `run`.
+export const DAEMON_COMMANDS = ["navigate", "evaluate", "element", "screenshot", "cookies", "tabs", "input", "network", "intercept", "console", "snapshot", "extract", "run", "pdf", "emulate", "perf", "storage", "wait"];
+
+const LOCAL_HOSTS = new Set(["localhost", "127.0.0.1", "::1", "[::1]"]);
+// Handlers stop at their own timeout; the daemon allows this much on top before
+// abandoning one, and clients wait the same again for the daemon's answer.
+const DAEMON_GRACE = 5000;
+
+export function daemonStatePath(port) {
+    return join(STATE_DIR, `daemon-${port}.json`);
+}
+
+export function tabStatePath(port) {
+    return join(STATE_DIR, `tabs-${port}.json`);
+}
+
+export function resolvePort(args = {}) {
+    return normalizeNumber(args.port ?? process.env.BROWSER_PORT ?? DEFAULT_PORT, DEFAULT_PORT);
+}
+
+/**
+ * Runs a command handler against the browser. Requests are forwarded to the
+ * session daemon when one is listening for this port; otherwise the handler
+ * runs in this process over a fresh CDP connection.
+ *
+ * Handlers receive `({ browser, logger, state, daemon }, args)` and return a
+ * JSON-serializable result. They throw `CommandError` for user-facing failures.
+ * The daemon has its own working directory, so callers pass file paths in
+ * `args` through `expandPath` first.
+ */
+export async function runCommand(name, handler, args, { logger, timeout } = {}) {
+    if (canUseDaemon(args)) {
+        const limit = normalizeNumber(timeout ?? args.timeout, 30000) + DAEMON_GRACE;
+        const response = await requestDaemon(
+            resolvePort(args),
+            "/command",
+            { command: name, args, timeout: limit },
+            { timeout: limit + DAEMON_GRACE },
+        );
+        if (response) {
+            for (const entry of response.logs ?? []) {
+                logger?.[entry.level]?.(entry.message);
+            }
+            if (!response.ok) {
+                throw response.expected ? new CommandError(response.error) : new Error(response.error);
+            }
+            return response.result;
+        }
+    }
+
+    return await runDirect(handler, args, { logger, timeout });
+}
+
+export async function runDirect(handler, args, { logger, timeout } = {}) {
+    // Loaded lazily so daemon round-trips skip puppeteer's import cost.
+    const { default: puppeteer } = await import("puppeteer-core");
+    const connectionOptions = resolveBrowserConnection({ port: resolvePort(args), host: args.host, ws: args.ws });
+
+    let browser;
+    try {
+        browser = await puppeteer.connect({
+            ...connectionOptions,
+            timeout: normalizeNumber(timeout ?? args.timeout, 30000),
+        });
+    } catch (error) {
+        throw new CommandError(`Failed to connect to browser: ${error.message}`);
+    }
+
+    try {
+        return await handler({ browser, logger: logger ?? createRecordingLogger(), state: new Map(), daemon: false }, args);
+    } finally {
+        await browser.disconnect();
+    }
+}
+
+/**
+ * Picks the page a command should act on: the `--tab` target when given,
+ * otherwise the current tab recorded by `tabs.js`, otherwise the last page.
+ * A saved emulation profile for that tab is re-applied before returning.
+ */
+export async function resolvePage(browser, args = {}, { index = -1 } = {}) {
+    const { page, id } = await pickPage(browser, args, { index });
+    if (page) {
+        await restoreEmulation(page, resolvePort(args), { tabId: id });
+    }
+    return page;
+}
+
+async function pickPage(browser, args, { index }) {
+    if (args.tab) {
+        const tab = await findTab(browser, args.tab);
+        return { page: tab.page, id: tab.id };
+    }
+
+    const current = await readCurrentTab(resolvePort(args));
+    if (current) {
+        const tabs = await listTabs(browser);
+        const match = tabs.find((tab) => tab.id === current.id);
+        if (match) return { page: match.page, id: match.id };
+    }
+
+    return { page: await getActivePage(browser, { index }), id: undefined };
+}
+
+/**
+ * Lists page targets with their DevTools target id, opener, and the Puppeteer
+ * page that drives them.
+ */
+export async function listTabs(browser) {
+    const pages = await browser.pages();
+    return await Promise.all(
+        pages.map(async (page) => {
+            const { targetInfo } = await withPageSession(page, (client) => client.send("Target.getTargetInfo"));
+            return {
+                page,
+                id: targetInfo.targetId,
+                url: targetInfo.url,
+                title: targetInfo.title,
+                openerId: targetInfo.openerId ?? null,
+            };
+        }),
+    );
+}
+
+/**
+ * Finds exactly one tab by target id (or unique id prefix) or URL pattern.
+ * URL patterns match as substrings; `*` acts as a wildcard.
+ */
+export async function findTab(browser, spec) {
+    const tabs = await listTabs(browser);
+    const needle = String(spec);
+
+    const byId = tabs.filter(
+        (tab) => tab.id === needle || (needle.length >= 4 && tab.id.startsWith(needle.toUpperCase())),
+    );
+    if (byId.length === 1) return byId[0];
+
+    const pattern = compileUrlPattern(needle);
+    const byUrl = tabs.filter((tab) => pattern.test(tab.url));
+    if (byUrl.length === 1) return byUrl[0];
+
+    if (byId.length + byUrl.length === 0) {
+        throw new CommandError(`No tab matches "${needle}". Run tabs.js to list open tabs.`);
+    }
+    const ids = [...byId, ...byUrl].map((tab) => tab.id).join(", ");
+    throw new CommandError(`Tab "${needle}" is ambiguous (${ids}). Use a tab id instead.`);
+}
+
+export async function getTabId(page) {
+    const { targetInfo } = await withPageSession(page, (client) => client.send("Target.getTargetInfo"));
+    return targetInfo.targetId;
+}
+
+export async function readCurrentTab(port) {
+    try {
+        return JSON.parse(await readFile(tabStatePath(port), "utf8"));
+    } catch {
+        return null;
+    }
+}
+
+export async function writeCurrentTab(port, tab) {
+    if (!tab) {
+        await rm(tabStatePath(port), { force: true });
+        return;
+    }
+    await mkdir(STATE_DIR, { recursive: true });
+    await writeFile(
+        tabStatePath(port),
+        `${JSON.stringify({ id: tab.id, url: tab.url, selectedAt: new Date().toISOString() }, null, 2)}\n`,
+        "utf8",
+    );
+}
+
+export function createRecordingLogger() {
+    const entries = [];
+    const record = (level) => (...parts) => {
+        entries.push({ level, message: formatLogParts(parts) });
+    };
+    return {
+        info: record("info"),
+        warn: record("warn"),
+        error: record("error"),
+        entries,
+    };
+}
+
+export async function readDaemonState(port) {
+    try {
+        return JSON.parse(await readFile(daemonStatePath(port), "utf8"));
+    } catch {
+        return null;
+    }
+}
+
+export async function getDaemonStatus(port) {
+    const state = await readDaemonState(port);
+    if (!state) return null;
+    // A daemon too busy to answer a health check counts as not running.
+    const health = await requestDaemon(port, "/health", null, { method: "GET" }).catch(() => null);
+    return health ? { ...state, ...health } : null;
+}
+
+export async function stopDaemon(port) {
+    const response = await requestDaemon(port, "/shutdown", {}).catch(() => null);
+    return Boolean(response?.ok);
+}
+
+/**
+ * Spawns `daemon.js` detached for the given browser port and waits until it
+ * answers health checks. Resolves to the daemon state or null on failure.
+ */
+export async function spawnDaemon({ port, host, timeout = 5000 }) {
+    const script = fileURLToPath(new URL("./daemon.js", import.meta.url));
+    const child = spawn(process.execPath, [script, `--port=${port}`, `--host=${host}`, "--quiet"], {
+        detached: true,
+        stdio: "ignore",
+    });
+    child.unref();
+
+    return await waitFor(() => getDaemonStatus(port), { timeout, interval: 100 });
+}
+
+/**
+ * Sends a request to the daemon for `port`. Resolves to the parsed response,
+ * or null when no daemon accepts the connection (stale state files are
+ * removed) or it rejects our token. Anything that fails after the daemon
+ * took the request rejects, so callers never run a command twice.
+ */
+export async function requestDaemon(port, path, body, { method = "POST", timeout = 5000 } = {}) {
+    const state = await readDaemonState(port);
+    if (!state) return null;
+
+    if (!isProcessAlive(state.pid)) {
+        await rm(daemonStatePath(port), { force: true });
+        return null;
+    }
+
+    const payload = body === null ? null : JSON.stringify(body);
+
+    return await new Promise((resolve, reject) => {
+        const request = http.request(
+            {
+                host: "127.0.0.1",
+                port: state.daemonPort,
+                path,
+                method,
+                headers: {
+                    authorization: `Bearer ${state.token}`,
+                    "content-type": "application/json",
+                },
+            },
+            (response) => {
+                // A token mismatch means the state file belongs to another daemon; treat ours as gone.
+                if (response.statusCode === 401) {
+                    response.resume();
+                    resolve(null);
+                    return;
+                }
+                const chunks = [];
+                response.on("data", (chunk) => chunks.push(chunk));
+                response.on("end", () => {
+                    try {
+                        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+                    } catch {
+                        reject(new Error(`Daemon sent an unreadable response to ${path} (HTTP ${response.statusCode})`));
+                    }
+                });
+                response.on("error", (error) => reject(new Error(`Daemon response to ${path} failed: ${error.message}`)));
+            },
+        );
+        const timer = setTimeout(() => {
+            reject(new CommandError(`Daemon did not answer ${path} within ${timeout} ms`));
+            request.destroy();
+        }, timeout);
+        request.on("close", () => clearTimeout(timer));
+        request.on("error", async (error) => {
+            if (error.code !== "ECONNREFUSED") {
+                reject(new Error(`Daemon request ${path} failed: ${error.message}`));
+                return;
+            }
+            // The recorded PID now belongs to some other process.
+            await rm(daemonStatePath(port), { force: true });
+            resolve(null);
+        });
+        if (payload) request.write(payload);
+        request.end();
+    });
+}
+
+async function withPageSession(page, fn) {
+    const client = await page.createCDPSession();
+    try {
+        return await fn(client);
+    } finally {
+        await client.detach().catch(() => {});
+    }
+}
+
+function canUseDaemon(args) {
+    if (args.daemon === false) return false;
+    if (args.ws || process.env.BROWSER_WS_URL) return false;
+    const host = args.host ?? process.env.BROWSER_HOST ?? "localhost";
+    return LOCAL_HOSTS.has(host);
+}
+
+export function isProcessAlive(pid) {
+    if (!pid) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === "EPERM";
+    }
+}
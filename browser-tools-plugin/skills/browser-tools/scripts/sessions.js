@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+import { readdir, rm } from "node:fs/promises";
+import { basename, isAbsolute, join, relative } from "node:path";
+
+import {
+    STATE_DIR,
+    createLogger,
+    describeError,
+    fail,
+    isMainModule,
+    parseArgs,
+    pathExists,
+    printJSON,
+} from "./config.js";
+import { emulationStatePath } from "./emulation.js";
+import {
+    isSessionAlive,
+    listSessionRecords,
+    readProfileLockPid,
+    removeSessionRecord,
+} from "./registry.js";
+import { getDaemonStatus, tabStatePath } from "./session.js";
+
+const PROFILE_PATTERN = /^profile-(\d+)$/;
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["clean", "dry-run", "json", "quiet"],
+        alias: {
+            j: "json",
+            q: "quiet",
+            n: "dry-run",
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    let result;
+    try {
+        result = await run({ logger }, args);
+    } catch (error) {
+        fail(describeError(error, "Session listing failed"), { json: jsonOutput });
+    }
+
+    if (jsonOutput) {
+        printJSON(result);
+    } else {
+        process.stdout.write(formatHumanOutput(result));
+    }
+}
+
+/**
+ * Lists browsers recorded by start.js as live or stale, plus profile
+ * directories under ~/.cache/browser-tools that no running Chrome uses.
+ * `--clean` removes stale records, orphaned profiles and the per-port state
+ * files left behind by them; `--dry-run` only reports what would go.
+ */
+export async function run({ logger }, args = {}) {
+    const records = await listSessionRecords();
+    const sessions = [];
+    for (const record of records) {
+        sessions.push(await describeSession(record));
+    }
+
+    const liveDirs = new Set(sessions.filter((session) => session.status === "live").map((session) => session.userDataDir));
+    const orphans = [];
+    for (const path of await listManagedProfiles(records)) {
+        if (liveDirs.has(path)) continue;
+        // Browsers started before the registry existed still hold their profile lock.
+        if (await readProfileLockPid(path)) continue;
+        orphans.push(path);
+    }
+
+    const result = { ok: true, sessions, orphans };
+    if (!args.clean) return result;
+
+    const dryRun = Boolean(args["dry-run"]);
+    const livePorts = new Set(sessions.filter((session) => session.status === "live").map((session) => session.port));
+    const stalePorts = new Set([
+        ...sessions.filter((session) => session.status === "stale").map((session) => session.port),
+        ...orphans.map((path) => Number(basename(path).match(PROFILE_PATTERN)?.[1])).filter(Boolean),
+    ]);
+
+    const removed = { records: [], profiles: [], stateFiles: [] };
+    for (const port of stalePorts) {
+        if (livePorts.has(port)) continue;
+        if (sessions.some((session) => session.port === port)) {
+            removed.records.push(port);
+            if (!dryRun) await removeSessionRecord(port);
+        }
+        // A daemon may still serve a browser that was started some other way.
+        if (await getDaemonStatus(port)) continue;
+        for (const path of [tabStatePath(port), emulationStatePath(port)]) {
+            if (await removeFile(path, dryRun)) removed.stateFiles.push(path);
+        }
+    }
+    for (const path of orphans) {
+        if (!dryRun) await rm(path, { recursive: true, force: true });
+        removed.profiles.push(path);
+        logger.info(`🧹 ${dryRun ? "Would remove" : "Removed"} ${path}`);
+    }
+
+    return { ...result, cleaned: { dryRun, ...removed } };
+}
+
+async function describeSession(record) {
+    const live = isSessionAlive(record);
+    const version = live ? await fetchVersion(record.port) : null;
+    const daemon = live ? await getDaemonStatus(record.port) : null;
+    return {
+        port: record.port,
+        pid: record.pid,
+        pgid: record.pgid ?? null,
+        status: live ? "live" : "stale",
+        responding: Boolean(version),
+        browser: version?.Browser ?? null,
+        userDataDir: record.userDataDir,
+        chromePath: record.chromePath ?? null,
+        headless: Boolean(record.headless),
+        startedAt: record.startedAt,
+        daemon: daemon ? { pid: daemon.pid, port: daemon.daemonPort } : null,
+    };
+}
+
+/**
+ * Profile directories this tool owns: the default `profile-<port>` folders and
+ * recorded profiles that live under the state directory. Directories passed
+ * with --user-data-dir elsewhere are never touched.
+ */
+async function listManagedProfiles(records) {
+    const paths = new Set();
+    let entries = [];
+    try {
+        entries = await readdir(STATE_DIR, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+    for (const entry of entries) {
+        if (entry.isDirectory() && PROFILE_PATTERN.test(entry.name)) paths.add(join(STATE_DIR, entry.name));
+    }
+    for (const record of records) {
+        if (!record.userDataDir) continue;
+        const inside = relative(STATE_DIR, record.userDataDir);
+        if (inside && !inside.startsWith("..") && !isAbsolute(inside) && (await pathExists(record.userDataDir))) {
+            paths.add(record.userDataDir);
+        }
+    }
+    return [...paths].sort();
+}
+
+async function fetchVersion(port) {
+    try {
+        const response = await fetch(`http://127.0.0.1:${port}/json/version`, { signal: AbortSignal.timeout(1000) });
+        return response.ok ? await response.json() : null;
+    } catch {
+        return null;
+    }
+}
+
+async function removeFile(path, dryRun) {
+    if (!(await pathExists(path))) return false;
+    if (!dryRun) await rm(path, { force: true });
+    return true;
+}
+
+function formatHumanOutput(result) {
+    const lines = [];
+    if (result.sessions.length === 0) {
+        lines.push("No sessions recorded.");
+    }
+    for (const session of result.sessions) {
+        const marker = session.status === "live" ? "●" : "○";
+        const state = session.status === "live" && !session.responding ? "live, not responding" : session.status;
+        const daemon = session.daemon ? `  daemon ${session.daemon.pid}` : "";
+        lines.push(`${marker} ${session.port}  pid ${session.pid}  ${state}  ${session.startedAt}  ${session.userDataDir}${daemon}`);
+    }
+    if (result.orphans.length > 0) {
+        lines.push("", "Orphaned profiles:", ...result.orphans.map((path) => `  ${path}`));
+    }
+    if (result.cleaned) {
+        const { dryRun, records, profiles, stateFiles } = result.cleaned;
+        const verb = dryRun ? "Would remove" : "Removed";
+        lines.push(
+            "",
+            `${verb} ${records.length} stale record(s), ${profiles.length} profile(s), ${stateFiles.length} state file(s).`,
+        );
+    }
+    return `${lines.join("\n")}\n`;
+}
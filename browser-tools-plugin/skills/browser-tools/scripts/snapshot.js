@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+
+import {
+    CommandError,
+    DEFAULT_PORT,
+    createLogger,
+    describeError,
+    fail,
+    isMainModule,
+    parseArgs,
+    printJSON,
+    normalizeNumber,
+} from "./config.js";
+import { REF_REGISTRY_KEY, describeFramePath, describeMissingTarget, locateElement } from "./locator.js";
+import { resolvePage, runCommand } from "./session.js";
+
+const INTERACTIVE_ROLES = new Set([
+    "button",
+    "link",
+    "textbox",
+    "searchbox",
+    "checkbox",
+    "radio",
+    "combobox",
+    "listbox",
+    "option",
+    "menuitem",
+    "menuitemcheckbox",
+    "menuitemradio",
+    "tab",
+    "switch",
+    "slider",
+    "spinbutton",
+    "treeitem",
+]);
+
+// Structural wrappers that add nothing when they have no name of their own.
+const TRANSPARENT_ROLES = new Set(["generic", "none", "presentation", "paragraph", "group", "LabelText", "MenuListPopup"]);
+const SKIPPED_ROLES = new Set(["InlineTextBox", "LineBreak", "ListMarker"]);
+
+const STATE_PROPERTIES = ["checked", "pressed", "selected", "expanded", "disabled", "required", "readonly", "invalid", "focused"];
+const MAX_NAME_LENGTH = 100;
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["interactive", "json", "quiet", "daemon"],
+        string: ["selector", "tab", "ws", "host"],
+        number: ["port", "timeout", "depth"],
+        alias: {
+            i: "interactive",
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 15000,
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    const timeout = normalizeNumber(args.timeout, 15000);
+
+    let result;
+    try {
+        result = await runCommand("snapshot", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Snapshot failed"), { json: jsonOutput });
+    }
+
+    if (jsonOutput) {
+        printJSON(result);
+    } else {
+        process.stdout.write(`${result.snapshot}\n`);
+        logger.info(`🌳 ${result.nodes} nodes, ${result.refs} refs`);
+    }
+}
+
+export async function run({ browser, logger }, args) {
+    const page = await resolvePage(browser, args);
+    if (!page) {
+        throw new CommandError("No active page found. Navigate first.");
+    }
+
+    const client = await page.createCDPSession();
+    try {
+        const target = args.selector ? await resolveSnapshotTarget(page, client, args.selector) : null;
+        const { nodes } = await client.send("Accessibility.getFullAXTree", target?.frameId ? { frameId: target.frameId } : {});
+        const byId = new Map(nodes.map((node) => [node.nodeId, node]));
+
+        let root = nodes.find((node) => !node.parentId);
+        if (target) {
+            root = nodes.find((node) => node.backendDOMNodeId === target.backendNodeId);
+            if (!root) {
+                throw new CommandError(`${args.selector} is not in the accessibility tree (hidden or inert).`);
+            }
+        }
+        if (!root) {
+            throw new CommandError("The page has no accessibility tree yet.");
+        }
+
+        const tree = buildTree(root, byId, { interactiveOnly: Boolean(args.interactive) });
+        const refTargets = [];
+        collectRefTargets(tree, refTargets);
+        await assignRefs(client, refTargets);
+
+        const depth = normalizeNumber(args.depth, Infinity);
+        const lines = [];
+        for (const node of tree) renderNode(node, 0, depth, lines);
+
+        const snapshot = lines.join("\n");
+        logger.info(`🌳 Snapshot of ${page.url()}`);
+        return {
+            ok: true,
+            url: page.url(),
+            title: await page.title(),
+            // Refs inside an iframe resolve with this prefix, e.g. `frame=checkout >> ref:e3`.
+            ...(target?.framePath ? { frame: target.framePath } : {}),
+            nodes: lines.length,
+            refs: refTargets.filter((node) => node.ref).length,
+            snapshot,
+        };
+    } finally {
+        await client.send("Runtime.releaseObjectGroup", { objectGroup: "browser-tools-snapshot" }).catch(() => {});
+        await client.detach().catch(() => {});
+    }
+}
+
+/**
+ * Resolves `--selector` (any element target) to its backend node id and,
+ * inside an iframe, the frame whose accessibility tree holds it. Frames that
+ * run in another process are out of this page session's reach.
+ */
+async function resolveSnapshotTarget(page, client, selector) {
+    const handle = await locateElement(page, selector);
+    if (!handle) {
+        throw new CommandError(describeMissingTarget(selector));
+    }
+    try {
+        const backendNodeId = await handle.backendNodeId();
+        const frame = handle.frame;
+        if (frame === page.mainFrame()) return { backendNodeId, frameId: null, framePath: "" };
+
+        const owner = await frame.frameElement();
+        let frameId;
+        try {
+            ({ node: { frameId } } = await client.send("DOM.describeNode", { backendNodeId: await owner.backendNodeId() }));
+        } finally {
+            await owner?.dispose();
+        }
+        await client.send("Accessibility.getFullAXTree", { frameId, depth: 1 }).catch(() => {
+            throw new CommandError(`${selector} is in a cross-origin iframe that runs in its own process; snapshot.js cannot read it.`);
+        });
+        return { backendNodeId, frameId, framePath: (await describeFramePath(page, frame)).replace(/ >> $/, "") };
+    } finally {
+        await handle.dispose();
+    }
+}
+
+/**
+ * Converts CDP AX nodes into a pruned tree. Ignored nodes and nameless
+ * wrappers are replaced by their children; text that only repeats the
+ * parent's name is dropped. Returns a list because pruning the root can
+ * hoist several children.
+ */
+function buildTree(axNode, byId, options, parentName = "") {
+    const children = (axNode.childIds ?? [])
+        .map((id) => byId.get(id))
+        .filter(Boolean);
+
+    const role = axNode.role?.value ?? "";
+    const name = normalizeText(axNode.name?.value);
+
+    if (SKIPPED_ROLES.has(role)) return [];
+
+    if (role === "StaticText") {
+        if (options.interactiveOnly || !name || name === parentName) return [];
+        return [{ role: "text", name, children: [] }];
+    }
+
+    const properties = Object.fromEntries((axNode.properties ?? []).map((property) => [property.name, property.value?.value]));
+    const interactive =
+        INTERACTIVE_ROLES.has(role) || (properties.focusable === true && role !== "RootWebArea" && role !== "WebArea");
+
+    const childName = name || parentName;
+    const builtChildren = children.flatMap((child) => buildTree(child, byId, options, childName));
+
+    const transparent = (TRANSPARENT_ROLES.has(role) && !name) || (options.interactiveOnly && !isLandmark(role));
+    if (axNode.ignored || (transparent && !interactive)) {
+        return builtChildren;
+    }
+
+    return [
+        {
+            role,
+            name,
+            value: normalizeText(axNode.value?.value),
+            properties,
+            backendNodeId: interactive ? axNode.backendDOMNodeId : undefined,
+            ref: null,
+            children: builtChildren,
+        },
+    ];
+}
+
+function isLandmark(role) {
+    return ["RootWebArea", "banner", "main", "navigation", "contentinfo", "complementary", "form", "dialog", "region"].includes(role);
+}
+
+function collectRefTargets(nodes, targets) {
+    for (const node of nodes) {
+        if (node.backendNodeId) targets.push(node);
+        collectRefTargets(node.children, targets);
+    }
+}
+
+/**
+ * Registers interactive elements in a page-side map so later commands can
+ * resolve `ref:eN`. An element that already has a ref keeps it, which keeps
+ * refs stable across repeated snapshots of the same document.
+ */
+async function assignRefs(client, targets) {
+    if (targets.length === 0) return;
+
+    const resolved = [];
+    for (const target of targets) {
+        try {
+            const { object } = await client.send("DOM.resolveNode", {
+                backendNodeId: target.backendNodeId,
+                objectGroup: "browser-tools-snapshot",
+            });
+            if (object?.objectId) resolved.push({ target, objectId: object.objectId });
+        } catch {
+            // Nodes without a DOM element (pseudo content, detached nodes) get no ref.
+        }
+    }
+    if (resolved.length === 0) return;
+
+    const { result } = await client.send("Runtime.callFunctionOn", {
+        objectId: resolved[0].objectId,
+        functionDeclaration: `function (key, ...elements) {
+            const registry = (window[Symbol.for(key)] ??= { next: 1, refs: new Map(), byElement: new WeakMap() });
+            return elements.map((element) => {
+                let ref = registry.byElement.get(element);
+                if (!ref || registry.refs.get(ref)?.deref() !== element) {
+                    ref = "e" + registry.next++;
+                    registry.byElement.set(element, ref);
+                    registry.refs.set(ref, new WeakRef(element));
+                }
+                return ref;
+            });
+        }`,
+        arguments: [{ value: REF_REGISTRY_KEY }, ...resolved.map(({ objectId }) => ({ objectId }))],
+        returnByValue: true,
+    });
+
+    resolved.forEach(({ target }, index) => {
+        target.ref = result.value?.[index] ?? null;
+    });
+}
+
+function renderNode(node, level, maxDepth, lines) {
+    if (level >= maxDepth) return;
+
+    const indent = "  ".repeat(level);
+    if (node.role === "text") {
+        lines.push(`${indent}- text: ${JSON.stringify(node.name)}`);
+        return;
+    }
+
+    let line = `${indent}- ${node.role}`;
+    if (node.name) line += ` ${JSON.stringify(node.name)}`;
+    if (node.ref) line += ` [ref=${node.ref}]`;
+    if (node.properties.level !== undefined && node.role !== "listitem") line += ` [level=${node.properties.level}]`;
+    for (const state of STATE_PROPERTIES) {
+        const value = node.properties[state];
+        if (value === true || value === "true") line += ` [${state}]`;
+        else if (value === "mixed") line += ` [${state}=mixed]`;
+    }
+    if (node.value && node.value !== node.name) line += `: ${JSON.stringify(node.value)}`;
+    lines.push(line);
+
+    for (const child of node.children) renderNode(child, level + 1, maxDepth, lines);
+}
+
+function normalizeText(value) {
+    if (value === undefined || value === null) return "";
+    const text = String(value).replace(/\s+/g, " ").trim();
+    return text.length > MAX_NAME_LENGTH ? `${text.slice(0, MAX_NAME_LENGTH)}…` : text;
+}
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 import { spawn } from "node:child_process";
+import { existsSync, readFileSync } from "node:fs";
 import { mkdir, rm, cp } from "node:fs/promises";
 import { homedir } from "node:os";
 import { join } from "node:path";
@@ -21,11 +22,29 @@ import {
     normalizeNumber,
     pathExists,
 } from "./config.js";
+import { run as emulate } from "./emulate.js";
+import { emulationStatePath, resolveDevice } from "./emulation.js";
+import { recordSession } from "./registry.js";
+import { runCommand, spawnDaemon } from "./session.js";
 
 const args = parseArgs(process.argv.slice(2), {
-    boolean: ["json", "quiet"],
-    string: ["profile", "profile-path", "chrome-path", "chromePath", "host", "user-data-dir", "ws"],
+    boolean: ["json", "quiet", "daemon", "headless", "incognito", "sandbox", "disable-gpu"],
+    string: [
+        "profile",
+        "profile-path",
+        "chrome-path",
+        "chromePath",
+        "host",
+        "user-data-dir",
+        "ws",
+        "device",
+        "window-size",
+        "proxy-server",
+        "proxy-bypass",
+        "lang",
+    ],
     number: ["port", "timeout"],
+    array: ["load-extension", "chrome-arg"],
     alias: {
         j: "json",
         q: "quiet",
@@ -49,6 +68,12 @@ const userDataDir = expandPath(
 
 await ensurePortAvailable({ port, host });
 
+if (args.device) {
+    await resolveDevice(args.device).catch((error) => fail(error.message, { json: jsonOutput }));
+}
+
+const launchOptions = await resolveLaunchOptions(args);
+
 const chromeExecutable = await resolveChromeExecutable(args);
 if (!chromeExecutable) {
     fail(
@@ -62,6 +87,8 @@ let copiedProfile = false;
 
 try {
     await rm(userDataDir, { recursive: true, force: true });
+    // Profiles are keyed by tab id and cannot apply to the new browser's tabs.
+    await rm(emulationStatePath(port), { force: true });
 
     if (profileSource) {
         logger.info(`⏳ Copying profile from ${profileSource}...`);
@@ -75,7 +102,7 @@ try {
     fail("Failed to prepare profile directory", { json: jsonOutput });
 }
 
-const chromeArgs = buildChromeArguments({ port, userDataDir });
+const chromeArgs = buildChromeArguments({ port, userDataDir, options: launchOptions });
 
 logger.info(`🚀 Launching Chrome at ${chromeExecutable} on port ${port}...`);
 
@@ -86,6 +113,17 @@ const chromeProcess = spawn(chromeExecutable, chromeArgs, {
 
 chromeProcess.unref();
 
+// close.js and sessions.js find this exact process tree through the record.
+if (chromeProcess.pid) {
+    await recordSession({
+        port,
+        pid: chromeProcess.pid,
+        userDataDir,
+        chromePath: chromeExecutable,
+        headless: launchOptions.headless,
+    });
+}
+
 logger.info("⏳ Waiting for DevTools endpoint...");
 
 const connectionOptions = resolveBrowserConnection({ port, host, ws: args.ws });
@@ -112,12 +150,43 @@ if (!connected) {
 
 logger.info(`✅ Chrome listening on ${connectionOptions.browserWSEndpoint ?? connectionOptions.browserURL}`);
 
+let daemon = null;
+if (args.daemon !== false && !args.ws) {
+    daemon = await spawnDaemon({ port, host });
+    if (daemon) {
+        logger.info(`🧩 Session daemon ready (pid ${daemon.pid})`);
+    } else {
+        logger.warn("⚠️  Session daemon failed to start; commands will connect directly.");
+    }
+}
+
+let emulation = null;
+if (args.device) {
+    // Goes through the daemon when it is up so the overrides stay applied between commands.
+    try {
+        const emulated = await runCommand(
+            "emulate",
+            emulate,
+            { port, host, ws: args.ws, device: args.device, daemon: daemon ? undefined : false },
+            { logger, timeout },
+        );
+        emulation = emulated.emulation;
+    } catch (error) {
+        logger.warn(`⚠️  Could not emulate ${args.device}: ${error.message}`);
+    }
+}
+
 const result = {
     ok: true,
     port,
+    pid: chromeProcess.pid ?? null,
     userDataDir,
     chromePath: chromeExecutable,
     profile: copiedProfile ? profileSource : null,
+    daemon: daemon ? { pid: daemon.pid, port: daemon.daemonPort } : null,
+    emulation,
+    headless: launchOptions.headless,
+    args: chromeArgs,
 };
 
 if (jsonOutput) {
@@ -155,8 +224,8 @@ async function ensurePortAvailable({ port: portToCheck, host: hostToCheck }) {
     await delay(50);
 }
 
-function buildChromeArguments({ port: portValue, userDataDir: dir }) {
-    return [
+function buildChromeArguments({ port: portValue, userDataDir: dir, options }) {
+    const chromeArgs = [
         `--remote-debugging-port=${portValue}`,
         `--user-data-dir=${dir}`,
         "--no-first-run",
@@ -166,6 +235,92 @@ function buildChromeArguments({ port: portValue, userDataDir: dir }) {
         "--metrics-recording-only",
         "--enable-automation",
     ];
+
+    if (options.headless) chromeArgs.push("--headless=new");
+    if (options.windowSize) chromeArgs.push(`--window-size=${options.windowSize}`);
+    if (options.proxyServer) chromeArgs.push(`--proxy-server=${options.proxyServer}`);
+    if (options.proxyBypass) chromeArgs.push(`--proxy-bypass-list=${options.proxyBypass}`);
+    if (options.extensions.length > 0) {
+        const list = options.extensions.join(",");
+        chromeArgs.push(`--load-extension=${list}`, `--disable-extensions-except=${list}`);
+    }
+    if (options.lang) chromeArgs.push(`--lang=${options.lang}`, `--accept-lang=${options.lang}`);
+    if (options.incognito) chromeArgs.push("--incognito");
+    if (!options.sandbox) chromeArgs.push("--no-sandbox");
+    if (options.disableGpu) chromeArgs.push("--disable-gpu");
+    if (options.container) chromeArgs.push("--disable-dev-shm-usage");
+
+    // Passthrough flags go last so they can override anything above.
+    return [...chromeArgs, ...options.extraArgs];
+}
+
+/**
+ * Validates launch flags and fills in container-friendly defaults: Chrome's
+ * sandbox cannot start as root, and containers rarely have a GPU or a large
+ * /dev/shm.
+ */
+async function resolveLaunchOptions(parsed) {
+    const container = process.platform === "linux" && isContainer();
+    const runningAsRoot = typeof process.getuid === "function" && process.getuid() === 0;
+    const headless = Boolean(parsed.headless);
+
+    if (!headless && process.platform === "linux" && !process.env.DISPLAY && !process.env.WAYLAND_DISPLAY) {
+        logger.warn("⚠️  No display detected; pass --headless if Chrome fails to start.");
+    }
+
+    let windowSize = null;
+    if (parsed["window-size"]) {
+        const match = String(parsed["window-size"]).trim().match(/^(\d+)\s*[x×,]\s*(\d+)$/i);
+        if (!match) fail(`Invalid --window-size "${parsed["window-size"]}". Use WIDTHxHEIGHT (e.g. 1280x800).`, { json: jsonOutput });
+        windowSize = `${match[1]},${match[2]}`;
+    }
+
+    if (parsed["proxy-bypass"] && !parsed["proxy-server"]) {
+        fail("--proxy-bypass requires --proxy-server.", { json: jsonOutput });
+    }
+
+    // `--no-load-extension` and `--no-chrome-arg` parse as false rather than a list.
+    const extensions = [];
+    for (const raw of Array.isArray(parsed["load-extension"]) ? parsed["load-extension"] : []) {
+        const path = expandPath(raw);
+        if (!(await pathExists(join(path, "manifest.json")))) {
+            fail(`No manifest.json in extension directory ${path}`, { json: jsonOutput });
+        }
+        extensions.push(path);
+    }
+    if (extensions.length > 0 && parsed.incognito) {
+        logger.warn("⚠️  Extensions do not run in incognito windows unless allowed in chrome://extensions.");
+    }
+
+    const extraArgs = (Array.isArray(parsed["chrome-arg"]) ? parsed["chrome-arg"] : []).filter(Boolean);
+    for (const flag of extraArgs) {
+        if (!flag.startsWith("--")) {
+            fail(`--chrome-arg values must be Chrome switches such as --chrome-arg=--disable-web-security (got "${flag}").`, { json: jsonOutput });
+        }
+    }
+
+    return {
+        headless,
+        windowSize,
+        proxyServer: parsed["proxy-server"] || null,
+        proxyBypass: parsed["proxy-bypass"] ? String(parsed["proxy-bypass"]).split(/[;,]/).map((host) => host.trim()).filter(Boolean).join(";") : null,
+        extensions,
+        lang: parsed.lang || null,
+        incognito: Boolean(parsed.incognito),
+        sandbox: parsed.sandbox ?? !(runningAsRoot || container),
+        disableGpu: parsed["disable-gpu"] ?? (headless && container),
+        container,
+        extraArgs,
+    };
+}
+
+function isContainer() {
+    if (process.env.container || existsSync("/.dockerenv") || existsSync("/run/.containerenv")) return true;
+    try {
+        return /docker|kubepods|containerd|lxc/.test(readFileSync("/proc/1/cgroup", "utf8"));
+    } catch {
+        return false;
+    }
 }
 
 async function resolveChromeExecutable(parsed) {
@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+
+import { readFile } from "node:fs/promises";
+import { basename } from "node:path";
+
+import {
+    CommandError,
+    DEFAULT_PORT,
+    createLogger,
+    describeError,
+    expandPath,
+    fail,
+    isMainModule,
+    parseArgs,
+    printJSON,
+    normalizeNumber,
+} from "./config.js";
+import { isSealedExport, openExport, readSecret, redactValue, sealExport, writeExportFile } from "./export-crypto.js";
+import { resolvePage, runCommand } from "./session.js";
+import {
+    normalizeOrigin,
+    parseStorageTypes,
+    readOriginStorage,
+    restoreIndexedDB,
+    withOriginFrame,
+    writeOriginStorage,
+} from "./web-storage.js";
+
+// Storage.clearDataForOrigin names for the types --clear handles over CDP.
+const CDP_STORAGE_TYPES = { local: "local_storage", indexeddb: "indexeddb" };
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["clear", "wipe", "redact", "encrypt", "json", "quiet", "daemon"],
+        string: ["export", "import", "types", "keyfile", "passphrase-file", "passphrase-env", "tab", "ws", "host"],
+        number: ["port", "timeout"],
+        array: ["origin"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 30000,
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    const mode = resolveMode(args);
+    if (!mode) {
+        fail("Specify one command: --export [file] | --import <file> | --clear | --wipe", { json: jsonOutput });
+    }
+    if (mode === "import" && !args.import.trim()) {
+        fail("--import requires a file path", { json: jsonOutput });
+    }
+
+    const timeout = normalizeNumber(args.timeout, 30000);
+
+    if (args.export?.trim()) args.export = expandPath(args.export.trim());
+    if (args.import?.trim()) args.import = expandPath(args.import.trim());
+
+    try {
+        args.secret = await readSecret(args, { fromEnvironment: mode === "import" });
+    } catch (error) {
+        fail(describeError(error, "Reading the export secret failed"), { json: jsonOutput });
+    }
+
+    let result;
+    try {
+        result = await runCommand("storage", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Storage operation failed"), { json: jsonOutput });
+    }
+
+    if (mode === "export" && result.content !== undefined && !jsonOutput) {
+        process.stdout.write(result.content);
+    } else if (mode === "export" && !result.path && !jsonOutput) {
+        process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else {
+        printJSON(result);
+    }
+}
+
+/**
+ * Exports, imports, clears, or wipes web storage for the active tab's origin
+ * or the `--origin` list. Snapshots hold localStorage, sessionStorage, and
+ * IndexedDB per origin.
+ */
+export async function run({ browser, logger }, args) {
+    const mode = resolveMode(args);
+    const timeout = normalizeNumber(args.timeout, 30000);
+    const types = parseStorageTypes(args.types);
+
+    const page = await resolvePage(browser, args);
+    if (!page) {
+        throw new CommandError("No active page found. Navigate first.");
+    }
+
+    if (mode === "export") return await handleExport({ browser, page, args, types, logger, timeout });
+    if (mode === "import") return await handleImport({ browser, page, args, types, logger, timeout });
+    return await handleClear({ browser, page, args, types, logger, timeout, wipe: mode === "wipe" });
+}
+
+function resolveMode(parsed) {
+    if (typeof parsed.export === "string") return "export";
+    if (typeof parsed.import === "string") return "import";
+    if (parsed.wipe) return "wipe";
+    if (parsed.clear) return "clear";
+    return null;
+}
+
+async function handleExport({ browser, page, args: parsed, types, logger: log, timeout }) {
+    const origins = resolveOrigins(parsed, page);
+    const outputPath = parsed.export?.trim() ? parsed.export : null;
+
+    const snapshots = [];
+    for (const origin of origins) {
+        const snapshot = await withOriginFrame(
+            browser,
+            origin,
+            async (frame, { scratch }) => {
+                if (scratch && types.includes("session")) {
+                    log.warn(`⚠️  No open tab shows ${origin}; sessionStorage is per tab and was skipped`);
+                }
+                return await readOriginStorage(frame, scratch ? types.filter((type) => type !== "session") : types);
+            },
+            { page, timeout },
+        );
+        snapshots.push({ origin, ...snapshot });
+    }
+
+    const redact = Boolean(parsed.redact);
+    const payload = {
+        ok: true,
+        exportedAt: new Date().toISOString(),
+        pageUrl: page.url(),
+        types,
+        ...(redact ? { redacted: true } : {}),
+        origins: redact ? snapshots.map(redactSnapshot) : snapshots,
+    };
+
+    const secret = parsed.secret ?? (await readSecret(parsed));
+    const content = secret
+        ? sealExport(`${JSON.stringify(payload, null, 2)}\n`, secret, {
+            format: "storage",
+            meta: {
+                exportedAt: payload.exportedAt,
+                pageUrl: payload.pageUrl,
+                types,
+                origins: snapshots.map((snapshot) => snapshot.origin),
+                redacted: redact,
+            },
+        })
+        : `${JSON.stringify(payload, null, 2)}\n`;
+
+    if (outputPath) {
+        await writeExportFile(outputPath, content);
+        const note = secret ? " (encrypted)" : redact ? " (redacted)" : "";
+        log.info(`💾 Exported storage for ${snapshots.length} origin(s) to ${outputPath}${note}`);
+        return { ok: true, path: outputPath, types, encrypted: Boolean(secret), redacted: redact, origins: snapshots.map(summarize) };
+    }
+    if (secret) return { ok: true, types, encrypted: true, redacted: redact, origins: snapshots.map(summarize), content };
+    return payload;
+}
+
+async function handleImport({ browser, page, args: parsed, types, logger: log, timeout }) {
+    const sourcePath = parsed.import;
+
+    let content = await readFile(sourcePath, "utf8");
+    const encrypted = isSealedExport(content);
+    if (encrypted) {
+        // Verified before anything is parsed, so a modified file never reaches the browser.
+        const secret = parsed.secret ?? (await readSecret(parsed, { fromEnvironment: true }));
+        ({ content } = openExport(content, secret, basename(sourcePath)));
+        log.info(`🔓 Verified and decrypted ${basename(sourcePath)}`);
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(content);
+    } catch (error) {
+        throw new CommandError(`Invalid JSON in ${sourcePath}: ${error.message}`);
+    }
+    if (payload?.redacted === true) {
+        throw new CommandError(`${basename(sourcePath)} is a redacted export; its values are masked and cannot be imported.`);
+    }
+    if (!Array.isArray(payload?.origins)) {
+        throw new CommandError("Storage file missing 'origins' array");
+    }
+
+    const wanted = parsed.origin?.length ? new Set(parsed.origin.map(normalizeOrigin)) : null;
+    const snapshots = payload.origins
+        .map((entry) => ({ ...entry, origin: normalizeOrigin(entry.origin) }))
+        .filter((entry) => !wanted || wanted.has(entry.origin));
+    if (snapshots.length === 0) {
+        throw new CommandError(`${sourcePath} has no storage for ${wanted ? [...wanted].join(", ") : "any origin"}.`);
+    }
+
+    const imported = [];
+    for (const snapshot of snapshots) {
+        const written = await withOriginFrame(
+            browser,
+            snapshot.origin,
+            async (frame, { scratch }) => {
+                if (scratch && types.includes("session") && Object.keys(snapshot.sessionStorage ?? {}).length > 0) {
+                    log.warn(`⚠️  No open tab shows ${snapshot.origin}; its sessionStorage was not restored`);
+                }
+                const webTypes = types.filter((type) => type !== "indexeddb" && !(scratch && type === "session"));
+                return await writeOriginStorage(frame, snapshot, webTypes);
+            },
+            { page, timeout },
+        );
+        if (types.includes("indexeddb") && Array.isArray(snapshot.indexedDB)) {
+            Object.assign(written, await restoreIndexedDB(browser, snapshot, { timeout }));
+        }
+        imported.push({ origin: snapshot.origin, ...written });
+        log.info(`✅ Restored storage for ${snapshot.origin}`);
+    }
+
+    return { ok: true, types, encrypted, origins: imported };
+}
+
+async function handleClear({ browser, page, args: parsed, types, logger: log, timeout, wipe }) {
+    const origins = resolveOrigins(parsed, page);
+    const client = await page.createCDPSession();
+    const cleared = [];
+    try {
+        for (const origin of origins) {
+            const before = await readUsage(client, origin);
+            const storageTypes = wipe
+                ? "all"
+                : types
+                      .map((type) => CDP_STORAGE_TYPES[type])
+                      .filter(Boolean)
+                      .join(",");
+            if (storageTypes) {
+                await client.send("Storage.clearDataForOrigin", { origin, storageTypes });
+            }
+            // sessionStorage lives in each tab and is not covered by clearDataForOrigin.
+            let sessionTabs = 0;
+            if (wipe || types.includes("session")) {
+                sessionTabs = await clearSessionStorage(browser, origin);
+            }
+            const after = await readUsage(client, origin);
+
+            cleared.push({
+                origin,
+                cleared: wipe ? "all" : types,
+                sessionTabs,
+                freedBytes: before !== null && after !== null ? Math.max(0, before - after) : null,
+            });
+            log.info(`🧹 ${wipe ? "Wiped all site data" : `Cleared ${types.join(", ")}`} for ${origin}`);
+        }
+    } finally {
+        await client.detach().catch(() => {});
+    }
+
+    if (wipe) {
+        // Wiping also drops cookies and unregisters service workers; reload so the page starts clean.
+        await page.reload({ waitUntil: "domcontentloaded", timeout }).catch((error) => {
+            log.warn(`⚠️  Page reload failed: ${error.message}`);
+        });
+    }
+
+    return { ok: true, wiped: wipe, origins: cleared };
+}
+
+function resolveOrigins(parsed, page) {
+    if (parsed.origin?.length) return [...new Set(parsed.origin.map(normalizeOrigin))];
+    try {
+        return [normalizeOrigin(page.url())];
+    } catch {
+        throw new CommandError(`The active tab (${page.url()}) has no web origin. Navigate first or pass --origin.`);
+    }
+}
+
+async function clearSessionStorage(browser, origin) {
+    let tabs = 0;
+    for (const page of await browser.pages()) {
+        for (const frame of page.frames()) {
+            let frameOrigin;
+            try {
+                frameOrigin = new URL(frame.url()).origin;
+            } catch {
+                continue;
+            }
+            if (frameOrigin !== origin) continue;
+            const ok = await frame.evaluate(() => window.sessionStorage.clear()).then(() => true, () => false);
+            if (ok) tabs += 1;
+        }
+    }
+    return tabs;
+}
+
+async function readUsage(client, origin) {
+    try {
+        const { usage } = await client.send("Storage.getUsageAndQuota", { origin });
+        return usage;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Masks every stored value while keeping keys, database layout, and the
+ * `$t` type tags, so a redacted snapshot still shows what a site stores.
+ */
+function redactSnapshot(snapshot) {
+    const maskStrings = (value) => {
+        if (typeof value === "string") return redactValue(value);
+        if (Array.isArray(value)) return value.map(maskStrings);
+        if (value && typeof value === "object") {
+            return Object.fromEntries(
+                Object.entries(value).map(([key, item]) => [key, key === "$t" ? item : maskStrings(item)]),
+            );
+        }
+        return value;
+    };
+    const maskArea = (area) => area && Object.fromEntries(Object.entries(area).map(([key, value]) => [key, redactValue(value)]));
+
+    return {
+        ...snapshot,
+        localStorage: maskArea(snapshot.localStorage),
+        sessionStorage: maskArea(snapshot.sessionStorage),
+        indexedDB: snapshot.indexedDB?.map((database) => ({
+            ...database,
+            stores: database.stores.map((store) => ({
+                ...store,
+                records: store.records.map((record) => ({ key: record.key, value: maskStrings(record.value) })),
+            })),
+        })),
+    };
+}
+
+function summarize(snapshot) {
+    const summary = { origin: snapshot.origin };
+    if (snapshot.localStorage) summary.localStorage = Object.keys(snapshot.localStorage).length;
+    if (snapshot.sessionStorage) summary.sessionStorage = Object.keys(snapshot.sessionStorage).length;
+    if (snapshot.indexedDB) {
+        summary.indexedDB = snapshot.indexedDB.map((database) => ({
+            name: database.name,
+            records: database.stores.reduce((total, store) => total + store.records.length, 0),
+        }));
+    }
+    return summary;
+}
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+import {
+    DEFAULT_PORT,
+    createLogger,
+    describeError,
+    fail,
+    isMainModule,
+    parseArgs,
+    printJSON,
+    normalizeNumber,
+} from "./config.js";
+import {
+    findTab,
+    getTabId,
+    listTabs,
+    readCurrentTab,
+    resolvePort,
+    runCommand,
+    writeCurrentTab,
+} from "./session.js";
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["list", "unpin", "json", "quiet", "daemon"],
+        string: ["select", "open", "close", "ws", "host"],
+        number: ["port", "timeout"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: 15000,
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    const mode = resolveMode(args);
+    if (mode === "select" && !args.select) {
+        fail("--select requires a tab id or URL pattern", { json: jsonOutput });
+    }
+    if (mode === "close" && !args.close) {
+        fail("--close requires a tab id or URL pattern", { json: jsonOutput });
+    }
+
+    const timeout = normalizeNumber(args.timeout, 15000);
+
+    let result;
+    try {
+        result = await runCommand("tabs", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Tab operation failed"), { json: jsonOutput });
+    }
+
+    if (jsonOutput || mode !== "list") {
+        printJSON(result);
+    } else {
+        process.stdout.write(formatHumanOutput(result));
+    }
+}
+
+export async function run({ browser, logger }, args) {
+    const mode = resolveMode(args);
+    const port = resolvePort(args);
+    const timeout = normalizeNumber(args.timeout, 15000);
+
+    if (mode === "select") {
+        const tab = await findTab(browser, args.select);
+        await tab.page.bringToFront();
+        await writeCurrentTab(port, tab);
+        logger.info(`📌 Current tab set to ${tab.id} (${tab.url})`);
+        return { ok: true, current: describeTab(tab, tab.id) };
+    }
+
+    if (mode === "open") {
+        const page = await browser.newPage();
+        if (args.open) {
+            await page.goto(args.open, { timeout, waitUntil: "domcontentloaded" });
+        }
+        const tab = { id: await getTabId(page), url: page.url(), title: await page.title(), openerId: null };
+        await writeCurrentTab(port, tab);
+        logger.info(`🆕 Opened tab ${tab.id}`);
+        return { ok: true, current: describeTab(tab, tab.id) };
+    }
+
+    if (mode === "close") {
+        const tab = await findTab(browser, args.close);
+        const current = await readCurrentTab(port);
+        await tab.page.close();
+        if (current?.id === tab.id) {
+            await writeCurrentTab(port, null);
+        }
+        logger.info(`🗑️  Closed tab ${tab.id}`);
+        return { ok: true, closed: tab.id, unpinned: current?.id === tab.id };
+    }
+
+    if (mode === "unpin") {
+        await writeCurrentTab(port, null);
+        logger.info("📍 Current tab cleared; commands use the most recent tab");
+        return { ok: true, current: null };
+    }
+
+    const tabs = await listTabs(browser);
+    const current = await readCurrentTab(port);
+    const currentId = tabs.some((tab) => tab.id === current?.id) ? current.id : null;
+
+    return {
+        ok: true,
+        current: currentId,
+        tabs: tabs.map((tab) => describeTab(tab, currentId)),
+    };
+}
+
+function resolveMode(parsed) {
+    if (typeof parsed.select === "string") return "select";
+    if (typeof parsed.open === "string") return "open";
+    if (typeof parsed.close === "string") return "close";
+    if (parsed.unpin) return "unpin";
+    return "list";
+}
+
+function describeTab(tab, currentId) {
+    return {
+        id: tab.id,
+        url: tab.url,
+        title: tab.title,
+        openerId: tab.openerId,
+        current: tab.id === currentId,
+    };
+}
+
+function formatHumanOutput(result) {
+    if (result.tabs.length === 0) {
+        return "No open tabs.\n";
+    }
+    const lines = result.tabs.map((tab) => {
+        const marker = tab.current ? "*" : " ";
+        const opener = tab.openerId ? ` (opened by ${tab.openerId.slice(0, 8)})` : "";
+        return `${marker} ${tab.id.slice(0, 8)}  ${tab.title || "(untitled)"}  ${tab.url}${opener}`;
+    });
+    return `${lines.join("\n")}\n`;
+}
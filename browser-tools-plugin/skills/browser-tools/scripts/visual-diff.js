@@ -0,0 +1,120 @@
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+
+import pixelmatch from "pixelmatch";
+import { PNG } from "pngjs";
+
+import { CommandError, pathExists } from "./config.js";
+
+const MASK_COLOR = [255, 0, 255, 255];
+
+/**
+ * Baseline comparison for `screenshot.js --baseline`. Images are compared
+ * with pixelmatch (pure JS, YIQ color distance with anti-aliasing detection),
+ * so results do not depend on native image libraries.
+ */
+export async function compareWithBaseline(
+    buffer,
+    { dir, name, threshold = 0.1, maxMismatch = 0, includeAA = false, update = false, masks = [] },
+) {
+    if (!/^[\w.@-]+$/.test(name ?? "")) {
+        throw new CommandError("--name must be a simple identifier (letters, digits, '.', '@', '_' or '-').");
+    }
+
+    const actual = PNG.sync.read(Buffer.from(buffer));
+    paintMasks(actual, masks);
+    const actualBuffer = PNG.sync.write(actual);
+
+    await mkdir(dir, { recursive: true });
+    const paths = {
+        baseline: join(dir, `${name}.png`),
+        actual: join(dir, `${name}.actual.png`),
+        diff: join(dir, `${name}.diff.png`),
+    };
+
+    const summary = {
+        name,
+        baseline: paths.baseline,
+        width: actual.width,
+        height: actual.height,
+        threshold,
+        maxMismatch,
+        masked: masks.length,
+    };
+
+    if (update || !(await pathExists(paths.baseline))) {
+        await writeFile(paths.baseline, actualBuffer);
+        await clearArtifacts(paths);
+        return { ...summary, created: true, passed: true, mismatch: 0, diffPixels: 0, diff: null, actual: null };
+    }
+
+    let expected;
+    try {
+        expected = PNG.sync.read(await readFile(paths.baseline));
+    } catch (error) {
+        throw new CommandError(`Could not read baseline ${paths.baseline}: ${error.message}`);
+    }
+
+    const width = Math.max(expected.width, actual.width);
+    const height = Math.max(expected.height, actual.height);
+    const sizeMatches = expected.width === actual.width && expected.height === actual.height;
+    const diff = new PNG({ width, height });
+
+    const diffPixels = pixelmatch(pad(expected, width, height), pad(actual, width, height), diff.data, width, height, {
+        threshold,
+        includeAA,
+    });
+    const mismatch = Math.round((diffPixels / (width * height)) * 10000) / 100;
+    const passed = sizeMatches && mismatch <= maxMismatch;
+
+    if (diffPixels === 0 && sizeMatches) {
+        await clearArtifacts(paths);
+        return { ...summary, created: false, passed, mismatch, diffPixels, diff: null, actual: null };
+    }
+
+    await writeFile(paths.actual, actualBuffer);
+    await writeFile(paths.diff, PNG.sync.write(diff));
+    return {
+        ...summary,
+        created: false,
+        passed,
+        mismatch,
+        diffPixels,
+        sizeMismatch: sizeMatches ? undefined : { baseline: [expected.width, expected.height], actual: [actual.width, actual.height] },
+        diff: paths.diff,
+        actual: paths.actual,
+    };
+}
+
+/**
+ * Fills rectangles (in image pixels) with a solid color so masked content,
+ * such as timestamps or ads, compares equal on every run.
+ */
+function paintMasks(png, rects) {
+    for (const rect of rects) {
+        const left = Math.max(0, Math.floor(rect.x));
+        const top = Math.max(0, Math.floor(rect.y));
+        const right = Math.min(png.width, Math.ceil(rect.x + rect.width));
+        const bottom = Math.min(png.height, Math.ceil(rect.y + rect.height));
+        for (let y = top; y < bottom; y++) {
+            for (let x = left; x < right; x++) {
+                png.data.set(MASK_COLOR, (y * png.width + x) * 4);
+            }
+        }
+    }
+}
+
+// Pads an image to the given size with transparent pixels so different sizes can still be diffed.
+function pad(png, width, height) {
+    if (png.width === width && png.height === height) return png.data;
+    const data = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < png.height; y++) {
+        png.data.copy(data, y * width * 4, y * png.width * 4, (y + 1) * png.width * 4);
+    }
+    return data;
+}
+
+async function clearArtifacts(paths) {
+    await rm(paths.actual, { force: true });
+    await rm(paths.diff, { force: true });
+}
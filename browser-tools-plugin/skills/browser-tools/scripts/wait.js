@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+
+import {
+    CommandError,
+    DEFAULT_PORT,
+    compileUrlPattern,
+    createLogger,
+    delay,
+    describeError,
+    fail,
+    isMainModule,
+    parseArgs,
+    printJSON,
+    normalizeNumber,
+} from "./config.js";
+import { describeMissingTarget, locateAll, locateElement } from "./locator.js";
+import { resolvePage, runCommand } from "./session.js";
+
+// Conditions in the order they are checked and reported.
+export const WAIT_CONDITIONS = ["selector", "gone", "visible", "enabled", "text", "url", "request", "idle", "until"];
+
+const STRATEGIES = ["mutation", "poll"];
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_POLL_INTERVAL = 100;
+
+// With the mutation strategy, the longest gap between checks. Shadow roots, iframes,
+// layout, and JavaScript state change without a mutation in the main document.
+const MUTATION_FALLBACK_INTERVAL = 1000;
+
+// Least time a check gets, so one started at the deadline still reports a real state.
+const MIN_CHECK_TIME = 250;
+
+// Requests listed when the network never went idle.
+const PENDING_PREVIEW = 3;
+
+// Errors from a page that is navigating; the next check runs in the new document.
+const TRANSIENT_ERROR = /Execution context was destroyed|Cannot find context|detached|Target closed|navigat/i;
+
+if (isMainModule(import.meta.url)) {
+    await main();
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), {
+        boolean: ["any", "json", "quiet", "daemon"],
+        string: ["selector", "gone", "visible", "enabled", "text", "url", "request", "until", "strategy", "tab", "ws", "host"],
+        number: ["idle", "interval", "port", "timeout"],
+        alias: {
+            j: "json",
+            q: "quiet",
+        },
+        defaults: {
+            port: DEFAULT_PORT,
+            timeout: DEFAULT_TIMEOUT,
+            strategy: "mutation",
+        },
+    });
+
+    const jsonOutput = Boolean(args.json);
+    const logger = createLogger({ quiet: Boolean(args.quiet), json: jsonOutput });
+
+    let conditions;
+    try {
+        conditions = parseConditions(args);
+    } catch (error) {
+        fail(describeError(error, "Invalid wait condition"), { json: jsonOutput });
+    }
+    if (!STRATEGIES.includes(args.strategy)) {
+        fail(`Invalid --strategy value. Use ${STRATEGIES.join(" or ")}.`, { json: jsonOutput });
+    }
+
+    const timeout = normalizeNumber(args.timeout, DEFAULT_TIMEOUT);
+    logger.info(`⏳ Waiting for ${conditions.map(describeCondition).join(args.any ? " or " : " and ")}...`);
+
+    let result;
+    try {
+        result = await runCommand("wait", run, args, { logger, timeout });
+    } catch (error) {
+        fail(describeError(error, "Wait failed"), { json: jsonOutput });
+    }
+
+    if (jsonOutput) {
+        printJSON(result);
+    } else {
+        process.stdout.write(`${JSON.stringify(result)}\n`);
+        logger.info(`✅ Condition met after ${result.elapsed} ms`);
+    }
+}
+
+/**
+ * Blocks until every condition holds (or, with `--any`, the first one does)
+ * and reports what was observed. DOM conditions are re-checked on mutations
+ * of the main document (`--strategy=mutation`, with a check at least every
+ * `--interval` ms, default 1000) or every `--interval` ms (`poll`, default
+ * 100). Network conditions only see requests that start after the wait
+ * began. On timeout the error names each unmet condition and its last state.
+ */
+export async function run({ browser }, args) {
+    const conditions = parseConditions(args);
+    const strategy = args.strategy ?? "mutation";
+    if (!STRATEGIES.includes(strategy)) {
+        throw new CommandError(`Invalid strategy "${strategy}". Use ${STRATEGIES.join(" or ")}.`);
+    }
+    const timeout = normalizeNumber(args.timeout, DEFAULT_TIMEOUT);
+    const interval = Math.max(10, normalizeNumber(args.interval, strategy === "poll" ? DEFAULT_POLL_INTERVAL : MUTATION_FALLBACK_INTERVAL));
+
+    const page = await resolvePage(browser, args);
+    if (!page) {
+        throw new CommandError("No active page found. Navigate first.");
+    }
+
+    const startedAt = Date.now();
+    const monitor = watchNetwork(page, conditions);
+    try {
+        for (;;) {
+            const states = [];
+            for (const condition of conditions) {
+                const budget = Math.max(MIN_CHECK_TIME, startedAt + timeout - Date.now());
+                states.push({ ...condition, ...(await checkWithin(checkCondition(page, condition, monitor), budget)) });
+            }
+
+            const done = args.any ? states.some((state) => state.met) : states.every((state) => state.met);
+            if (done) return { ok: true, elapsed: Date.now() - startedAt, strategy, conditions: states };
+
+            const remaining = startedAt + timeout - Date.now();
+            if (remaining <= 0) throw new CommandError(describeTimeout(states, timeout));
+            await monitor.nextChange({ strategy, wait: Math.min(remaining, interval, monitor.idleDueIn()) });
+        }
+    } finally {
+        monitor.stop();
+    }
+}
+
+function parseConditions(args) {
+    const conditions = [];
+    for (const type of WAIT_CONDITIONS) {
+        const value = args[type];
+        if (value === undefined || value === null || value === false) continue;
+        if (type === "idle") {
+            const idle = Number(value);
+            if (!Number.isFinite(idle) || idle < 0) throw new CommandError("--idle needs a number of milliseconds.");
+            conditions.push({ type, value: idle });
+        } else if (typeof value !== "string" || !value.trim()) {
+            throw new CommandError(`--${type} requires a value`);
+        } else {
+            conditions.push({ type, value: value.trim() });
+        }
+    }
+    if (conditions.length === 0) {
+        throw new CommandError(`Nothing to wait for. Pass at least one of ${WAIT_CONDITIONS.map((type) => `--${type}`).join(", ")}.`);
+    }
+    return conditions;
+}
+
+// A check that outlives the wait (a hanging `--until` predicate, a stalled frame) counts as unmet.
+async function checkWithin(check, budget) {
+    let timer;
+    const expired = new Promise((resolve) => {
+        timer = setTimeout(() => resolve({ met: false, observed: { running: budget } }), budget);
+    });
+    check.catch(() => {});
+    return await Promise.race([check, expired]).finally(() => clearTimeout(timer));
+}
+
+async function checkCondition(page, { type, value }, monitor) {
+    try {
+        switch (type) {
+            case "selector":
+            case "gone": {
+                const handles = await locateAll(page, value);
+                await Promise.all(handles.map((handle) => handle.dispose()));
+                return { met: type === "selector" ? handles.length > 0 : handles.length === 0, observed: { count: handles.length } };
+            }
+            case "visible":
+            case "enabled": {
+                const handle = await locateElement(page, value);
+                if (!handle) return { met: false, observed: { found: false } };
+                try {
+                    if (type === "visible") {
+                        const visible = await handle.isVisible();
+                        return { met: visible, observed: { found: true, visible } };
+                    }
+                    const enabled = await handle.evaluate(
+                        (element) => !element.matches(":disabled") && element.getAttribute("aria-disabled") !== "true",
+                    );
+                    return { met: enabled, observed: { found: true, enabled } };
+                } finally {
+                    await handle.dispose();
+                }
+            }
+            case "text": {
+                const text = await page.evaluate(() => document.body?.innerText ?? "");
+                const excerpt = text.replace(/\s+/g, " ").trim().slice(0, 120);
+                return { met: matchesText(text, value), observed: { excerpt } };
+            }
+            case "url": {
+                const url = page.url();
+                return { met: compileUrlPattern(value).test(url), observed: { url } };
+            }
+            case "request":
+                return monitor.requestState();
+            case "idle":
+                return monitor.idleState(value);
+            case "until": {
+                const result = await page.evaluate(async (code) => {
+                    const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+                    const fn = new AsyncFunction(`return (${code})`);
+                    return await fn();
+                }, value);
+                return { met: Boolean(result), observed: { value: result ?? null } };
+            }
+            default:
+                throw new CommandError(`Unknown wait condition "${type}"`);
+        }
+    } catch (error) {
+        // A missing frame or an ambiguous locator may resolve later; report it as the current state.
+        if (error instanceof CommandError || TRANSIENT_ERROR.test(error.message) || type === "until") {
+            const observed = { error: error.message.split("\n")[0] };
+            // Nothing matches in a frame that is not there.
+            if (type === "gone" && error instanceof CommandError) return { met: true, observed: { count: 0, ...observed } };
+            return { met: false, observed };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Tracks the page's requests for the `request` and `idle` conditions and
+ * wakes the wait loop on network activity and navigations.
+ */
+function watchNetwork(page, conditions) {
+    const pattern = conditions.some((condition) => condition.type === "request")
+        ? compileUrlPattern(conditions.find((condition) => condition.type === "request").value)
+        : null;
+    const idle = conditions.find((condition) => condition.type === "idle")?.value;
+    const inflight = new Map();
+    let completed = null;
+    let lastActivity = Date.now();
+    let wake = () => {};
+
+    const onRequest = (request) => {
+        inflight.set(request, request.url());
+        lastActivity = Date.now();
+        wake();
+    };
+    const onDone = (request) => {
+        inflight.delete(request);
+        lastActivity = Date.now();
+        if (!completed && pattern?.test(request.url())) {
+            const failure = request.failure();
+            completed = {
+                method: request.method(),
+                url: request.url(),
+                status: request.response()?.status() ?? null,
+                ...(failure ? { failed: failure.errorText } : {}),
+            };
+        }
+        wake();
+    };
+    const onNavigation = () => wake();
+
+    const listeners = [
+        ["request", onRequest],
+        ["requestfinished", onDone],
+        ["requestfailed", onDone],
+        ["framenavigated", onNavigation],
+    ];
+    for (const [event, listener] of listeners) page.on(event, listener);
+
+    return {
+        requestState() {
+            if (completed) return { met: true, observed: { request: completed } };
+            const pending = [...inflight.values()].filter((url) => pattern.test(url));
+            return { met: false, observed: { pending: pending.slice(0, PENDING_PREVIEW) } };
+        },
+        idleState(idleTime) {
+            const quietFor = Date.now() - lastActivity;
+            const pending = [...inflight.values()];
+            return {
+                met: pending.length === 0 && quietFor >= idleTime,
+                observed: { inflight: pending.length, quietFor, ...(pending.length ? { pending: pending.slice(0, PENDING_PREVIEW) } : {}) },
+            };
+        },
+        // Milliseconds until the idle window could close, so the loop checks right then.
+        idleDueIn() {
+            if (idle === undefined || inflight.size > 0) return Infinity;
+            return Math.max(10, idle - (Date.now() - lastActivity));
+        },
+        async nextChange({ strategy, wait }) {
+            const signals = [delay(wait), new Promise((resolve) => (wake = resolve))];
+            if (strategy === "mutation") {
+                // A page that is navigating has no document to observe; the other signals cover it.
+                signals.push(page.evaluate(waitForMutation, wait).catch(() => new Promise(() => {})));
+            }
+            await Promise.race(signals);
+            wake = () => {};
+        },
+        stop() {
+            for (const [event, listener] of listeners) page.off(event, listener);
+        },
+    };
+}
+
+// Resolves on the next DOM mutation or after `timeout` ms. Replaces the observer of an earlier call.
+function waitForMutation(timeout) {
+    window.__BT_WAIT_OBSERVER?.disconnect();
+    return new Promise((resolve) => {
+        const observer = new MutationObserver(() => {
+            observer.disconnect();
+            resolve(true);
+        });
+        observer.observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+        window.__BT_WAIT_OBSERVER = observer;
+        setTimeout(() => {
+            observer.disconnect();
+            resolve(false);
+        }, timeout);
+    });
+}
+
+function matchesText(actual, expected) {
+    const pattern = /^\/(.+)\/([a-z]*)$/.exec(String(expected));
+    if (pattern) return new RegExp(pattern[1], pattern[2]).test(actual);
+    return actual.includes(String(expected));
+}
+
+function describeCondition({ type, value }) {
+    if (type === "idle") return `network idle for ${value} ms`;
+    if (type === "until") return `until ${value}`;
+    return `${type} ${JSON.stringify(value)}`;
+}
+
+function describeTimeout(states, timeout) {
+    const unmet = states.filter((state) => !state.met).map((state) => `${describeCondition(state)} (last: ${describeObserved(state)})`);
+    return `Timed out after ${timeout} ms waiting for ${unmet.join("; ")}`;
+}
+
+function describeObserved({ type, value, observed }) {
+    if (observed.error) return observed.error;
+    if (observed.running !== undefined) return `check still running after ${observed.running} ms`;
+    switch (type) {
+        case "selector":
+            return observed.count === 0 ? describeMissingTarget(value) : `${observed.count} match(es)`;
+        case "gone":
+            return `${observed.count} match(es) still present`;
+        case "visible":
+            return observed.found ? "present but hidden" : "not found";
+        case "enabled":
+            return observed.found ? "present but disabled" : "not found";
+        case "text":
+            return `page text starts ${JSON.stringify(observed.excerpt)}`;
+        case "url":
+            return observed.url;
+        case "request":
+            return observed.pending.length ? `in flight: ${observed.pending.join(", ")}` : "no matching request seen";
+        case "idle":
+            return observed.inflight
+                ? `${observed.inflight} request(s) in flight: ${observed.pending.join(", ")}`
+                : `quiet for ${observed.quietFor} ms`;
+        case "until":
+            return `returned ${JSON.stringify(observed.value)}`;
+        default:
+            return JSON.stringify(observed);
+    }
+}
@@ -0,0 +1,380 @@
+import { CommandError } from "./config.js";
+
+export const STORAGE_TYPES = ["local", "session", "indexeddb"];
+
+const TYPE_ALIASES = {
+    local: "local",
+    localstorage: "local",
+    session: "session",
+    sessionstorage: "session",
+    indexeddb: "indexeddb",
+    idb: "indexeddb",
+};
+
+/**
+ * Parses a comma-separated `--types` value ("local,idb") into canonical
+ * storage type names. Defaults to every type.
+ */
+export function parseStorageTypes(value) {
+    if (value === undefined || value === true || value === "") return [...STORAGE_TYPES];
+    const types = new Set();
+    for (const part of String(value).split(",")) {
+        const type = TYPE_ALIASES[part.trim().toLowerCase().replace(/[\s_-]/g, "")];
+        if (!type) {
+            throw new CommandError(`Unknown storage type "${part.trim()}". Use ${STORAGE_TYPES.join(", ")}.`);
+        }
+        types.add(type);
+    }
+    return [...types];
+}
+
+// Bare hosts default to https, except local development servers.
+export function normalizeOrigin(value) {
+    const text = String(value).trim();
+    const scheme = /^(localhost|127\.|\[::1\])/.test(text) ? "http" : "https";
+    let url;
+    try {
+        url = new URL(text.includes("://") ? text : `${scheme}://${text}`);
+    } catch {
+        throw new CommandError(`Invalid origin "${value}". Use a URL such as https://app.example.com.`);
+    }
+    if (!/^https?:$/.test(url.protocol)) {
+        throw new CommandError(`Origin "${value}" is not an http(s) origin.`);
+    }
+    return url.origin;
+}
+
+/**
+ * Runs `fn(frame, { scratch })` in a frame of `origin`. An open tab (the
+ * preferred page first) is used when one shows the origin; otherwise the
+ * origin is loaded in a scratch tab whose requests are answered locally, so
+ * nothing reaches the site. Session storage only exists in real tabs.
+ */
+export async function withOriginFrame(browser, origin, fn, { page, timeout = 15000 } = {}) {
+    const frame = await findOriginFrame(browser, origin, page);
+    if (frame) return await fn(frame, { scratch: false });
+
+    const scratch = await browser.newPage();
+    try {
+        await scratch.setRequestInterception(true);
+        scratch.on("request", (request) => {
+            request.respond({ status: 200, contentType: "text/html", body: "<!doctype html><title></title>" }).catch(() => {});
+        });
+        await scratch.goto(`${origin}/`, { waitUntil: "domcontentloaded", timeout });
+        return await fn(scratch.mainFrame(), { scratch: true });
+    } finally {
+        await scratch.close().catch(() => {});
+    }
+}
+
+/**
+ * Reads the requested storage types of the frame's origin. IndexedDB values
+ * are encoded by `encodeValue` so binary data and other structured-clone
+ * types survive JSON. Values that reference one object twice (cycles or
+ * shared children) are refused, since JSON cannot keep object identity.
+ */
+export async function readOriginStorage(frame, types) {
+    try {
+        return await frame.evaluate(readStorageInPage, types);
+    } catch (error) {
+        const message = error.message.replace(/^Error:\s*/, "");
+        if (/references the same object more than once/.test(message)) throw new CommandError(message);
+        throw error;
+    }
+}
+
+/**
+ * Replaces the given storage areas of the frame's origin with the snapshot:
+ * Web Storage is cleared before writing, and each IndexedDB database in the
+ * snapshot is deleted and recreated. Databases not in the snapshot are kept.
+ * Pages of the origin keep IndexedDB connections open; use `restoreIndexedDB`
+ * unless the frame is the only document of its origin.
+ */
+export async function writeOriginStorage(frame, snapshot, types) {
+    try {
+        return await frame.evaluate(writeStorageInPage, snapshot, types);
+    } catch (error) {
+        const message = error.message.replace(/^Error:\s*/, "");
+        if (/in use by another connection/.test(message)) throw new CommandError(message);
+        throw error;
+    }
+}
+
+/**
+ * Deletes and recreates the snapshot's IndexedDB databases from a scratch
+ * tab. Each open tab showing the origin holds its own connections, which
+ * block the delete, so those tabs wait on about:blank meanwhile and load
+ * their page again afterwards. Connections from other browser contexts,
+ * workers, or extensions still block and fail the import.
+ */
+export async function restoreIndexedDB(browser, snapshot, { timeout = 15000 } = {}) {
+    const parked = [];
+    for (const page of await browser.pages()) {
+        if (!page.frames().some((frame) => frameOrigin(frame) === snapshot.origin)) continue;
+        parked.push({ page, url: page.url() });
+        await page.goto("about:blank", { timeout });
+    }
+
+    try {
+        return await withOriginFrame(browser, snapshot.origin, (frame) => writeOriginStorage(frame, snapshot, ["indexeddb"]), {
+            timeout,
+        });
+    } finally {
+        for (const { page, url } of parked) {
+            await page.goto(url, { waitUntil: "domcontentloaded", timeout }).catch(() => {});
+        }
+    }
+}
+
+function frameOrigin(frame) {
+    try {
+        return new URL(frame.url()).origin;
+    } catch {
+        return null;
+    }
+}
+
+async function findOriginFrame(browser, origin, preferred) {
+    const pages = await browser.pages();
+    const ordered = preferred ? [preferred, ...pages.filter((page) => page !== preferred)] : pages;
+    for (const page of ordered) {
+        const frame = page.frames().find((candidate) => frameOrigin(candidate) === origin);
+        if (frame) return frame;
+    }
+    return null;
+}
+
+// Evaluated in the page; must not reference anything outside its own body.
+async function readStorageInPage(types) {
+    class SharedReference extends Error {}
+
+    const toBase64 = (buffer) => {
+        const bytes = new Uint8Array(buffer);
+        let binary = "";
+        for (let index = 0; index < bytes.length; index += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+        }
+        return btoa(binary);
+    };
+
+    // Tagged JSON for structured-clone values: { $t: "<type>", v: ... }.
+    // `seen` spans one whole value, so shared children are caught as well as cycles.
+    const encodeValue = async (value, seen = new Set()) => {
+        if (value === undefined) return { $t: "undefined" };
+        if (typeof value === "bigint") return { $t: "BigInt", v: value.toString() };
+        if (typeof value === "number") {
+            if (Number.isNaN(value) || !Number.isFinite(value) || Object.is(value, -0)) {
+                return { $t: "Number", v: Object.is(value, -0) ? "-0" : String(value) };
+            }
+            return value;
+        }
+        if (value === null || typeof value !== "object") return value;
+        if (seen.has(value)) throw new SharedReference();
+
+        seen.add(value);
+        if (value instanceof Date) return { $t: "Date", v: Number.isNaN(value.getTime()) ? null : value.toISOString() };
+        if (value instanceof RegExp) return { $t: "RegExp", v: value.source, flags: value.flags };
+        if (value instanceof ArrayBuffer) return { $t: "ArrayBuffer", v: toBase64(value) };
+        if (ArrayBuffer.isView(value)) {
+            const bytes = value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength);
+            return { $t: value.constructor.name, v: toBase64(bytes) };
+        }
+        if (value instanceof File) {
+            return {
+                $t: "File",
+                name: value.name,
+                type: value.type,
+                lastModified: value.lastModified,
+                v: toBase64(await value.arrayBuffer()),
+            };
+        }
+        if (value instanceof Blob) return { $t: "Blob", type: value.type, v: toBase64(await value.arrayBuffer()) };
+        if (value instanceof Map) {
+            const entries = [];
+            for (const [key, item] of value) {
+                entries.push([await encodeValue(key, seen), await encodeValue(item, seen)]);
+            }
+            return { $t: "Map", v: entries };
+        }
+        if (value instanceof Set) {
+            const items = [];
+            for (const item of value) items.push(await encodeValue(item, seen));
+            return { $t: "Set", v: items };
+        }
+        if (Array.isArray(value)) {
+            const items = [];
+            for (const item of value) items.push(await encodeValue(item, seen));
+            return items;
+        }
+        const result = {};
+        for (const [key, item] of Object.entries(value)) result[key] = await encodeValue(item, seen);
+        // Escape plain objects that happen to use the tag key.
+        return Object.hasOwn(value, "$t") ? { $t: "Object", v: result } : result;
+    };
+
+    const settle = (request) =>
+        new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+    const snapshot = {};
+    if (types.includes("local")) snapshot.localStorage = Object.fromEntries(Object.entries(window.localStorage));
+    if (types.includes("session")) snapshot.sessionStorage = Object.fromEntries(Object.entries(window.sessionStorage));
+
+    if (types.includes("indexeddb")) {
+        snapshot.indexedDB = [];
+        for (const { name, version } of await indexedDB.databases()) {
+            const db = await settle(indexedDB.open(name));
+            try {
+                const stores = [];
+                for (const storeName of db.objectStoreNames) {
+                    const store = db.transaction(storeName, "readonly").objectStore(storeName);
+                    // Queue both reads before awaiting so they share the transaction.
+                    const keysRequest = store.getAllKeys();
+                    const valuesRequest = store.getAll();
+                    const [keys, values] = await Promise.all([settle(keysRequest), settle(valuesRequest)]);
+                    const indexes = [...store.indexNames].map((indexName) => {
+                        const index = store.index(indexName);
+                        return { name: index.name, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+                    });
+                    const records = [];
+                    for (let position = 0; position < keys.length; position++) {
+                        try {
+                            records.push({ key: await encodeValue(keys[position]), value: await encodeValue(values[position]) });
+                        } catch (error) {
+                            if (!(error instanceof SharedReference)) throw error;
+                            throw new Error(
+                                `IndexedDB value at key ${JSON.stringify(keys[position])} in ${name}/${storeName} references the same object more than once (a cycle or shared child), which exports cannot preserve.`,
+                            );
+                        }
+                    }
+                    stores.push({ name: storeName, keyPath: store.keyPath, autoIncrement: store.autoIncrement, indexes, records });
+                }
+                snapshot.indexedDB.push({ name, version: version ?? db.version, stores });
+            } finally {
+                db.close();
+            }
+        }
+    }
+    return snapshot;
+}
+
+// Evaluated in the page; must not reference anything outside its own body.
+async function writeStorageInPage(snapshot, types) {
+    const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+    const typedArrays = {
+        Int8Array,
+        Uint8Array,
+        Uint8ClampedArray,
+        Int16Array,
+        Uint16Array,
+        Int32Array,
+        Uint32Array,
+        Float32Array,
+        Float64Array,
+        BigInt64Array,
+        BigUint64Array,
+    };
+
+    const decodeValue = (value) => {
+        if (Array.isArray(value)) return value.map(decodeValue);
+        if (value === null || typeof value !== "object") return value;
+        if (!Object.hasOwn(value, "$t")) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeValue(item)]));
+        }
+        switch (value.$t) {
+            case "undefined":
+                return undefined;
+            case "Number":
+                return Number(value.v);
+            case "BigInt":
+                return BigInt(value.v);
+            case "Date":
+                return new Date(value.v ?? Number.NaN);
+            case "RegExp":
+                return new RegExp(value.v, value.flags);
+            case "ArrayBuffer":
+                return fromBase64(value.v).buffer;
+            case "DataView":
+                return new DataView(fromBase64(value.v).buffer);
+            case "Blob":
+                return new Blob([fromBase64(value.v)], { type: value.type });
+            case "File":
+                return new File([fromBase64(value.v)], value.name, { type: value.type, lastModified: value.lastModified });
+            case "Map":
+                return new Map(value.v.map(([key, item]) => [decodeValue(key), decodeValue(item)]));
+            case "Set":
+                return new Set(value.v.map(decodeValue));
+            case "Object":
+                return Object.fromEntries(Object.entries(value.v).map(([key, item]) => [key, decodeValue(item)]));
+            default: {
+                const TypedArray = typedArrays[value.$t];
+                if (!TypedArray) throw new Error(`Unsupported encoded type ${value.$t}`);
+                return new TypedArray(fromBase64(value.v).buffer);
+            }
+        }
+    };
+
+    const settle = (request, name) =>
+        new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`IndexedDB database "${name}" is in use by another connection, such as a worker or another browser profile; close it and retry.`));
+        });
+
+    const written = {};
+    for (const [type, key] of [["local", "localStorage"], ["session", "sessionStorage"]]) {
+        if (!types.includes(type) || !snapshot[key]) continue;
+        const area = window[key];
+        area.clear();
+        for (const [name, value] of Object.entries(snapshot[key])) area.setItem(name, String(value));
+        written[key] = Object.keys(snapshot[key]).length;
+    }
+
+    if (types.includes("indexeddb") && Array.isArray(snapshot.indexedDB)) {
+        written.indexedDB = [];
+        for (const database of snapshot.indexedDB) {
+            await settle(indexedDB.deleteDatabase(database.name), database.name);
+            const request = indexedDB.open(database.name, Math.max(1, database.version ?? 1));
+            request.onupgradeneeded = () => {
+                for (const store of database.stores) {
+                    const created = request.result.createObjectStore(store.name, {
+                        keyPath: store.keyPath ?? undefined,
+                        autoIncrement: Boolean(store.autoIncrement),
+                    });
+                    for (const index of store.indexes ?? []) {
+                        created.createIndex(index.name, index.keyPath, { unique: index.unique, multiEntry: index.multiEntry });
+                    }
+                }
+            };
+            const db = await settle(request, database.name);
+            try {
+                let records = 0;
+                const storeNames = database.stores.map((store) => store.name);
+                if (storeNames.length > 0) {
+                    const transaction = db.transaction(storeNames, "readwrite");
+                    const done = new Promise((resolve, reject) => {
+                        transaction.oncomplete = resolve;
+                        transaction.onerror = () => reject(transaction.error);
+                        transaction.onabort = () => reject(transaction.error);
+                    });
+                    for (const store of database.stores) {
+                        const target = transaction.objectStore(store.name);
+                        for (const record of store.records ?? []) {
+                            const value = decodeValue(record.value);
+                            if (store.keyPath === null || store.keyPath === undefined) target.put(value, decodeValue(record.key));
+                            else target.put(value);
+                            records += 1;
+                        }
+                    }
+                    await done;
+                }
+                written.indexedDB.push({ name: database.name, records });
+            } finally {
+                db.close();
+            }
+        }
+    }
+    return written;
+}